@@ -0,0 +1,9 @@
+import { z } from "zod";
+import { API_TOKEN_SCOPES } from "./api-token.service.js";
+
+export const ApiTokenScopeSchema = z.enum(API_TOKEN_SCOPES);
+export const CreateApiTokenSchema = z.object({
+    name: z.string().trim().min(1, "Token name is required").max(64, "Token name must be at most 64 characters"),
+    scopes: z.array(ApiTokenScopeSchema).min(1, "At least one scope is required"),
+    expiresInDays: z.number().int().positive().max(3650).optional()
+});
@@ -0,0 +1,179 @@
+import crypto from "node:crypto";
+import { HttpError } from "../http/errors.js";
+import { withClient as poolWithClient } from "../db/pool.js";
+import { isTwoFactorRequiredForRole } from "../users/user.service.js";
+import { hasPermission } from "./permissions.js";
+
+// Personal API tokens for automation (CI, scripts). Opaque, stored hashed, scoped per route.
+export const API_TOKEN_PREFIX = "vxp_";
+export const API_TOKEN_SCOPES = [
+    "sites:read",
+    "sites:write",
+    "sites:deploy",
+    "apps:read",
+    "apps:write",
+    "apps:deploy",
+    "users:read",
+    "users:write",
+    "security:read",
+    "security:write",
+    "plans:read",
+    "plans:write"
+];
+// Scopes guarding privileged routes, and the permission a role needs to mint a token carrying them.
+const PRIVILEGED_SCOPES = {
+    "users:read": "users.read",
+    "users:write": "users.update",
+    "security:read": "security.logs.read",
+    "security:write": "security.allowlist.write",
+    "plans:read": "plans.read",
+    "plans:write": "plans.write"
+};
+const TOKEN_COLUMNS = "id, user_id, name, token_prefix, scopes, expires_at, last_used_at, created_at, revoked_at";
+
+let schemaReady = false;
+
+async function ensureSchema(client) {
+    await client.query(`
+    CREATE TABLE IF NOT EXISTS api_tokens (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL REFERENCES panel_users(id) ON DELETE CASCADE,
+      name TEXT NOT NULL,
+      token_prefix TEXT NOT NULL,
+      token_hash TEXT NOT NULL UNIQUE,
+      scopes TEXT[] NOT NULL,
+      expires_at TIMESTAMPTZ,
+      last_used_at TIMESTAMPTZ,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      revoked_at TIMESTAMPTZ
+    );
+  `);
+    await client.query(`
+    CREATE INDEX IF NOT EXISTS api_tokens_user_id_idx
+      ON api_tokens (user_id);
+  `);
+}
+
+async function withClient(fn) {
+    return poolWithClient(async (client) => {
+        if (!schemaReady) {
+            await ensureSchema(client);
+            schemaReady = true;
+        }
+        return await fn(client);
+    });
+}
+
+function hashToken(token) {
+    return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+function mapRow(row) {
+    return {
+        id: row.id,
+        userId: row.user_id,
+        name: row.name,
+        prefix: row.token_prefix,
+        scopes: row.scopes ?? [],
+        expiresAt: row.expires_at,
+        lastUsedAt: row.last_used_at,
+        createdAt: row.created_at,
+        revokedAt: row.revoked_at
+    };
+}
+
+export function isApiToken(token) {
+    return typeof token === "string" && token.startsWith(API_TOKEN_PREFIX);
+}
+
+export async function createApiToken(owner, input) {
+    const scopes = Array.from(new Set(input.scopes));
+    const forbidden = scopes.filter((scope) => PRIVILEGED_SCOPES[scope] && !hasPermission(owner.role, PRIVILEGED_SCOPES[scope]));
+    if (forbidden.length > 0) {
+        throw new HttpError(403, `Scopes not permitted for your role: ${forbidden.join(", ")}`);
+    }
+    const token = `${API_TOKEN_PREFIX}${crypto.randomBytes(32).toString("base64url")}`;
+    const id = crypto.randomUUID();
+    const expiresAt = input.expiresInDays
+        ? new Date(Date.now() + input.expiresInDays * 24 * 60 * 60 * 1000)
+        : null;
+    return withClient(async (client) => {
+        const result = await client.query(`INSERT INTO api_tokens (id, user_id, name, token_prefix, token_hash, scopes, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING ${TOKEN_COLUMNS}`, [
+            id,
+            owner.sub,
+            input.name,
+            token.slice(0, API_TOKEN_PREFIX.length + 6),
+            hashToken(token),
+            scopes,
+            expiresAt
+        ]);
+        // The plaintext token is only ever returned here.
+        return { token, apiToken: mapRow(result.rows[0]) };
+    });
+}
+
+export async function listApiTokens(userId) {
+    return withClient(async (client) => {
+        const result = await client.query(`SELECT ${TOKEN_COLUMNS}
+       FROM api_tokens
+       WHERE user_id = $1 AND revoked_at IS NULL
+       ORDER BY created_at DESC`, [userId]);
+        return result.rows.map(mapRow);
+    });
+}
+
+export async function revokeApiToken(userId, id) {
+    return withClient(async (client) => {
+        const result = await client.query(`UPDATE api_tokens
+       SET revoked_at = now()
+       WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL
+       RETURNING ${TOKEN_COLUMNS}`, [id, userId]);
+        if (result.rowCount === 0) {
+            throw new HttpError(404, "API token not found.");
+        }
+        return mapRow(result.rows[0]);
+    });
+}
+
+/**
+ * Resolve an API token to a request principal shaped like a JWT payload,
+ * plus the scopes the token was granted. A pending password change or 2FA enrollment
+ * of the owner is carried over from the live account, so the same gates as for
+ * sessions apply.
+ */
+export async function verifyApiToken(token) {
+    return withClient(async (client) => {
+        const result = await client.query(`SELECT t.id, t.user_id, t.scopes, t.expires_at, t.revoked_at, u.role, u.active,
+              u.must_change_password, u.totp_enabled, u.auth_provider
+       FROM api_tokens t
+       JOIN panel_users u ON u.id = t.user_id
+       WHERE t.token_hash = $1`, [hashToken(token)]);
+        if (result.rowCount === 0) {
+            throw new HttpError(401, "Invalid token.");
+        }
+        const row = result.rows[0];
+        if (row.revoked_at) {
+            throw new HttpError(401, "Token revoked.");
+        }
+        if (row.expires_at && new Date(row.expires_at).getTime() <= Date.now()) {
+            throw new HttpError(401, "Token expired.");
+        }
+        if (!row.active) {
+            throw new HttpError(403, "User is disabled.");
+        }
+        await client.query("UPDATE api_tokens SET last_used_at = now() WHERE id = $1", [row.id]);
+        const mfaEnroll = row.auth_provider === "local" && !row.totp_enabled && isTwoFactorRequiredForRole(row.role);
+        return {
+            sub: row.user_id,
+            role: row.role,
+            disabled: false,
+            ...(mfaEnroll ? { mfa_enroll: true } : {}),
+            ...(row.must_change_password ? { pwd_change: true } : {}),
+            scopes: row.scopes ?? [],
+            tokenId: row.id,
+            tokenType: "api"
+        };
+    });
+}
@@ -1,8 +1,10 @@
 import jwt from "jsonwebtoken";
 import crypto from "node:crypto";
 import { HttpError } from "../http/errors.js";
-import { isTokenRevoked } from "./token-revocation.service.js";
+import { isTokenRevoked, isTokenIssuedBeforeCutoff } from "./token-revocation.service.js";
 import { logger } from "../config/logger.js";
+import { parseEnvBoolean } from "../config/env.js";
+import { getActiveSigningKey, getVerificationKey } from "./signing-key.service.js";
 
 const JWT_SECRET = process.env.JWT_SECRET;
 
@@ -25,17 +27,50 @@ if (!(hasUpperCase && hasLowerCase && hasNumber && hasSpecial)) {
     logger.warn("JWT_SECRET should contain uppercase, lowercase, numbers, and special characters for maximum security");
 }
 
-const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN ?? "12h";
+// Access tokens are short-lived; sessions are kept alive with rotating refresh tokens.
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN ?? "15m";
+// Tokens signed with the shared secret before the keyring existed. Off unless enabled for
+// an upgrade: anyone holding JWT_SECRET could mint them indefinitely.
+const JWT_ACCEPT_LEGACY_HS256 = parseEnvBoolean("JWT_ACCEPT_LEGACY_HS256", false);
 
-export function signToken(payload) {
+export async function signToken(payload, options = {}) {
     // Production-ready: add a jti so tokens can be revoked on logout/refresh.
     const jti = crypto.randomUUID();
-    return jwt.sign(payload, JWT_SECRET, { expiresIn: JWT_EXPIRES_IN, jwtid: jti });
+    const key = await getActiveSigningKey();
+    // Millisecond iat, so a token issued in the same second as a revocation cutoff is
+    // still placed before or after it.
+    return jwt.sign({ ...payload, iat: Date.now() / 1000 }, key.privateKey, {
+        algorithm: key.algorithm,
+        keyid: key.kid,
+        expiresIn: options.expiresIn ?? JWT_EXPIRES_IN,
+        jwtid: jti
+    });
+}
+
+async function verifySignature(token) {
+    const header = jwt.decode(token, { complete: true })?.header;
+    if (!header) {
+        throw new HttpError(401, "Invalid token.");
+    }
+    if (!header.kid) {
+        if (!JWT_ACCEPT_LEGACY_HS256) {
+            throw new HttpError(401, "Invalid token.");
+        }
+        return jwt.verify(token, JWT_SECRET, { algorithms: ["HS256"] });
+    }
+    const key = await getVerificationKey(header.kid).catch((err) => {
+        // Fail closed, like the revocation checks below.
+        throw new HttpError(503, `Signing key lookup failed: ${err?.message ?? String(err)}`);
+    });
+    if (!key) {
+        throw new HttpError(401, "Token signed with an unknown key.");
+    }
+    return jwt.verify(token, key.publicKey, { algorithms: [key.algorithm] });
 }
 
 export async function verifyToken(token) {
     try {
-        const decoded = jwt.verify(token, JWT_SECRET);
+        const decoded = await verifySignature(token);
         if (decoded.disabled === true) {
             throw new HttpError(403, "User is disabled.");
         }
@@ -49,6 +84,14 @@ export async function verifyToken(token) {
                 throw new HttpError(401, "Token revoked.");
             }
         }
+        if (decoded?.sub && decoded?.iat) {
+            const cutOff = await isTokenIssuedBeforeCutoff(decoded.sub, decoded.iat).catch((err) => {
+                throw new HttpError(503, `Auth revocation check failed: ${err?.message ?? String(err)}`);
+            });
+            if (cutOff) {
+                throw new HttpError(401, "Token revoked.");
+            }
+        }
         return decoded;
     } catch (error) {
         if (error instanceof HttpError) {
@@ -0,0 +1,6 @@
+import { z } from "zod";
+
+export const OidcCallbackSchema = z.object({
+    code: z.string().min(1, "Authorization code is required"),
+    state: z.string().min(1, "State is required")
+});
@@ -0,0 +1,280 @@
+import crypto from "node:crypto";
+import jwt from "jsonwebtoken";
+import { HttpError } from "../http/errors.js";
+import { withClient as poolWithClient } from "../db/pool.js";
+import { parseEnvArray, parseEnvNumber } from "../config/env.js";
+
+// OpenID Connect single sign-on: authorization code flow with PKCE (S256).
+const OIDC_ISSUER_URL = process.env.OIDC_ISSUER_URL?.trim().replace(/\/$/, "") || "";
+const OIDC_CLIENT_ID = process.env.OIDC_CLIENT_ID?.trim() || "";
+const OIDC_CLIENT_SECRET = process.env.OIDC_CLIENT_SECRET?.trim() || "";
+const OIDC_REDIRECT_URI = process.env.OIDC_REDIRECT_URI?.trim() || "";
+const OIDC_SCOPES = process.env.OIDC_SCOPES?.trim() || "openid profile email";
+const OIDC_GROUPS_CLAIM = process.env.OIDC_GROUPS_CLAIM?.trim() || "groups";
+const OIDC_ALLOWED_GROUPS = parseEnvArray("OIDC_ALLOWED_GROUPS", []);
+const OIDC_STATE_TTL_SECONDS = parseEnvNumber("OIDC_STATE_TTL_SECONDS", 600, { min: 60, max: 3600 });
+const OIDC_HTTP_TIMEOUT_MS = parseEnvNumber("OIDC_HTTP_TIMEOUT_MS", 10000, { min: 1000, max: 60000 });
+const DISCOVERY_TTL_MS = 60 * 60 * 1000;
+// Never let the discovery document talk us into "none" or an HMAC algorithm.
+const ID_TOKEN_ALGORITHMS = ["RS256", "RS384", "RS512", "PS256", "PS384", "PS512", "ES256", "ES384", "ES512"];
+
+// IdP group -> panel role. First matching role wins (most privileged first). Without a
+// match the IdP has no say: existing users keep their role, new ones get "user".
+const ROLE_GROUP_ENV = {
+    admin: "OIDC_ADMIN_GROUPS",
+    support: "OIDC_SUPPORT_GROUPS",
+    auditor: "OIDC_AUDITOR_GROUPS",
+    billing: "OIDC_BILLING_GROUPS"
+};
+
+let schemaReady = false;
+let discoveryCache = null;
+let jwksCache = null;
+
+async function ensureSchema(client) {
+    // Pending authorization requests; shared so any controller replica can finish the callback.
+    await client.query(`
+    CREATE TABLE IF NOT EXISTS oidc_login_states (
+      state TEXT PRIMARY KEY,
+      code_verifier TEXT NOT NULL,
+      nonce TEXT NOT NULL,
+      redirect_uri TEXT NOT NULL,
+      expires_at TIMESTAMPTZ NOT NULL,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    );
+  `);
+}
+
+async function withClient(fn) {
+    return poolWithClient(async (client) => {
+        if (!schemaReady) {
+            await ensureSchema(client);
+            schemaReady = true;
+        }
+        return await fn(client);
+    });
+}
+
+export function isOidcEnabled() {
+    return Boolean(OIDC_ISSUER_URL && OIDC_CLIENT_ID && OIDC_REDIRECT_URI);
+}
+
+function requireOidcEnabled() {
+    if (!isOidcEnabled()) {
+        throw new HttpError(404, "Single sign-on is not configured.");
+    }
+}
+
+async function fetchJson(url, init = {}) {
+    let res;
+    try {
+        res = await fetch(url, { ...init, signal: AbortSignal.timeout(OIDC_HTTP_TIMEOUT_MS) });
+    }
+    catch (error) {
+        throw new HttpError(502, `Identity provider unreachable: ${error?.message ?? String(error)}`);
+    }
+    const text = await res.text();
+    let body;
+    try {
+        body = text ? JSON.parse(text) : {};
+    }
+    catch {
+        throw new HttpError(502, "Identity provider returned invalid JSON.");
+    }
+    if (!res.ok) {
+        const message = body?.error_description ?? body?.error ?? `HTTP ${res.status}`;
+        throw new HttpError(502, `Identity provider error: ${message}`);
+    }
+    return body;
+}
+
+async function getDiscovery() {
+    if (discoveryCache && discoveryCache.expiresAt > Date.now()) {
+        return discoveryCache.value;
+    }
+    const value = await fetchJson(`${OIDC_ISSUER_URL}/.well-known/openid-configuration`);
+    if (!value.authorization_endpoint || !value.token_endpoint || !value.jwks_uri) {
+        throw new HttpError(502, "Identity provider discovery document is incomplete.");
+    }
+    discoveryCache = { value, expiresAt: Date.now() + DISCOVERY_TTL_MS };
+    return value;
+}
+
+async function getSigningKey(kid) {
+    const discovery = await getDiscovery();
+    const findKey = () => (jwksCache?.keys ?? []).find((key) => (kid ? key.kid === kid : key.use !== "enc"));
+    let jwk = findKey();
+    if (!jwk) {
+        // Unknown kid: the IdP may have rotated keys since the last fetch.
+        jwksCache = await fetchJson(discovery.jwks_uri);
+        jwk = findKey();
+    }
+    if (!jwk) {
+        throw new HttpError(401, "ID token signed with an unknown key.");
+    }
+    return crypto.createPublicKey({ key: jwk, format: "jwk" });
+}
+
+function base64UrlSha256(value) {
+    return crypto.createHash("sha256").update(value).digest("base64url");
+}
+
+export async function createAuthorizationRequest() {
+    requireOidcEnabled();
+    const discovery = await getDiscovery();
+    const state = crypto.randomBytes(24).toString("base64url");
+    const nonce = crypto.randomBytes(24).toString("base64url");
+    const codeVerifier = crypto.randomBytes(32).toString("base64url");
+    await withClient(async (client) => {
+        await client.query("DELETE FROM oidc_login_states WHERE expires_at <= now()");
+        await client.query(`INSERT INTO oidc_login_states (state, code_verifier, nonce, redirect_uri, expires_at)
+       VALUES ($1, $2, $3, $4, now() + ($5 * interval '1 second'))`, [
+            state,
+            codeVerifier,
+            nonce,
+            OIDC_REDIRECT_URI,
+            OIDC_STATE_TTL_SECONDS
+        ]);
+    });
+    const url = new URL(discovery.authorization_endpoint);
+    url.searchParams.set("response_type", "code");
+    url.searchParams.set("client_id", OIDC_CLIENT_ID);
+    url.searchParams.set("redirect_uri", OIDC_REDIRECT_URI);
+    url.searchParams.set("scope", OIDC_SCOPES);
+    url.searchParams.set("state", state);
+    url.searchParams.set("nonce", nonce);
+    url.searchParams.set("code_challenge", base64UrlSha256(codeVerifier));
+    url.searchParams.set("code_challenge_method", "S256");
+    return { authorizationUrl: url.toString(), state };
+}
+
+async function consumeState(state) {
+    return withClient(async (client) => {
+        // Single use: the row is deleted by the same statement that reads it.
+        const result = await client.query(`DELETE FROM oidc_login_states
+       WHERE state = $1
+       RETURNING code_verifier, nonce, redirect_uri, expires_at`, [state]);
+        if (result.rowCount === 0) {
+            throw new HttpError(400, "Unknown or already used login state.");
+        }
+        const row = result.rows[0];
+        if (new Date(row.expires_at).getTime() <= Date.now()) {
+            throw new HttpError(400, "Login state expired. Please start again.");
+        }
+        return row;
+    });
+}
+
+async function verifyIdToken(idToken, expectedNonce) {
+    const discovery = await getDiscovery();
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded?.header) {
+        throw new HttpError(401, "Invalid ID token.");
+    }
+    const key = await getSigningKey(decoded.header.kid);
+    let claims;
+    try {
+        claims = jwt.verify(idToken, key, {
+            algorithms: (discovery.id_token_signing_alg_values_supported ?? ["RS256"])
+                .filter((alg) => ID_TOKEN_ALGORITHMS.includes(alg)),
+            issuer: discovery.issuer ?? OIDC_ISSUER_URL,
+            audience: OIDC_CLIENT_ID
+        });
+    }
+    catch (error) {
+        throw new HttpError(401, `Invalid ID token: ${error?.message ?? String(error)}`);
+    }
+    if (claims.nonce !== expectedNonce) {
+        throw new HttpError(401, "ID token nonce mismatch.");
+    }
+    return claims;
+}
+
+/**
+ * Exchange an authorization code for tokens and return the verified ID token claims
+ * (merged with userinfo when the IdP only exposes groups there).
+ */
+export async function completeAuthorization({ code, state }) {
+    requireOidcEnabled();
+    const pending = await consumeState(state);
+    const discovery = await getDiscovery();
+    const form = new URLSearchParams({
+        grant_type: "authorization_code",
+        code,
+        redirect_uri: pending.redirect_uri,
+        client_id: OIDC_CLIENT_ID,
+        code_verifier: pending.code_verifier
+    });
+    if (OIDC_CLIENT_SECRET) {
+        form.set("client_secret", OIDC_CLIENT_SECRET);
+    }
+    const tokens = await fetchJson(discovery.token_endpoint, {
+        method: "POST",
+        headers: { "Content-Type": "application/x-www-form-urlencoded", Accept: "application/json" },
+        body: form.toString()
+    });
+    if (!tokens.id_token) {
+        throw new HttpError(502, "Identity provider did not return an ID token.");
+    }
+    const claims = await verifyIdToken(tokens.id_token, pending.nonce);
+    if (claims[OIDC_GROUPS_CLAIM] === undefined && discovery.userinfo_endpoint && tokens.access_token) {
+        const userinfo = await fetchJson(discovery.userinfo_endpoint, {
+            headers: { Authorization: `Bearer ${tokens.access_token}`, Accept: "application/json" }
+        });
+        if (userinfo.sub === claims.sub) {
+            return { ...userinfo, ...claims, [OIDC_GROUPS_CLAIM]: userinfo[OIDC_GROUPS_CLAIM] };
+        }
+    }
+    return claims;
+}
+
+function readGroups(claims) {
+    const value = claims[OIDC_GROUPS_CLAIM];
+    if (Array.isArray(value)) {
+        return value.map(String);
+    }
+    if (typeof value === "string" && value) {
+        return value.split(",").map((item) => item.trim()).filter(Boolean);
+    }
+    return [];
+}
+
+function isEmailVerified(claims) {
+    // Some IdPs send the boolean as a string.
+    return claims.email_verified === true || claims.email_verified === "true";
+}
+
+/**
+ * Map IdP claims to a panel identity. Throws 403 when OIDC_ALLOWED_GROUPS is set
+ * and the user is in none of them. `role` is null unless a group mapping matched, and
+ * `email` is null unless the IdP marks it verified.
+ */
+export function mapOidcClaims(claims) {
+    if (!claims.sub) {
+        throw new HttpError(401, "ID token has no subject.");
+    }
+    const groups = readGroups(claims);
+    if (OIDC_ALLOWED_GROUPS.length > 0 && !groups.some((group) => OIDC_ALLOWED_GROUPS.includes(group))) {
+        throw new HttpError(403, "Your account is not permitted to use this panel.");
+    }
+    let role = null;
+    for (const [candidate, envKey] of Object.entries(ROLE_GROUP_ENV)) {
+        const roleGroups = parseEnvArray(envKey, []);
+        if (groups.some((group) => roleGroups.includes(group))) {
+            role = candidate;
+            break;
+        }
+    }
+    const email = typeof claims.email === "string" ? claims.email.trim().toLowerCase() : "";
+    if (!email) {
+        throw new HttpError(403, "Identity provider did not supply an email address.");
+    }
+    const preferredUsername = claims.preferred_username ?? email.split("@")[0];
+    return {
+        subject: String(claims.sub),
+        username: String(preferredUsername),
+        email: isEmailVerified(claims) ? email : null,
+        role,
+        groups
+    };
+}
@@ -0,0 +1,167 @@
+// Role-based permission model. Routes check actions, never role names.
+export const USER_ROLES = ["admin", "user", "auditor", "support", "billing", "reseller"];
+
+export const PERMISSIONS = [
+    "users.any", // user routes reach every account; without it only the caller's sub-users
+    "users.read",
+    "users.create",
+    "users.update",
+    "users.delete",
+    "users.unlock",
+    "users.sessions.revoke",
+    "users.impersonate",
+    "users.password.reset",
+    "users.2fa.reset",
+    "security.allowlist.read",
+    "security.allowlist.write",
+    "security.logs.read",
+    "security.keys.read",
+    "security.keys.rotate",
+    "plans.read",
+    "plans.write",
+    "apps.read",
+    "apps.create",
+    "apps.deploy",
+    "sites.read",
+    "sites.read_any", // list sites outside the caller's own namespace
+    "sites.read_sub", // list and manage the sites of the caller's sub-users
+    "sites.create",
+    "sites.update",
+    "sites.delete",
+    "sites.deploy",
+    "sites.db.manage",
+    "sites.mail.manage",
+    "sites.dns.manage",
+    "sites.github.manage",
+    "sites.registry.manage",
+    "sites.purge",
+    "sites.members.manage"
+];
+
+// Everything a tenant does inside their own namespace.
+const TENANT_PERMISSIONS = [
+    "apps.read",
+    "apps.create",
+    "apps.deploy",
+    "sites.read",
+    "sites.create",
+    "sites.update",
+    "sites.delete",
+    "sites.deploy",
+    "sites.db.manage",
+    "sites.mail.manage",
+    "sites.dns.manage",
+    "sites.github.manage",
+    "sites.registry.manage",
+    "sites.purge",
+    "sites.members.manage"
+];
+
+const ROLE_PERMISSIONS = {
+    admin: new Set(PERMISSIONS),
+    user: new Set(TENANT_PERMISSIONS),
+    // Read-only view of the whole panel, for compliance reviews.
+    auditor: new Set([
+        "users.any",
+        "users.read",
+        "security.allowlist.read",
+        "security.logs.read",
+        "security.keys.read",
+        "plans.read",
+        "apps.read",
+        "sites.read",
+        "sites.read_any"
+    ]),
+    // Can look at sites and logs to help tenants, but never destroys data.
+    support: new Set([
+        "users.any",
+        "users.read",
+        "users.unlock",
+        "users.impersonate",
+        "security.logs.read",
+        "plans.read",
+        "apps.read",
+        "sites.read",
+        "sites.read_any"
+    ]),
+    billing: new Set([
+        "users.any",
+        "users.read",
+        "plans.read",
+        "sites.read",
+        "sites.read_any"
+    ]),
+    // Agencies: create and look after their own "user" accounts, within their plan.
+    reseller: new Set([
+        "users.read",
+        "users.create",
+        "users.update",
+        "users.delete",
+        "users.unlock",
+        "users.sessions.revoke",
+        "users.password.reset",
+        "plans.read",
+        "sites.read",
+        "sites.read_sub",
+        "sites.update",
+        "sites.delete",
+        "sites.deploy",
+        "sites.db.manage",
+        "sites.mail.manage",
+        "sites.dns.manage",
+        "sites.github.manage",
+        "sites.registry.manage",
+        "sites.purge",
+        "sites.members.manage"
+    ])
+};
+
+// Never allowed with an impersonation token, whatever the impersonated role may do.
+const IMPERSONATION_DENIED = new Set([
+    "users.create",
+    "users.update",
+    "users.delete",
+    "users.password.reset",
+    "users.2fa.reset",
+    "users.sessions.revoke",
+    "users.impersonate",
+    "security.allowlist.write",
+    "security.keys.rotate",
+    "plans.write",
+    "sites.delete",
+    "sites.purge",
+    "sites.members.manage"
+]);
+
+export function isDeniedUnderImpersonation(action) {
+    return IMPERSONATION_DENIED.has(action);
+}
+
+// The only roles these roles may impersonate. Support staff help customers without
+// holding the tenant permissions themselves, so no-escalation cannot decide for them.
+const IMPERSONABLE_ROLES = {
+    support: new Set(["user"])
+};
+
+/**
+ * Whether `actorRole` may impersonate an account of `targetRole`: the role's allow-list if
+ * it has one, otherwise no escalation, ignoring the actions impersonation tokens are
+ * denied anyway.
+ */
+export function canImpersonateRole(actorRole, targetRole) {
+    if (!hasPermission(actorRole, "users.impersonate")) {
+        return false;
+    }
+    if (IMPERSONABLE_ROLES[actorRole]) {
+        return IMPERSONABLE_ROLES[actorRole].has(targetRole);
+    }
+    return listPermissions(targetRole).every((action) => IMPERSONATION_DENIED.has(action) || hasPermission(actorRole, action));
+}
+
+export function hasPermission(role, action) {
+    return ROLE_PERMISSIONS[role]?.has(action) ?? false;
+}
+
+export function listPermissions(role) {
+    return Array.from(ROLE_PERMISSIONS[role] ?? []);
+}
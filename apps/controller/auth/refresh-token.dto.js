@@ -0,0 +1,5 @@
+import { z } from "zod";
+
+export const RefreshTokenSchema = z.object({
+    refreshToken: z.string().min(1, "Refresh token is required")
+});
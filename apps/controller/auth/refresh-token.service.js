@@ -0,0 +1,185 @@
+import crypto from "node:crypto";
+import { HttpError } from "../http/errors.js";
+import { withClient as poolWithClient } from "../db/pool.js";
+import { parseEnvNumber } from "../config/env.js";
+
+// Opaque refresh tokens, stored hashed. Every login starts a family; each refresh
+// consumes the presented token and issues its successor in the same family.
+export const REFRESH_TOKEN_PREFIX = "vxr_";
+// Idle lifetime of a single refresh token, and hard cap on the whole family (login).
+const REFRESH_TOKEN_TTL_SECONDS = parseEnvNumber("REFRESH_TOKEN_TTL_SECONDS", 43200, { min: 300, max: 2592000 });
+const REFRESH_FAMILY_MAX_AGE_SECONDS = parseEnvNumber("REFRESH_FAMILY_MAX_AGE_SECONDS", 604800, { min: 300, max: 7776000 });
+// Parallel requests of one browser present the same token; for this long after a rotation
+// the consumed token yields its (unused) successor again instead of counting as reuse.
+const REFRESH_REUSE_GRACE_SECONDS = parseEnvNumber("REFRESH_REUSE_GRACE_SECONDS", 10, { min: 0, max: 60 });
+// Successors are derived from their predecessor, so the grace path can hand out the same
+// token without storing it. Keyed, so a stolen token does not reveal the chain after it.
+const SUCCESSOR_KEY = process.env.JWT_SECRET;
+
+let schemaReady = false;
+
+async function ensureSchema(client) {
+    await client.query(`
+    CREATE TABLE IF NOT EXISTS refresh_tokens (
+      id TEXT PRIMARY KEY,
+      family_id TEXT NOT NULL,
+      user_id TEXT NOT NULL REFERENCES panel_users(id) ON DELETE CASCADE,
+      token_hash TEXT NOT NULL UNIQUE,
+      expires_at TIMESTAMPTZ NOT NULL,
+      family_expires_at TIMESTAMPTZ NOT NULL,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      used_at TIMESTAMPTZ,
+      revoked_at TIMESTAMPTZ
+    );
+  `);
+    await client.query(`
+    CREATE INDEX IF NOT EXISTS refresh_tokens_family_id_idx
+      ON refresh_tokens (family_id);
+  `);
+    await client.query(`
+    CREATE INDEX IF NOT EXISTS refresh_tokens_user_id_idx
+      ON refresh_tokens (user_id);
+  `);
+}
+
+async function withClient(fn) {
+    return poolWithClient(async (client) => {
+        if (!schemaReady) {
+            await ensureSchema(client);
+            schemaReady = true;
+        }
+        return await fn(client);
+    });
+}
+
+function hashToken(token) {
+    return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+function deriveSuccessor(token) {
+    return `${REFRESH_TOKEN_PREFIX}${crypto.createHmac("sha256", SUCCESSOR_KEY).update(token).digest("base64url")}`;
+}
+
+async function insertRefreshToken(client, userId, familyId, familyExpiresAt, refreshToken = `${REFRESH_TOKEN_PREFIX}${crypto.randomBytes(32).toString("base64url")}`) {
+    const expiresAt = new Date(Math.min(
+        Date.now() + REFRESH_TOKEN_TTL_SECONDS * 1000,
+        new Date(familyExpiresAt).getTime()
+    ));
+    await client.query(`INSERT INTO refresh_tokens (id, family_id, user_id, token_hash, expires_at, family_expires_at)
+     VALUES ($1, $2, $3, $4, $5, $6)`, [
+        crypto.randomUUID(),
+        familyId,
+        userId,
+        hashToken(refreshToken),
+        expiresAt,
+        familyExpiresAt
+    ]);
+    return { refreshToken, familyId, expiresAt };
+}
+
+/**
+ * Start a new refresh token family (one per login).
+ */
+export async function issueRefreshToken(userId) {
+    const familyId = crypto.randomUUID();
+    const familyExpiresAt = new Date(Date.now() + REFRESH_FAMILY_MAX_AGE_SECONDS * 1000);
+    return withClient((client) => insertRefreshToken(client, userId, familyId, familyExpiresAt));
+}
+
+/**
+ * Consume a refresh token and issue its successor.
+ * Returns { reused: true, familyId, userId } when an already consumed token is presented
+ * outside the grace window; the family is revoked before returning and the caller must
+ * end its access tokens.
+ */
+export async function rotateRefreshToken(token) {
+    if (typeof token !== "string" || !token.startsWith(REFRESH_TOKEN_PREFIX)) {
+        throw new HttpError(401, "Invalid refresh token.");
+    }
+    const tokenHash = hashToken(token);
+    return withClient(async (client) => {
+        await client.query("BEGIN");
+        let consumed;
+        try {
+            // Single use: only one caller can flip used_at.
+            consumed = await client.query(`UPDATE refresh_tokens
+         SET used_at = now()
+         WHERE token_hash = $1 AND used_at IS NULL AND revoked_at IS NULL AND expires_at > now()
+         RETURNING family_id, user_id, family_expires_at`, [tokenHash]);
+            if (consumed.rowCount > 0) {
+                const row = consumed.rows[0];
+                const next = await insertRefreshToken(client, row.user_id, row.family_id, row.family_expires_at, deriveSuccessor(token));
+                await client.query("COMMIT");
+                return { reused: false, userId: row.user_id, ...next };
+            }
+            await client.query("COMMIT");
+        }
+        catch (error) {
+            await client.query("ROLLBACK");
+            throw error;
+        }
+        const existing = await client.query(`SELECT family_id, user_id, expires_at, used_at, revoked_at,
+              used_at > now() - ($2 * interval '1 second') AS in_grace
+       FROM refresh_tokens
+       WHERE token_hash = $1`, [tokenHash, REFRESH_REUSE_GRACE_SECONDS]);
+        if (existing.rowCount === 0) {
+            throw new HttpError(401, "Invalid refresh token.");
+        }
+        const row = existing.rows[0];
+        if (row.used_at && !row.revoked_at && row.in_grace) {
+            // Lost a race with a parallel request: hand out the same successor, if still unused.
+            const refreshToken = deriveSuccessor(token);
+            const successor = await client.query(`SELECT expires_at
+         FROM refresh_tokens
+         WHERE token_hash = $1 AND used_at IS NULL AND revoked_at IS NULL AND expires_at > now()`, [hashToken(refreshToken)]);
+            if (successor.rowCount > 0) {
+                return {
+                    reused: false,
+                    userId: row.user_id,
+                    refreshToken,
+                    familyId: row.family_id,
+                    expiresAt: successor.rows[0].expires_at
+                };
+            }
+        }
+        if (row.used_at && !row.revoked_at) {
+            // Replay of a rotated token: someone else holds this family. Kill it.
+            await client.query(`UPDATE refresh_tokens
+         SET revoked_at = now()
+         WHERE family_id = $1 AND revoked_at IS NULL`, [row.family_id]);
+            return { reused: true, familyId: row.family_id, userId: row.user_id };
+        }
+        if (row.revoked_at) {
+            throw new HttpError(401, "Refresh token revoked.");
+        }
+        throw new HttpError(401, "Refresh token expired.");
+    });
+}
+
+export async function listLiveRefreshFamilies(userId) {
+    return withClient(async (client) => {
+        const result = await client.query(`SELECT DISTINCT family_id
+       FROM refresh_tokens
+       WHERE user_id = $1 AND used_at IS NULL AND revoked_at IS NULL AND expires_at > now()`, [userId]);
+        return result.rows.map((row) => row.family_id);
+    });
+}
+
+export async function revokeRefreshFamily(familyId) {
+    if (!familyId) {
+        return;
+    }
+    await withClient(async (client) => {
+        await client.query(`UPDATE refresh_tokens
+       SET revoked_at = now()
+       WHERE family_id = $1 AND revoked_at IS NULL`, [familyId]);
+    });
+}
+
+export async function revokeUserRefreshTokens(userId) {
+    await withClient(async (client) => {
+        await client.query(`UPDATE refresh_tokens
+       SET revoked_at = now()
+       WHERE user_id = $1 AND revoked_at IS NULL`, [userId]);
+    });
+}
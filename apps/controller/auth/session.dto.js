@@ -0,0 +1,6 @@
+import { z } from "zod";
+
+export const RevokeAllSessionsSchema = z.object({
+    // By default the calling session survives "log out everywhere else".
+    includeCurrent: z.boolean().default(false)
+});
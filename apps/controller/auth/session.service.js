@@ -0,0 +1,181 @@
+import jwt from "jsonwebtoken";
+import { HttpError } from "../http/errors.js";
+import { withClient as poolWithClient } from "../db/pool.js";
+import { revokeTokenJti } from "./token-revocation.service.js";
+import { listLiveRefreshFamilies, revokeRefreshFamily } from "./refresh-token.service.js";
+
+// Registry of issued access tokens (one row per JTI) so users can see and revoke them.
+// Tokens minted from the same login share a refresh token family (family_id / "sid" claim).
+const SESSION_COLUMNS = "jti, family_id, user_id, ip, user_agent, issued_at, expires_at, created_at, revoked_at";
+
+let schemaReady = false;
+
+async function ensureSchema(client) {
+    await client.query(`
+    CREATE TABLE IF NOT EXISTS auth_sessions (
+      jti TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL REFERENCES panel_users(id) ON DELETE CASCADE,
+      ip TEXT,
+      user_agent TEXT,
+      issued_at TIMESTAMPTZ NOT NULL,
+      expires_at TIMESTAMPTZ NOT NULL,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      revoked_at TIMESTAMPTZ
+    );
+  `);
+    await client.query(`
+    CREATE INDEX IF NOT EXISTS auth_sessions_user_id_idx
+      ON auth_sessions (user_id, expires_at);
+  `);
+    await client.query(`
+    ALTER TABLE auth_sessions
+      ADD COLUMN IF NOT EXISTS family_id TEXT;
+  `);
+    await client.query(`
+    CREATE INDEX IF NOT EXISTS auth_sessions_family_id_idx
+      ON auth_sessions (family_id);
+  `);
+}
+
+async function withClient(fn) {
+    return poolWithClient(async (client) => {
+        if (!schemaReady) {
+            await ensureSchema(client);
+            schemaReady = true;
+        }
+        return await fn(client);
+    });
+}
+
+function mapRow(row) {
+    return {
+        jti: row.jti,
+        familyId: row.family_id ?? null,
+        userId: row.user_id,
+        ip: row.ip,
+        userAgent: row.user_agent,
+        issuedAt: row.issued_at,
+        expiresAt: row.expires_at,
+        createdAt: row.created_at,
+        revokedAt: row.revoked_at
+    };
+}
+
+export async function recordSession(token, context = {}) {
+    const payload = jwt.decode(token);
+    if (!payload?.jti || !payload?.sub || !payload?.exp) {
+        return;
+    }
+    await withClient(async (client) => {
+        await client.query(`INSERT INTO auth_sessions (jti, family_id, user_id, ip, user_agent, issued_at, expires_at)
+       VALUES ($1, $2, $3, $4, $5, to_timestamp($6), to_timestamp($7))
+       ON CONFLICT (jti) DO NOTHING`, [
+            payload.jti,
+            payload.sid ?? null,
+            payload.sub,
+            context.ip ?? null,
+            context.userAgent ? String(context.userAgent).slice(0, 512) : null,
+            payload.iat ?? Math.floor(Date.now() / 1000),
+            payload.exp
+        ]);
+    });
+}
+
+/**
+ * Sessions still able to authenticate, one entry per login (the latest access token of
+ * each refresh family): a live access token or refresh token, not revoked by JTI, and
+ * not issued before the user's revocation cutoff (password change/reset).
+ */
+export async function listSessions(userId) {
+    const liveFamilies = await listLiveRefreshFamilies(userId);
+    return withClient(async (client) => {
+        const result = await client.query(`SELECT * FROM (
+         SELECT DISTINCT ON (COALESCE(s.family_id, s.jti)) ${SESSION_COLUMNS.split(", ").map((column) => `s.${column}`).join(", ")}
+         FROM auth_sessions s
+         WHERE s.user_id = $1
+           AND s.revoked_at IS NULL
+           AND (
+             s.expires_at > now()
+             OR s.family_id = ANY($2::text[])
+           )
+           AND NOT EXISTS (SELECT 1 FROM token_revocations r WHERE r.jti = s.jti)
+           AND NOT EXISTS (
+             SELECT 1 FROM token_revocation_cutoffs c
+             WHERE c.user_id = s.user_id AND c.not_before >= s.issued_at
+           )
+         ORDER BY COALESCE(s.family_id, s.jti), s.created_at DESC
+       ) sessions
+       ORDER BY created_at DESC`, [userId, liveFamilies]);
+        return result.rows.map(mapRow);
+    });
+}
+
+/**
+ * Revoke one token by JTI and mark its session row. Safe for tokens issued before
+ * sessions were recorded (no row to mark).
+ */
+export async function endSession(jti, expSeconds) {
+    await revokeTokenJti(jti, expSeconds);
+    await withClient(async (client) => {
+        await client.query("UPDATE auth_sessions SET revoked_at = now() WHERE jti = $1 AND revoked_at IS NULL", [jti]);
+    });
+}
+
+/**
+ * End a whole login: its refresh token family and every access token still alive in it.
+ */
+export async function revokeSessionFamily(familyId) {
+    await revokeRefreshFamily(familyId);
+    const live = await withClient(async (client) => {
+        const result = await client.query(`SELECT jti, expires_at
+       FROM auth_sessions
+       WHERE family_id = $1 AND revoked_at IS NULL AND expires_at > now()`, [familyId]);
+        await client.query("UPDATE auth_sessions SET revoked_at = now() WHERE family_id = $1 AND revoked_at IS NULL", [familyId]);
+        return result.rows;
+    });
+    for (const row of live) {
+        await revokeTokenJti(row.jti, Math.floor(new Date(row.expires_at).getTime() / 1000));
+    }
+}
+
+async function revokeListedSession(session) {
+    if (session.familyId) {
+        await revokeSessionFamily(session.familyId);
+    }
+    else {
+        await endSession(session.jti, Math.floor(new Date(session.expiresAt).getTime() / 1000));
+    }
+}
+
+export async function revokeSession(userId, jti) {
+    const session = await withClient(async (client) => {
+        const result = await client.query(`SELECT ${SESSION_COLUMNS}
+       FROM auth_sessions
+       WHERE jti = $1 AND user_id = $2`, [jti, userId]);
+        return result.rows[0] ? mapRow(result.rows[0]) : null;
+    });
+    if (!session) {
+        throw new HttpError(404, "Session not found.");
+    }
+    await revokeListedSession(session);
+    return { ...session, revokedAt: session.revokedAt ?? new Date() };
+}
+
+/**
+ * Revoke every active session of a user, optionally keeping the caller's own
+ * (identified by its refresh family or, for legacy tokens, its JTI).
+ * Returns the number of sessions revoked.
+ */
+export async function revokeAllSessions(userId, options = {}) {
+    const sessions = await listSessions(userId);
+    const doomed = sessions.filter((session) => {
+        if (options.except?.familyId && session.familyId === options.except.familyId) {
+            return false;
+        }
+        return !(options.except?.jti && session.jti === options.except.jti);
+    });
+    for (const session of doomed) {
+        await revokeListedSession(session);
+    }
+    return doomed.length;
+}
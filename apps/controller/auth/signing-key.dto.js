@@ -0,0 +1,5 @@
+import { z } from "zod";
+
+export const RotateSigningKeySchema = z.object({
+    algorithm: z.enum(["RS256", "ES256"]).optional()
+});
@@ -0,0 +1,187 @@
+import crypto from "node:crypto";
+import { HttpError } from "../http/errors.js";
+import { withClient as poolWithClient } from "../db/pool.js";
+import { parseEnvNumber } from "../config/env.js";
+
+// Asymmetric keyring for panel access tokens. Exactly one key signs; retired keys keep
+// verifying (and stay in the JWKS) until every token they signed has expired.
+// EdDSA is not supported by jsonwebtoken, so the choice is RS256 or ES256.
+const SUPPORTED_ALGORITHMS = ["RS256", "ES256"];
+const JWT_SIGNING_ALGORITHM = process.env.JWT_SIGNING_ALGORITHM?.trim() || "RS256";
+const JWT_KEY_RETENTION_SECONDS = parseEnvNumber("JWT_KEY_RETENTION_SECONDS", 86400, { min: 60, max: 2592000 });
+const KEYRING_CACHE_TTL_MS = 60 * 1000;
+// Unknown kids force at most one reload this often; anyone can send a made-up kid.
+const KEYRING_MISS_RELOAD_MS = 5 * 1000;
+if (!SUPPORTED_ALGORITHMS.includes(JWT_SIGNING_ALGORITHM)) {
+    throw new Error(`JWT_SIGNING_ALGORITHM must be one of ${SUPPORTED_ALGORITHMS.join(", ")}, got: ${JWT_SIGNING_ALGORITHM}`);
+}
+// Private keys are stored as encrypted PKCS#8; JWT_SECRET stays the only secret to manage.
+const KEY_PASSPHRASE = process.env.JWT_SECRET;
+const KEY_COLUMNS = "kid, algorithm, public_key, private_key, status, created_at, retired_at";
+
+let schemaReady = false;
+let keyringCache = null;
+let lastMissReloadAt = 0;
+
+async function ensureSchema(client) {
+    await client.query(`
+    CREATE TABLE IF NOT EXISTS jwt_signing_keys (
+      kid TEXT PRIMARY KEY,
+      algorithm TEXT NOT NULL,
+      public_key TEXT NOT NULL,
+      private_key TEXT NOT NULL,
+      status TEXT NOT NULL CHECK (status IN ('active', 'retired')),
+      created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      retired_at TIMESTAMPTZ
+    );
+  `);
+    // At most one signing key, even with several replicas bootstrapping at once.
+    await client.query(`
+    CREATE UNIQUE INDEX IF NOT EXISTS jwt_signing_keys_active_idx
+      ON jwt_signing_keys ((true))
+      WHERE status = 'active';
+  `);
+}
+
+async function withClient(fn) {
+    return poolWithClient(async (client) => {
+        if (!schemaReady) {
+            await ensureSchema(client);
+            schemaReady = true;
+        }
+        return await fn(client);
+    });
+}
+
+function generateKey(algorithm) {
+    const privateKeyEncoding = { type: "pkcs8", format: "pem", cipher: "aes-256-cbc", passphrase: KEY_PASSPHRASE };
+    const publicKeyEncoding = { type: "spki", format: "pem" };
+    const { publicKey, privateKey } = algorithm === "ES256"
+        ? crypto.generateKeyPairSync("ec", { namedCurve: "P-256", publicKeyEncoding, privateKeyEncoding })
+        : crypto.generateKeyPairSync("rsa", { modulusLength: 2048, publicKeyEncoding, privateKeyEncoding });
+    return { kid: crypto.randomUUID(), algorithm, publicKey, privateKey };
+}
+
+function mapRow(row) {
+    return {
+        kid: row.kid,
+        algorithm: row.algorithm,
+        status: row.status,
+        createdAt: row.created_at,
+        retiredAt: row.retired_at
+    };
+}
+
+async function loadKeyring(force = false) {
+    if (!force && keyringCache && keyringCache.expiresAt > Date.now()) {
+        return keyringCache;
+    }
+    const rows = await withClient(async (client) => {
+        // Retired keys past retention can no longer have live tokens; drop them here.
+        await client.query(`DELETE FROM jwt_signing_keys
+       WHERE status = 'retired' AND retired_at <= now() - ($1 * interval '1 second')`, [JWT_KEY_RETENTION_SECONDS]);
+        let result = await client.query(`SELECT ${KEY_COLUMNS} FROM jwt_signing_keys ORDER BY created_at DESC`);
+        if (!result.rows.some((row) => row.status === "active")) {
+            const key = generateKey(JWT_SIGNING_ALGORITHM);
+            await client.query(`INSERT INTO jwt_signing_keys (kid, algorithm, public_key, private_key, status)
+         VALUES ($1, $2, $3, $4, 'active')
+         ON CONFLICT DO NOTHING`, [key.kid, key.algorithm, key.publicKey, key.privateKey]);
+            result = await client.query(`SELECT ${KEY_COLUMNS} FROM jwt_signing_keys ORDER BY created_at DESC`);
+        }
+        return result.rows;
+    });
+    const keys = new Map();
+    let active = null;
+    for (const row of rows) {
+        const entry = { ...mapRow(row), publicKey: crypto.createPublicKey(row.public_key), privateKeyPem: row.private_key };
+        keys.set(row.kid, entry);
+        if (row.status === "active") {
+            active = entry;
+        }
+    }
+    if (!active) {
+        throw new HttpError(503, "No active token signing key.");
+    }
+    // Decrypt once per reload rather than on every signature.
+    active.privateKey = crypto.createPrivateKey({ key: active.privateKeyPem, format: "pem", passphrase: KEY_PASSPHRASE });
+    keyringCache = { keys, active, expiresAt: Date.now() + KEYRING_CACHE_TTL_MS };
+    return keyringCache;
+}
+
+/**
+ * The key that signs new tokens: { kid, algorithm, privateKey }.
+ */
+export async function getActiveSigningKey() {
+    const { active } = await loadKeyring();
+    return { kid: active.kid, algorithm: active.algorithm, privateKey: active.privateKey };
+}
+
+/**
+ * Public key for a kid, or null. A miss reloads the keyring, at most once per
+ * KEYRING_MISS_RELOAD_MS, so keys rotated on another replica are picked up within seconds.
+ */
+export async function getVerificationKey(kid) {
+    let keyring = await loadKeyring();
+    if (!keyring.keys.has(kid) && Date.now() - lastMissReloadAt >= KEYRING_MISS_RELOAD_MS) {
+        lastMissReloadAt = Date.now();
+        keyring = await loadKeyring(true);
+    }
+    const entry = keyring.keys.get(kid);
+    return entry ? { kid: entry.kid, algorithm: entry.algorithm, publicKey: entry.publicKey } : null;
+}
+
+export async function listSigningKeys() {
+    const { keys } = await loadKeyring(true);
+    return Array.from(keys.values()).map(({ kid, algorithm, status, createdAt, retiredAt }) => ({
+        kid,
+        algorithm,
+        status,
+        createdAt,
+        retiredAt
+    }));
+}
+
+/**
+ * Retire the active key and start signing with a new one. Tokens signed with the old
+ * key keep verifying until JWT_KEY_RETENTION_SECONDS after rotation.
+ */
+export async function rotateSigningKey(algorithm = JWT_SIGNING_ALGORITHM) {
+    if (!SUPPORTED_ALGORITHMS.includes(algorithm)) {
+        throw new HttpError(400, `Unsupported signing algorithm: ${algorithm}`);
+    }
+    const key = generateKey(algorithm);
+    const row = await withClient(async (client) => {
+        await client.query("BEGIN");
+        try {
+            await client.query(`UPDATE jwt_signing_keys
+         SET status = 'retired', retired_at = now()
+         WHERE status = 'active'`);
+            const result = await client.query(`INSERT INTO jwt_signing_keys (kid, algorithm, public_key, private_key, status)
+         VALUES ($1, $2, $3, $4, 'active')
+         RETURNING ${KEY_COLUMNS}`, [key.kid, key.algorithm, key.publicKey, key.privateKey]);
+            await client.query("COMMIT");
+            return result.rows[0];
+        }
+        catch (error) {
+            await client.query("ROLLBACK");
+            throw error;
+        }
+    });
+    keyringCache = null;
+    return mapRow(row);
+}
+
+/**
+ * JSON Web Key Set with every key that may still verify a live token.
+ */
+export async function getJwks() {
+    const { keys } = await loadKeyring();
+    return {
+        keys: Array.from(keys.values()).map((entry) => ({
+            ...entry.publicKey.export({ format: "jwk" }),
+            kid: entry.kid,
+            alg: entry.algorithm,
+            use: "sig"
+        }))
+    };
+}
@@ -1,5 +1,6 @@
 import { HttpError } from "../http/errors.js";
 import { withClient as poolWithClient } from "../db/pool.js";
+import { revokeUserRefreshTokens } from "./refresh-token.service.js";
 
 let schemaReady = false;
 
@@ -16,6 +17,14 @@ async function ensureSchema(client) {
     CREATE INDEX IF NOT EXISTS token_revocations_expires_at_idx
       ON token_revocations (expires_at);
   `);
+    // Per-user cutoff: every token issued at or before not_before is revoked (password change/reset).
+    await client.query(`
+    CREATE TABLE IF NOT EXISTS token_revocation_cutoffs (
+      user_id TEXT PRIMARY KEY,
+      not_before TIMESTAMPTZ NOT NULL,
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    );
+  `);
 }
 
 async function withClient(fn) {
@@ -67,6 +76,36 @@ export async function isTokenRevoked(jti) {
     });
 }
 
+export async function revokeAllUserTokens(userId) {
+    if (!userId || typeof userId !== "string") {
+        return;
+    }
+    await withClient(async (client) => {
+        // Taken from the clock that stamps iat (in milliseconds, see signToken): tokens
+        // issued from now on stay valid, ones issued earlier in the same second do not.
+        await client.query(`
+      INSERT INTO token_revocation_cutoffs (user_id, not_before)
+      VALUES ($1, to_timestamp($2))
+      ON CONFLICT (user_id) DO UPDATE SET not_before = EXCLUDED.not_before, updated_at = now()
+    `, [userId, Date.now() / 1000]);
+    });
+    // Otherwise a surviving refresh token would just mint fresh access tokens.
+    await revokeUserRefreshTokens(userId);
+}
+
+export async function isTokenIssuedBeforeCutoff(userId, iatSeconds) {
+    if (!userId || typeof userId !== "string" || !Number.isFinite(iatSeconds)) {
+        return false;
+    }
+    return withClient(async (client) => {
+        const res = await client.query(
+            "SELECT 1 FROM token_revocation_cutoffs WHERE user_id = $1 AND not_before >= to_timestamp($2)",
+            [userId, iatSeconds]
+        );
+        return (res.rowCount ?? 0) > 0;
+    });
+}
+
 export async function pruneExpiredRevocations(limit = 1000) {
     return withClient(async (client) => {
         // Postgres-compatible bounded delete (no DELETE ... LIMIT).
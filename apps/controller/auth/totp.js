@@ -0,0 +1,108 @@
+import crypto from "node:crypto";
+
+// RFC 6238 TOTP (SHA-1, 6 digits, 30s step) - the profile every authenticator app supports.
+const TOTP_DIGITS = 6;
+const TOTP_STEP_SECONDS = 30;
+const TOTP_WINDOW = 1; // accept one step of clock drift in either direction
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const RECOVERY_CODE_COUNT = 10;
+
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = "";
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+}
+
+function base32Decode(input) {
+    const normalized = input.replace(/=+$/, "").replace(/\s+/g, "").toUpperCase();
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+    for (const char of normalized) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error("Invalid base32 secret.");
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+function hotp(secret, counter) {
+    const buffer = Buffer.alloc(8);
+    buffer.writeBigUInt64BE(BigInt(counter));
+    const digest = crypto.createHmac("sha1", base32Decode(secret)).update(buffer).digest();
+    const offset = digest[digest.length - 1] & 0xf;
+    const code = (digest.readUInt32BE(offset) & 0x7fffffff) % 10 ** TOTP_DIGITS;
+    return String(code).padStart(TOTP_DIGITS, "0");
+}
+
+export function generateTotpSecret() {
+    return base32Encode(crypto.randomBytes(20));
+}
+
+export function buildOtpAuthUri({ secret, accountName, issuer }) {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: "SHA1",
+        digits: String(TOTP_DIGITS),
+        period: String(TOTP_STEP_SECONDS)
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+/**
+ * Verify a TOTP code against a base32 secret.
+ * Returns the matched time step (for replay protection) or null.
+ */
+export function verifyTotpCode(secret, code, now = Date.now()) {
+    const normalized = String(code ?? "").replace(/\s+/g, "");
+    if (!/^\d+$/.test(normalized) || normalized.length !== TOTP_DIGITS) {
+        return null;
+    }
+    const currentStep = Math.floor(now / 1000 / TOTP_STEP_SECONDS);
+    for (let offset = -TOTP_WINDOW; offset <= TOTP_WINDOW; offset++) {
+        const step = currentStep + offset;
+        const expected = hotp(secret, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+            return step;
+        }
+    }
+    return null;
+}
+
+export function generateRecoveryCodes(count = RECOVERY_CODE_COUNT) {
+    const codes = [];
+    for (let i = 0; i < count; i++) {
+        const raw = crypto.randomBytes(5).toString("hex");
+        codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+    }
+    return codes;
+}
+
+export function normalizeRecoveryCode(code) {
+    return String(code ?? "").trim().toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+export function hashRecoveryCode(code) {
+    return crypto.createHash("sha256").update(normalizeRecoveryCode(code)).digest("hex");
+}
@@ -0,0 +1,43 @@
+import { withClient } from "./pool.js";
+import { logger } from "../config/logger.js";
+
+// One-time data migrations (schema changes stay idempotent in each service's ensureSchema).
+// A migration is recorded only after it succeeds, so a failed one runs again on the next start.
+let schemaReady = false;
+
+async function ensureSchema(client) {
+    await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      name TEXT PRIMARY KEY,
+      applied_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    );
+  `);
+}
+
+/**
+ * Run `fn` once per database under `name`. An advisory lock keeps replicas starting
+ * together from running it twice; `fn` must still be safe to repeat after a crash.
+ * @returns {Promise<boolean>} true when the migration ran in this call
+ */
+export async function runMigrationOnce(name, fn) {
+    return withClient(async (client) => {
+        if (!schemaReady) {
+            await ensureSchema(client);
+            schemaReady = true;
+        }
+        await client.query("SELECT pg_advisory_lock(hashtext($1))", [name]);
+        try {
+            const applied = await client.query("SELECT 1 FROM schema_migrations WHERE name = $1", [name]);
+            if (applied.rowCount > 0) {
+                return false;
+            }
+            const result = await fn();
+            await client.query("INSERT INTO schema_migrations (name) VALUES ($1) ON CONFLICT DO NOTHING", [name]);
+            logger.info({ migration: name, result }, "Migration applied");
+            return true;
+        }
+        finally {
+            await client.query("SELECT pg_advisory_unlock(hashtext($1))", [name]);
+        }
+    });
+}
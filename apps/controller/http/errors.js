@@ -1,10 +1,15 @@
 export class HttpError extends Error {
     statusCode;
     details;
-    constructor(statusCode, message, details = null) {
+    code;
+    /**
+     * `code` is a stable machine-readable reason; unlike `details` it is sent in production.
+     */
+    constructor(statusCode, message, details = null, code = null) {
         super(message);
         this.statusCode = statusCode;
         this.details = details;
+        this.code = code;
         this.name = "HttpError";
     }
     
@@ -18,6 +23,10 @@ export class HttpError extends Error {
             statusCode: this.statusCode
         };
         
+        if (this.code) {
+            response.code = this.code;
+        }
+        
         // Only include details in development
         if (!isProduction && this.details) {
             response.details = this.details;
@@ -1,21 +1,82 @@
 import { z } from "zod";
 import { HttpError } from "./errors.js";
-import { logger } from "../config/logger.js";
 import { parseEnvNumber } from "../config/env.js";
 import { readAllowlist, writeAllowlist } from "../security/allowlist.js";
 import { checkRateLimit, pruneRateLimitStore } from "../security/rate-limit.js";
 import { logAudit } from "../audit/audit.service.js";
-import { CreateUserSchema, LoginSchema, ToggleUserSchema } from "../users/user.dto.js";
-import { createUser, listUsers, setUserActive, deleteUser, verifyUserCredentials, getUserById, updateUserStatus } from "../users/user.service.js";
+import {
+    CreateUserSchema,
+    LoginSchema,
+    ToggleUserSchema,
+    TotpVerifySchema,
+    TotpDisableSchema,
+    ChangePasswordSchema,
+    ResetPasswordSchema,
+    InviteUserSchema,
+    AcceptInvitationSchema,
+    ImpersonateUserSchema
+} from "../users/user.dto.js";
+import {
+    createUser,
+    verifyUserCredentials,
+    getUserById,
+    updateUserStatus,
+    isTwoFactorRequiredForRole,
+    verifyUserSecondFactor,
+    beginTotpEnrollment,
+    confirmTotpEnrollment,
+    disableUserTotp,
+    verifyUserPassword,
+    changeUserPassword,
+    setTemporaryPassword,
+    findOrProvisionFederatedUser,
+    recordFailedLogin,
+    clearFailedLogins,
+    unlockUser,
+    createInvitedUser,
+    setInitialPassword,
+    setUserPlan
+} from "../users/user.service.js";
+import { issueInvitation, consumeInvitation } from "../users/invitation.service.js";
 import { signToken } from "../auth/jwt.js";
-import { revokeTokenJti } from "../auth/token-revocation.service.js";
-import { bootstrapUserNamespace } from "../users/user.bootstrap.js";
+import { canImpersonateRole, hasPermission, listPermissions, isDeniedUnderImpersonation } from "../auth/permissions.js";
+import { revokeAllUserTokens } from "../auth/token-revocation.service.js";
+import { RevokeAllSessionsSchema } from "../auth/session.dto.js";
+import { RotateSigningKeySchema } from "../auth/signing-key.dto.js";
+import { getJwks, listSigningKeys, rotateSigningKey } from "../auth/signing-key.service.js";
+import { RefreshTokenSchema } from "../auth/refresh-token.dto.js";
+import { issueRefreshToken, rotateRefreshToken } from "../auth/refresh-token.service.js";
+import {
+    recordSession,
+    listSessions,
+    endSession,
+    revokeSession,
+    revokeSessionFamily,
+    revokeAllSessions
+} from "../auth/session.service.js";
+import { CreateApiTokenSchema } from "../auth/api-token.dto.js";
+import { createApiToken, listApiTokens, revokeApiToken } from "../auth/api-token.service.js";
+import { OidcCallbackSchema } from "../auth/oidc.dto.js";
+import { createAuthorizationRequest, completeAuthorization, mapOidcClaims } from "../auth/oidc.js";
+import { bootstrapUserNamespace, applyUserPlanQuota, reconcileUserNamespace } from "../users/user.bootstrap.js";
+import { resumeUser, suspendUser } from "../users/user.suspension.js";
+import { startUserDeletion, getLatestDeletionJobForUser } from "../users/user.deletion.js";
+import {
+    getManagedUser,
+    listVisibleUsers,
+    resolveNewUserParent,
+    assertResellerCapacity
+} from "../users/user.hierarchy.js";
+import { AssignPlanSchema, CreatePlanSchema, UpdatePlanSchema } from "../plans/plan.dto.js";
+import { listPlans, getPlanById, createPlan, updatePlan, deletePlan, listPlanUserIds } from "../plans/plan.service.js";
+import { assertSiteAccess, filterAccessibleSites } from "../sites/site.access.js";
 import { CreateAppSchema, DeployAppSchema } from "../apps/app.dto.js";
 import { listApps, createApp, deployApp, getAppByIdWithOwnershipCheck } from "../apps/app.service.js";
 import {
     CreateSiteSchema,
     PatchLimitsSchema,
     DeploySiteSchema,
+    RollbackSiteSchema,
     PatchTlsSchema,
     ConfirmDeleteSchema,
     MailEnableSchema,
@@ -25,15 +86,29 @@ import {
     RegistryCredentialsSchema,
     DbEnableSchema,
     MailboxCreateSchema,
-    AliasCreateSchema
+    AliasCreateSchema,
+    AddSiteMemberSchema,
+    UpdateSiteMemberSchema,
+    AddSiteDomainSchema,
+    CanonicalDomainSchema,
+    SetSiteEnvSchema
 } from "../sites/site.dto.js";
+import { addSiteMemberByUsername, listSiteMembers, getSiteMemberRole, upsertSiteMember, removeSiteMember } from "../sites/site.members.js";
+import { listSiteEnv, setSiteEnvVar, deleteSiteEnvVar } from "../sites/site.env.js";
 import {
     createSite,
     listSites,
+    getSiteDetail,
     deleteSite,
     updateSiteLimits,
     deploySite,
+    rollbackSite,
+    getSiteDeployHistory,
     updateSiteTls,
+    getSiteDomains,
+    addSiteDomain,
+    removeSiteDomain,
+    setSiteCanonicalDomain,
     enableSiteDb,
     disableSiteDb,
     purgeSiteDb,
@@ -60,24 +135,80 @@ const AllowlistSchema = z.object({
 });
 const LOGIN_RATE_LIMIT = parseEnvNumber("LOGIN_RATE_LIMIT", 10, { min: 1, max: 1000 });
 const LOGIN_RATE_WINDOW_SECONDS = parseEnvNumber("LOGIN_RATE_WINDOW_SECONDS", 300, { min: 1, max: 86400 });
+const IMPERSONATION_TTL_SECONDS = parseEnvNumber("IMPERSONATION_TTL_SECONDS", 600, { min: 60, max: 3600 });
 
-function requireAdmin(req) {
-    if (!req.user) {
-        throw new HttpError(401, "Authentication required.");
+function requirePermission(req, action) {
+    const user = requireUser(req);
+    if (!hasPermission(user.role, action)) {
+        throw new HttpError(403, `Permission denied: ${action}.`);
     }
-    if (req.user.role !== "admin") {
-        throw new HttpError(403, "Admin access required.");
+    if (user.act && isDeniedUnderImpersonation(action)) {
+        throw new HttpError(403, `Not allowed while impersonating: ${action}.`);
     }
-    return req.user;
+    return user;
+}
+
+// Every /sites/:slug route: the role permission for the action, then ownership of the
+// site or a site membership whose role allows the action.
+async function requireSitePermission(req, slug, action) {
+    const user = requirePermission(req, action);
+    await assertSiteAccess(user, slug, action);
+    return user;
 }
 
-function requireUser(req) {
+function requireUser(req, options = {}) {
     if (!req.user) {
         throw new HttpError(401, "Authentication required.");
     }
+    // Tokens issued to users who still owe a 2FA enrollment only reach the enrollment routes.
+    if (req.user.mfa_enroll && !options.allowMfaEnrollment) {
+        throw new HttpError(403, "Two-factor enrollment required.");
+    }
+    // Same for accounts carrying an admin-set temporary password.
+    if (req.user.pwd_change && !options.allowPasswordChange) {
+        throw new HttpError(403, "Password change required.");
+    }
+    // Impersonators see what the user sees but never touch the user's credentials.
+    if (req.user.act && options.denyImpersonation) {
+        throw new HttpError(403, "Not allowed while impersonating.");
+    }
     return req.user;
 }
 
+/**
+ * Sign a session token and record it (IP, user agent, expiry) for the session list.
+ */
+async function issueSessionToken(req, claims, options = {}) {
+    const token = await signToken(claims, options);
+    await recordSession(token, { ip: getClientIp(req), userAgent: req.headers["user-agent"] });
+    return token;
+}
+
+/**
+ * Access token claims derived from the current account state, so a refresh picks up
+ * role changes and still carries a pending 2FA enrollment or password change.
+ */
+function sessionClaims(user) {
+    // MFA for federated logins is the identity provider's responsibility.
+    const mfaEnroll = user.authProvider === "local" && !user.twoFactorEnabled && isTwoFactorRequiredForRole(user.role);
+    return {
+        sub: user.id,
+        role: user.role,
+        disabled: !user.active,
+        ...(mfaEnroll ? { mfa_enroll: true } : {}),
+        ...(user.mustChangePassword ? { pwd_change: true } : {})
+    };
+}
+
+/**
+ * Start a login: a new refresh token family plus its first access token ("sid" = family).
+ */
+async function startSession(req, user) {
+    const { refreshToken, familyId } = await issueRefreshToken(user.id);
+    const token = await issueSessionToken(req, { ...sessionClaims(user), sid: familyId });
+    return { token, refreshToken };
+}
+
 function safeAudit(entry) {
     void logAudit(entry).catch(() => undefined);
 }
@@ -85,6 +216,58 @@ function safeAudit(entry) {
 function getClientIp(req) {
     return req.ip ?? null;
 }
+
+/**
+ * Provision the namespace, quota and database of a freshly created user and mark it active.
+ * On failure the user is left in status "error" and a 500 is thrown.
+ */
+async function bootstrapNewUser(user, context) {
+    try {
+        await bootstrapUserNamespace(user.id);
+        await updateUserStatus(user.id, "active");
+        const active = await getUserById(user.id);
+        safeAudit({
+            action: "users.bootstrap",
+            actorUserId: context.actorUserId,
+            targetType: "user",
+            targetId: user.id,
+            ip: context.ip,
+            success: true
+        });
+        return active;
+    } catch (error) {
+        await updateUserStatus(user.id, "error");
+        safeAudit({
+            action: "users.bootstrap",
+            actorUserId: context.actorUserId,
+            targetType: "user",
+            targetId: user.id,
+            ip: context.ip,
+            success: false,
+            error: error?.message ?? String(error)
+        });
+        throw new HttpError(500, `User created but namespace bootstrap failed: ${error?.message ?? String(error)}`);
+    }
+}
+const PLAN_QUOTA_FIELDS = ["cpuRequest", "cpuLimit", "memoryRequest", "memoryLimit", "storage", "pvcCount"];
+// Push a plan's quota to the namespaces of its users. Users not bootstrapped yet have no
+// namespace; they pick the plan up when bootstrapped.
+async function reapplyPlanQuota(plan, userIds) {
+    const result = { applied: [], failed: [] };
+    for (const userId of userIds) {
+        const user = await getUserById(userId);
+        if (user.status !== "active") {
+            continue;
+        }
+        try {
+            await applyUserPlanQuota(userId, plan);
+            result.applied.push(userId);
+        } catch (error) {
+            result.failed.push({ userId, error: error?.message ?? String(error) });
+        }
+    }
+    return result;
+}
 export function registerRoutes(app) {
     app.post("/auth/login", async (req, reply) => {
         const body = LoginSchema.parse(req.body ?? {});
@@ -99,40 +282,153 @@ export function registerRoutes(app) {
             throw new HttpError(429, "Too many login attempts. Please retry later.");
         }
         let user;
+        let secondFactor;
         try {
             user = await verifyUserCredentials(body.username, body.password);
+            if (user.twoFactorEnabled) {
+                secondFactor = await verifyUserSecondFactor(user.id, body);
+            }
         }
         catch (error) {
+            // A missing (not wrong) second factor is just the first half of a 2FA login.
+            const countsAsFailure = error?.statusCode === 401 && error?.code !== "two_factor_required";
+            const lock = countsAsFailure
+                ? await recordFailedLogin(body.username)
+                : error?.statusCode === 423
+                    ? { locked: true, lockedUntil: error.details?.lockedUntil ?? null }
+                    : null;
             safeAudit({
                 action: "auth.login_failed",
+                actorUserId: user?.id,
                 actorUsername: body.username,
                 ip,
                 success: false,
-                error: error?.message ?? "invalid_credentials"
+                error: error?.message ?? "invalid_credentials",
+                meta: user || lock
+                    ? { ...(user ? { stage: "second_factor" } : {}), ...(lock ? { lock } : {}) }
+                    : undefined
             });
             throw error;
         }
-        const token = signToken({
-            sub: user.id,
-            role: user.role,
-            disabled: !user.active
+        await clearFailedLogins(user.id);
+        const twoFactorEnrollmentRequired = Boolean(sessionClaims(user).mfa_enroll);
+        const session = await startSession(req, user);
+        safeAudit({
+            action: "auth.login",
+            actorUserId: user.id,
+            actorUsername: user.username,
+            ip,
+            success: true,
+            meta: secondFactor ? { secondFactor: secondFactor.method } : undefined
+        });
+        return reply.send({
+            ok: true,
+            ...session,
+            user,
+            permissions: listPermissions(user.role),
+            ...(twoFactorEnrollmentRequired ? { twoFactorEnrollmentRequired } : {}),
+            ...(user.mustChangePassword ? { passwordChangeRequired: true } : {}),
+            ...(secondFactor?.recoveryCodesRemaining !== undefined
+                ? { recoveryCodesRemaining: secondFactor.recoveryCodesRemaining }
+                : {})
         });
+    });
+    
+    // OpenID Connect single sign-on (authorization code + PKCE)
+    app.get("/auth/oidc/authorize", async (_req, reply) => {
+        const request = await createAuthorizationRequest();
+        return reply.send({ ok: true, ...request });
+    });
+
+    app.post("/auth/oidc/callback", async (req, reply) => {
+        const body = OidcCallbackSchema.parse(req.body ?? {});
+        const ip = getClientIp(req);
+        let identity;
+        let provisioned;
+        try {
+            identity = mapOidcClaims(await completeAuthorization(body));
+            provisioned = await findOrProvisionFederatedUser("oidc", identity);
+        } catch (error) {
+            safeAudit({
+                action: "auth.login_failed",
+                actorUsername: identity?.username,
+                ip,
+                success: false,
+                error: error?.message ?? String(error),
+                meta: { provider: "oidc", subject: identity?.subject }
+            });
+            throw error;
+        }
+        let user = provisioned.user;
+        if (provisioned.created) {
+            safeAudit({
+                action: "users.create",
+                actorUserId: user.id,
+                actorUsername: user.username,
+                targetType: "user",
+                targetId: user.id,
+                ip,
+                success: true,
+                meta: { provider: "oidc", subject: identity.subject }
+            });
+            // Self-provisioned: same bootstrap as POST /admin/users, with the user as actor.
+            user = await bootstrapNewUser(user, { actorUserId: user.id, ip });
+        }
+        if (!user.active) {
+            throw new HttpError(403, "User is disabled.");
+        }
+        const session = await startSession(req, user);
         safeAudit({
             action: "auth.login",
             actorUserId: user.id,
             actorUsername: user.username,
             ip,
+            success: true,
+            meta: { provider: "oidc" }
+        });
+        return reply.send({ ok: true, ...session, user, permissions: listPermissions(user.role) });
+    });
+
+    // Public: the invitee picks a password, then the account is bootstrapped.
+    app.post("/auth/invitations/accept", async (req, reply) => {
+        const body = AcceptInvitationSchema.parse(req.body ?? {});
+        const ip = getClientIp(req);
+        let user;
+        try {
+            user = await consumeInvitation(body.token, (client, userId) => setInitialPassword(userId, body.password, client));
+        } catch (error) {
+            safeAudit({
+                action: "users.invite.accept",
+                targetType: "user",
+                targetId: user?.id,
+                ip,
+                success: false,
+                error: error?.message ?? String(error)
+            });
+            throw error;
+        }
+        safeAudit({
+            action: "users.invite.accept",
+            actorUserId: user.id,
+            actorUsername: user.username,
+            targetType: "user",
+            targetId: user.id,
+            ip,
             success: true
         });
-        return reply.send({ ok: true, token, user });
+        user = await bootstrapNewUser(user, { actorUserId: user.id, ip });
+        return reply.send({ ok: true, user });
     });
-    
+
     // Production-ready logout endpoint (for session invalidation tracking)
     app.post("/auth/logout", async (req, reply) => {
-        const user = requireUser(req);
-        // Production-ready: revoke the current token so logout actually invalidates it.
-        if (user.jti && user.exp) {
-            await revokeTokenJti(user.jti, user.exp);
+        const user = requireUser(req, { allowMfaEnrollment: true, allowPasswordChange: true });
+        // Production-ready: revoke the current token (and its refresh family) so logout actually invalidates it.
+        if (user.sid) {
+            await revokeSessionFamily(user.sid);
+        }
+        else if (user.jti && user.exp) {
+            await endSession(user.jti, user.exp);
         }
         safeAudit({
             action: "auth.logout",
@@ -144,94 +440,590 @@ export function registerRoutes(app) {
         return reply.send({ ok: true, message: "Logged out successfully" });
     });
     
-    // Production-ready token refresh endpoint
+    // Token refresh: public, authenticated by a single-use refresh token
     app.post("/auth/refresh", async (req, reply) => {
-        const user = requireUser(req);
-        // Production-ready: rotate token + revoke current one for immediate invalidation.
+        const body = RefreshTokenSchema.parse(req.body ?? {});
+        const ip = getClientIp(req);
+        const rotated = await rotateRefreshToken(body.refreshToken);
+        if (rotated.reused) {
+            // Someone replayed a consumed token: end the whole login on every device.
+            await revokeSessionFamily(rotated.familyId);
+            safeAudit({
+                action: "auth.refresh_reuse",
+                actorUserId: rotated.userId,
+                ip,
+                success: false,
+                error: "refresh_token_reuse",
+                meta: { familyId: rotated.familyId }
+            });
+            throw new HttpError(401, "Refresh token reuse detected. Please sign in again.");
+        }
+        const user = await getUserById(rotated.userId);
+        if (!user.active) {
+            await revokeSessionFamily(rotated.familyId);
+            throw new HttpError(403, "User is disabled.");
+        }
+        const token = await issueSessionToken(req, { ...sessionClaims(user), sid: rotated.familyId });
+        safeAudit({
+            action: "auth.refresh",
+            actorUserId: user.id,
+            ip,
+            success: true
+        });
+        return reply.send({ ok: true, token, refreshToken: rotated.refreshToken });
+    });
+    
+    // Self-service password change; every other session of the user is revoked.
+    app.post("/auth/password", async (req, reply) => {
+        const user = requireUser(req, { allowMfaEnrollment: true, allowPasswordChange: true, denyImpersonation: true });
+        const body = ChangePasswordSchema.parse(req.body ?? {});
+        try {
+            await changeUserPassword(user.sub, body.currentPassword, body.newPassword);
+        } catch (error) {
+            safeAudit({
+                action: "auth.password.change",
+                actorUserId: user.sub,
+                ip: getClientIp(req),
+                success: false,
+                error: error?.message ?? String(error)
+            });
+            throw error;
+        }
+        // Also revokes every refresh token, so the caller gets a fresh login below.
+        await revokeAllUserTokens(user.sub);
         if (user.jti && user.exp) {
-            await revokeTokenJti(user.jti, user.exp);
+            await endSession(user.jti, user.exp);
+        }
+        const session = await startSession(req, await getUserById(user.sub));
+        safeAudit({
+            action: "auth.password.change",
+            actorUserId: user.sub,
+            ip: getClientIp(req),
+            success: true
+        });
+        return reply.send({ ok: true, ...session });
+    });
+
+    // Two-factor (TOTP) enrollment for the calling user
+    app.post("/auth/2fa/enroll", async (req, reply) => {
+        const user = requireUser(req, { allowMfaEnrollment: true, denyImpersonation: true });
+        const enrollment = await beginTotpEnrollment(user.sub);
+        safeAudit({
+            action: "auth.2fa.enroll",
+            actorUserId: user.sub,
+            ip: getClientIp(req),
+            success: true
+        });
+        return reply.send({ ok: true, ...enrollment });
+    });
+
+    app.post("/auth/2fa/verify", async (req, reply) => {
+        const user = requireUser(req, { allowMfaEnrollment: true, denyImpersonation: true });
+        const body = TotpVerifySchema.parse(req.body ?? {});
+        let result;
+        try {
+            result = await confirmTotpEnrollment(user.sub, body.code);
+        } catch (error) {
+            safeAudit({
+                action: "auth.2fa.verify",
+                actorUserId: user.sub,
+                ip: getClientIp(req),
+                success: false,
+                error: error?.message ?? String(error)
+            });
+            throw error;
+        }
+        safeAudit({
+            action: "auth.2fa.verify",
+            actorUserId: user.sub,
+            ip: getClientIp(req),
+            success: true
+        });
+        // Swap an enrollment-restricted token for a full one.
+        let token;
+        if (user.mfa_enroll) {
+            if (user.jti && user.exp) {
+                await endSession(user.jti, user.exp);
+            }
+            token = await issueSessionToken(req, {
+                ...sessionClaims(await getUserById(user.sub)),
+                ...(user.sid ? { sid: user.sid } : {})
+            });
+        }
+        return reply.send({ ok: true, recoveryCodes: result.recoveryCodes, ...(token ? { token } : {}) });
+    });
+
+    app.post("/auth/2fa/disable", async (req, reply) => {
+        const user = requireUser(req, { denyImpersonation: true });
+        const body = TotpDisableSchema.parse(req.body ?? {});
+        if (isTwoFactorRequiredForRole(user.role)) {
+            throw new HttpError(403, "Two-factor authentication is required for this role.");
+        }
+        try {
+            const passwordOk = await verifyUserPassword(user.sub, body.password);
+            if (!passwordOk) {
+                throw new HttpError(401, "Invalid credentials.");
+            }
+            await verifyUserSecondFactor(user.sub, body);
+            await disableUserTotp(user.sub);
+        } catch (error) {
+            safeAudit({
+                action: "auth.2fa.disable",
+                actorUserId: user.sub,
+                ip: getClientIp(req),
+                success: false,
+                error: error?.message ?? String(error)
+            });
+            throw error;
+        }
+        safeAudit({
+            action: "auth.2fa.disable",
+            actorUserId: user.sub,
+            ip: getClientIp(req),
+            success: true
+        });
+        return reply.send({ ok: true });
+    });
+
+    // Personal API tokens (session-only: tokens cannot mint or list tokens)
+    app.get("/auth/tokens", async (req, reply) => {
+        const user = requireUser(req);
+        const tokens = await listApiTokens(user.sub);
+        return reply.send({ ok: true, tokens });
+    });
+
+    app.post("/auth/tokens", async (req, reply) => {
+        const user = requireUser(req, { denyImpersonation: true });
+        const body = CreateApiTokenSchema.parse(req.body ?? {});
+        const { token, apiToken } = await createApiToken(user, body);
+        safeAudit({
+            action: "auth.token.create",
+            actorUserId: user.sub,
+            targetType: "api_token",
+            targetId: apiToken.id,
+            ip: getClientIp(req),
+            success: true,
+            meta: { scopes: apiToken.scopes, expiresAt: apiToken.expiresAt }
+        });
+        return reply.send({ ok: true, token, apiToken });
+    });
+
+    app.delete("/auth/tokens/:id", async (req, reply) => {
+        const user = requireUser(req, { denyImpersonation: true });
+        const id = String(req.params.id ?? "");
+        if (!id) {
+            throw new HttpError(400, "Token id is required.");
+        }
+        const apiToken = await revokeApiToken(user.sub, id);
+        safeAudit({
+            action: "auth.token.revoke",
+            actorUserId: user.sub,
+            targetType: "api_token",
+            targetId: apiToken.id,
+            ip: getClientIp(req),
+            success: true
+        });
+        return reply.send({ ok: true });
+    });
+
+    // Sessions (issued panel tokens) of the calling user
+    app.get("/auth/sessions", async (req, reply) => {
+        const user = requireUser(req, { allowMfaEnrollment: true, allowPasswordChange: true });
+        const sessions = await listSessions(user.sub);
+        return reply.send({
+            ok: true,
+            sessions: sessions.map((session) => ({
+                ...session,
+                current: user.sid ? session.familyId === user.sid : session.jti === user.jti
+            }))
+        });
+    });
+    app.delete("/auth/sessions/:jti", async (req, reply) => {
+        const user = requireUser(req, { allowMfaEnrollment: true, allowPasswordChange: true, denyImpersonation: true });
+        const jti = String(req.params.jti ?? "");
+        if (!jti) {
+            throw new HttpError(400, "Session id is required.");
+        }
+        await revokeSession(user.sub, jti);
+        safeAudit({
+            action: "auth.session.revoke",
+            actorUserId: user.sub,
+            targetType: "session",
+            targetId: jti,
+            ip: getClientIp(req),
+            success: true
+        });
+        return reply.send({ ok: true });
+    });
+    app.post("/auth/sessions/revoke-all", async (req, reply) => {
+        const user = requireUser(req, { allowMfaEnrollment: true, allowPasswordChange: true, denyImpersonation: true });
+        const body = RevokeAllSessionsSchema.parse(req.body ?? {});
+        const revoked = await revokeAllSessions(user.sub, {
+            except: body.includeCurrent ? undefined : { familyId: user.sid, jti: user.jti }
+        });
+        if (body.includeCurrent && user.jti && user.exp) {
+            // Covers a current token issued before sessions were recorded.
+            await endSession(user.jti, user.exp);
+        }
+        safeAudit({
+            action: "auth.session.revoke_all",
+            actorUserId: user.sub,
+            ip: getClientIp(req),
+            success: true,
+            meta: { revoked, includeCurrent: body.includeCurrent }
+        });
+        return reply.send({ ok: true, revoked });
+    });
+
+    app.get("/admin/users", { config: { scope: "users:read" } }, async (req, reply) => {
+        const actor = requirePermission(req, "users.read");
+        const users = await listVisibleUsers(actor);
+        return reply.send({ ok: true, users });
+    });
+    app.post("/admin/users", { config: { scope: "users:write" } }, async (req, reply) => {
+        const actor = requirePermission(req, "users.create");
+        const body = CreateUserSchema.parse(req.body);
+        if (body.planId) {
+            await getPlanById(body.planId);
+        }
+        const parentId = await resolveNewUserParent(actor, body);
+        if (parentId) {
+            await assertResellerCapacity(parentId, body.planId ?? null);
+        }
+        let user;
+        try {
+            user = await createUser({ ...body, parentId });
+            safeAudit({
+                action: "users.create",
+                actorUserId: actor.sub,
+                targetType: "user",
+                targetId: user.id,
+                ip: getClientIp(req),
+                success: true
+            });
+        } catch (error) {
+            safeAudit({
+                action: "users.create",
+                actorUserId: actor.sub,
+                targetType: "user",
+                ip: getClientIp(req),
+                success: false,
+                error: error?.message ?? String(error)
+            });
+            throw error;
+        }
+        user = await bootstrapNewUser(user, { actorUserId: actor.sub, ip: getClientIp(req) });
+        return reply.send({ ok: true, user });
+    });
+    app.post("/admin/users/invite", { config: { scope: "users:write" } }, async (req, reply) => {
+        const actor = requirePermission(req, "users.create");
+        const body = InviteUserSchema.parse(req.body ?? {});
+        if (body.planId) {
+            await getPlanById(body.planId);
+        }
+        const parentId = await resolveNewUserParent(actor, body);
+        if (parentId) {
+            await assertResellerCapacity(parentId, body.planId ?? null);
+        }
+        let user;
+        let invitation;
+        try {
+            user = await createInvitedUser({ ...body, parentId });
+            invitation = await issueInvitation(user.id, actor.sub);
+        } catch (error) {
+            safeAudit({
+                action: "users.invite",
+                actorUserId: actor.sub,
+                targetType: "user",
+                targetId: user?.id,
+                ip: getClientIp(req),
+                success: false,
+                error: error?.message ?? String(error)
+            });
+            throw error;
+        }
+        safeAudit({
+            action: "users.invite",
+            actorUserId: actor.sub,
+            targetType: "user",
+            targetId: user.id,
+            ip: getClientIp(req),
+            success: true,
+            meta: { expiresAt: invitation.expiresAt }
+        });
+        return reply.send({ ok: true, user, ...invitation });
+    });
+    app.post("/admin/users/:id/invite", { config: { scope: "users:write" } }, async (req, reply) => {
+        const actor = requirePermission(req, "users.create");
+        const id = String(req.params.id ?? "");
+        if (!id) {
+            throw new HttpError(400, "User id is required.");
+        }
+        const user = await getManagedUser(actor, id);
+        if (user.status !== "invited") {
+            throw new HttpError(409, "User has already accepted an invitation.");
+        }
+        const invitation = await issueInvitation(user.id, actor.sub);
+        safeAudit({
+            action: "users.invite.resend",
+            actorUserId: actor.sub,
+            targetType: "user",
+            targetId: user.id,
+            ip: getClientIp(req),
+            success: true,
+            meta: { expiresAt: invitation.expiresAt }
+        });
+        return reply.send({ ok: true, user, ...invitation });
+    });
+    app.patch("/admin/users/:id", { config: { scope: "users:write" } }, async (req, reply) => {
+        const actor = requirePermission(req, "users.update");
+        const id = String(req.params.id ?? "");
+        if (!id) {
+            throw new HttpError(400, "User id is required.");
+        }
+        const target = await getManagedUser(actor, id);
+        const body = ToggleUserSchema.parse(req.body ?? {});
+        if (target.status === "deleting") {
+            throw new HttpError(409, "User is being deleted.");
+        }
+        let user;
+        let workloads;
+        try {
+            // Workloads come back before the account can log in and touch them.
+            ({ user, workloads } = body.active ? await resumeUser(id) : await suspendUser(id));
+        } catch (error) {
+            safeAudit({
+                action: "users.toggle",
+                actorUserId: actor.sub,
+                targetType: "user",
+                targetId: id,
+                ip: getClientIp(req),
+                success: false,
+                error: error?.message ?? String(error),
+                meta: { active: body.active }
+            });
+            throw error;
+        }
+        safeAudit({
+            action: "users.toggle",
+            actorUserId: actor.sub,
+            targetType: "user",
+            targetId: user.id,
+            ip: getClientIp(req),
+            success: true,
+            meta: { active: body.active, workloads }
+        });
+        return reply.send({ ok: true, user, workloads });
+    });
+    app.put("/admin/users/:id/plan", { config: { scope: "users:write" } }, async (req, reply) => {
+        const actor = requirePermission(req, "users.update");
+        const id = String(req.params.id ?? "");
+        if (!id) {
+            throw new HttpError(400, "User id is required.");
+        }
+        const previous = await getManagedUser(actor, id);
+        const body = AssignPlanSchema.parse(req.body ?? {});
+        const plan = await getPlanById(body.planId);
+        if (previous.parentId) {
+            await assertResellerCapacity(previous.parentId, plan.id, previous.id);
+        }
+        const user = await setUserPlan(id, plan.id);
+        let quotaApplied = false;
+        try {
+            if (user.status === "active") {
+                await applyUserPlanQuota(user.id, plan);
+                quotaApplied = true;
+            }
+        } catch (error) {
+            safeAudit({
+                action: "users.plan.assign",
+                actorUserId: actor.sub,
+                targetType: "user",
+                targetId: user.id,
+                ip: getClientIp(req),
+                success: false,
+                error: error?.message ?? String(error),
+                meta: { previousPlanId: previous.planId, planId: plan.id }
+            });
+            throw error;
+        }
+        safeAudit({
+            action: "users.plan.assign",
+            actorUserId: actor.sub,
+            targetType: "user",
+            targetId: user.id,
+            ip: getClientIp(req),
+            success: true,
+            meta: { previousPlanId: previous.planId, planId: plan.id }
+        });
+        return reply.send({ ok: true, user, plan, quotaApplied });
+    });
+    app.post("/admin/users/:id/reconcile", { config: { scope: "users:write" } }, async (req, reply) => {
+        const actor = requirePermission(req, "users.update");
+        const id = String(req.params.id ?? "");
+        if (!id) {
+            throw new HttpError(400, "User id is required.");
+        }
+        let user = await getManagedUser(actor, id);
+        if (user.status === "invited") {
+            throw new HttpError(409, "User has not accepted their invitation yet.");
+        }
+        if (user.status === "deleting") {
+            throw new HttpError(409, "User is being deleted.");
+        }
+        const result = await reconcileUserNamespace(id);
+        if (result.ok && user.status !== "active") {
+            await updateUserStatus(id, "active");
+            user = await getUserById(id);
+        }
+        safeAudit({
+            action: "users.reconcile",
+            actorUserId: actor.sub,
+            targetType: "user",
+            targetId: id,
+            ip: getClientIp(req),
+            success: result.ok,
+            meta: { steps: result.steps }
+        });
+        return reply.code(result.ok ? 200 : 500).send({ ok: result.ok, user, steps: result.steps });
+    });
+    app.post("/admin/users/:id/unlock", { config: { scope: "users:write" } }, async (req, reply) => {
+        const actor = requirePermission(req, "users.unlock");
+        const id = String(req.params.id ?? "");
+        if (!id) {
+            throw new HttpError(400, "User id is required.");
         }
-        const newToken = signToken({
-            sub: user.sub,
-            role: user.role,
-            disabled: user.disabled ?? false
-        });
+        await getManagedUser(actor, id);
+        const user = await unlockUser(id);
         safeAudit({
-            action: "auth.refresh",
-            actorUserId: user.sub,
+            action: "users.unlock",
+            actorUserId: actor.sub,
+            targetType: "user",
+            targetId: user.id,
             ip: getClientIp(req),
             success: true
         });
-        return reply.send({ ok: true, token: newToken });
-    });
-    
-    app.get("/admin/users", async (req, reply) => {
-        requireAdmin(req);
-        const users = await listUsers();
-        return reply.send({ ok: true, users });
+        return reply.send({ ok: true, user });
     });
-    app.post("/admin/users", async (req, reply) => {
-        const actor = requireAdmin(req);
-        const body = CreateUserSchema.parse(req.body);
-        let user;
+    // Interactive sessions only: no scope, so API tokens never get here, and the actor
+    // re-proves their second factor for every impersonation.
+    app.post("/admin/users/:id/impersonate", async (req, reply) => {
+        const actor = requirePermission(req, "users.impersonate");
+        const body = ImpersonateUserSchema.parse(req.body ?? {});
+        const id = String(req.params.id ?? "");
+        if (!id) {
+            throw new HttpError(400, "User id is required.");
+        }
+        if (id === actor.sub) {
+            throw new HttpError(400, "You cannot impersonate yourself.");
+        }
+        const target = await getManagedUser(actor, id);
+        if (!target.active) {
+            throw new HttpError(403, "User is disabled.");
+        }
+        if (!canImpersonateRole(actor.role, target.role)) {
+            throw new HttpError(403, "Cannot impersonate a user with more privileges than your own.");
+        }
         try {
-            user = await createUser(body);
-            safeAudit({
-                action: "users.create",
-                actorUserId: actor.sub,
-                targetType: "user",
-                targetId: user.id,
-                ip: getClientIp(req),
-                success: true
-            });
+            const secondFactor = await verifyUserSecondFactor(actor.sub, body);
+            if (secondFactor.method === "none") {
+                throw new HttpError(403, "Enable two-factor authentication to impersonate users.");
+            }
         } catch (error) {
             safeAudit({
-                action: "users.create",
+                action: "users.impersonate",
                 actorUserId: actor.sub,
                 targetType: "user",
+                targetId: target.id,
                 ip: getClientIp(req),
                 success: false,
                 error: error?.message ?? String(error)
             });
             throw error;
         }
-        try {
-            await bootstrapUserNamespace(user.id);
-            await updateUserStatus(user.id, "active");
-            user = await getUserById(user.id);
-            safeAudit({
-                action: "users.bootstrap",
-                actorUserId: actor.sub,
-                targetType: "user",
-                targetId: user.id,
-                ip: getClientIp(req),
-                success: true
-            });
-        } catch (error) {
-            await updateUserStatus(user.id, "error");
-            safeAudit({
-                action: "users.bootstrap",
-                actorUserId: actor.sub,
-                targetType: "user",
-                targetId: user.id,
-                ip: getClientIp(req),
-                success: false,
-                error: error?.message ?? String(error)
-            });
-            throw new HttpError(500, `User created but namespace bootstrap failed: ${error?.message ?? String(error)}`);
+        const expiresAt = new Date(Date.now() + IMPERSONATION_TTL_SECONDS * 1000);
+        // Awaited (not safeAudit): no impersonation token without its audit record.
+        await logAudit({
+            action: "users.impersonate",
+            actorUserId: actor.sub,
+            targetType: "user",
+            targetId: target.id,
+            ip: getClientIp(req),
+            success: true,
+            meta: { expiresAt: expiresAt.toISOString() }
+        });
+        // No refresh token: the session ends when this token expires.
+        const token = await issueSessionToken(req, {
+            sub: target.id,
+            role: target.role,
+            disabled: false,
+            act: { sub: actor.sub }
+        }, { expiresIn: IMPERSONATION_TTL_SECONDS });
+        return reply.send({ ok: true, token, expiresAt, user: target });
+    });
+    app.get("/admin/users/:id/sessions", { config: { scope: "users:read" } }, async (req, reply) => {
+        const actor = requirePermission(req, "users.read");
+        const id = String(req.params.id ?? "");
+        if (!id) {
+            throw new HttpError(400, "User id is required.");
         }
-        return reply.send({ ok: true, user });
+        await getManagedUser(actor, id);
+        const sessions = await listSessions(id);
+        return reply.send({ ok: true, sessions });
+    });
+    app.delete("/admin/users/:id/sessions/:jti", { config: { scope: "users:write" } }, async (req, reply) => {
+        const actor = requirePermission(req, "users.sessions.revoke");
+        const id = String(req.params.id ?? "");
+        const jti = String(req.params.jti ?? "");
+        if (!id || !jti) {
+            throw new HttpError(400, "User id and session id are required.");
+        }
+        await getManagedUser(actor, id);
+        await revokeSession(id, jti);
+        safeAudit({
+            action: "users.session.revoke",
+            actorUserId: actor.sub,
+            targetType: "user",
+            targetId: id,
+            ip: getClientIp(req),
+            success: true,
+            meta: { jti }
+        });
+        return reply.send({ ok: true });
     });
-    app.patch("/admin/users/:id", async (req, reply) => {
-        const actor = requireAdmin(req);
+    app.post("/admin/users/:id/sessions/revoke-all", { config: { scope: "users:write" } }, async (req, reply) => {
+        const actor = requirePermission(req, "users.sessions.revoke");
         const id = String(req.params.id ?? "");
         if (!id) {
             throw new HttpError(400, "User id is required.");
         }
-        const body = ToggleUserSchema.parse(req.body ?? {});
-        const user = await setUserActive(id, body.active);
+        const user = await getManagedUser(actor, id);
+        const revoked = await revokeAllSessions(user.id);
+        // Also cut off any token issued before sessions were recorded.
+        await revokeAllUserTokens(user.id);
         safeAudit({
-            action: "users.toggle",
+            action: "users.session.revoke_all",
+            actorUserId: actor.sub,
+            targetType: "user",
+            targetId: user.id,
+            ip: getClientIp(req),
+            success: true,
+            meta: { revoked }
+        });
+        return reply.send({ ok: true, revoked });
+    });
+    app.post("/admin/users/:id/password", { config: { scope: "users:write" } }, async (req, reply) => {
+        const actor = requirePermission(req, "users.password.reset");
+        const id = String(req.params.id ?? "");
+        if (!id) {
+            throw new HttpError(400, "User id is required.");
+        }
+        await getManagedUser(actor, id);
+        const body = ResetPasswordSchema.parse(req.body ?? {});
+        const user = await setTemporaryPassword(id, body.temporaryPassword);
+        await revokeAllUserTokens(user.id);
+        safeAudit({
+            action: "users.password.reset",
             actorUserId: actor.sub,
             targetType: "user",
             targetId: user.id,
@@ -240,62 +1032,64 @@ export function registerRoutes(app) {
         });
         return reply.send({ ok: true, user });
     });
-    app.delete("/admin/users/:id", async (req, reply) => {
-        const actor = requireAdmin(req);
+    app.post("/admin/users/:id/2fa/reset", async (req, reply) => {
+        const actor = requirePermission(req, "users.2fa.reset");
         const id = String(req.params.id ?? "");
         if (!id) {
             throw new HttpError(400, "User id is required.");
         }
-        
-        // Cleanup DB and namespace before deleting user record
-        try {
-            const { deleteUserNamespace } = await import("../k8s/namespace.js");
-            const { dropDatabase, dropRole, revokeAndTerminate, normalizeDbName, normalizeDbUser } = await import("../postgres/admin.js");
-            const dbNamePrefix = process.env.DB_NAME_PREFIX?.trim() || "db_";
-            const dbUserPrefix = process.env.DB_USER_PREFIX?.trim() || "u_";
-            const dbName = normalizeDbName(`${dbNamePrefix}${id}`);
-            const dbUser = normalizeDbUser(`${dbUserPrefix}${id}`);
-            
-            // Cleanup DB
-            try {
-                await revokeAndTerminate(dbName);
-                await dropDatabase(dbName);
-                await dropRole(dbUser);
-            } catch (dbError) {
-                // Log but don't fail user deletion if DB cleanup fails
-                logger.error({ err: dbError, userId: id }, "Failed to cleanup DB for user");
-            }
-            
-            // Cleanup namespace (this will also delete secrets)
-            try {
-                await deleteUserNamespace(id);
-            } catch (nsError) {
-                // Log but don't fail user deletion if namespace cleanup fails
-                logger.error({ err: nsError, userId: id }, "Failed to cleanup namespace for user");
-            }
-        } catch (cleanupError) {
-            // Log but don't fail user deletion if cleanup fails
-            logger.error({ err: cleanupError, userId: id }, "Failed to cleanup resources for user");
+        await getManagedUser(actor, id);
+        const user = await disableUserTotp(id);
+        // Awaited (not safeAudit): a reset must not happen without its audit record.
+        await logAudit({
+            action: "users.2fa.reset",
+            actorUserId: actor.sub,
+            targetType: "user",
+            targetId: user.id,
+            ip: getClientIp(req),
+            success: true
+        });
+        return reply.send({ ok: true, user });
+    });
+    app.delete("/admin/users/:id", { config: { scope: "users:write" } }, async (req, reply) => {
+        const actor = requirePermission(req, "users.delete");
+        const id = String(req.params.id ?? "");
+        if (!id) {
+            throw new HttpError(400, "User id is required.");
         }
-        
-        await deleteUser(id);
+        await getManagedUser(actor, id);
+        if (id === actor.sub) {
+            throw new HttpError(400, "You cannot delete your own account.");
+        }
+        const { job, resumed } = await startUserDeletion(id, actor.sub);
         safeAudit({
-            action: "users.delete",
+            action: resumed ? "users.delete.resume" : "users.delete",
             actorUserId: actor.sub,
             targetType: "user",
             targetId: id,
             ip: getClientIp(req),
-            success: true
+            success: true,
+            meta: { jobId: job.id, steps: job.steps.length }
         });
-        return reply.send({ ok: true });
+        return reply.code(202).send({ ok: true, job });
+    });
+    app.get("/admin/users/:id/deletion", { config: { scope: "users:read" } }, async (req, reply) => {
+        const actor = requirePermission(req, "users.read");
+        const id = String(req.params.id ?? "");
+        if (!id) {
+            throw new HttpError(400, "User id is required.");
+        }
+        await getManagedUser(actor, id);
+        const job = await getLatestDeletionJobForUser(id);
+        return reply.send({ ok: true, job });
     });
-    app.get("/admin/security/allowlist", async (req, reply) => {
-        requireAdmin(req);
+    app.get("/admin/security/allowlist", { config: { scope: "security:read" } }, async (req, reply) => {
+        requirePermission(req, "security.allowlist.read");
         const items = await readAllowlist();
         return reply.send({ ok: true, items });
     });
-    app.put("/admin/security/allowlist", async (req, reply) => {
-        const actor = requireAdmin(req);
+    app.put("/admin/security/allowlist", { config: { scope: "security:write" } }, async (req, reply) => {
+        const actor = requirePermission(req, "security.allowlist.write");
         const body = AllowlistSchema.parse(req.body ?? {});
         const items = await writeAllowlist(body.items);
         safeAudit({
@@ -307,15 +1101,111 @@ export function registerRoutes(app) {
         });
         return reply.send({ ok: true, items });
     });
+    // Access token signing keys
+    app.get("/.well-known/jwks.json", async (_req, reply) => {
+        const jwks = await getJwks();
+        reply.header("Cache-Control", "public, max-age=300");
+        return reply.send(jwks);
+    });
+    app.get("/admin/security/signing-keys", { config: { scope: "security:read" } }, async (req, reply) => {
+        requirePermission(req, "security.keys.read");
+        const keys = await listSigningKeys();
+        return reply.send({ ok: true, keys });
+    });
+    app.post("/admin/security/signing-keys/rotate", { config: { scope: "security:write" } }, async (req, reply) => {
+        const actor = requirePermission(req, "security.keys.rotate");
+        const body = RotateSigningKeySchema.parse(req.body ?? {});
+        const key = await rotateSigningKey(body.algorithm);
+        await logAudit({
+            action: "security.signing_key.rotate",
+            actorUserId: actor.sub,
+            targetType: "signing_key",
+            targetId: key.kid,
+            ip: getClientIp(req),
+            success: true,
+            meta: { algorithm: key.algorithm }
+        });
+        return reply.send({ ok: true, key });
+    });
+    // Hosting plans
+    app.get("/admin/plans", { config: { scope: "plans:read" } }, async (req, reply) => {
+        requirePermission(req, "plans.read");
+        const plans = await listPlans();
+        return reply.send({ ok: true, plans });
+    });
+    app.get("/admin/plans/:id", { config: { scope: "plans:read" } }, async (req, reply) => {
+        requirePermission(req, "plans.read");
+        const plan = await getPlanById(String(req.params.id ?? ""));
+        const userIds = await listPlanUserIds(plan);
+        return reply.send({ ok: true, plan, userCount: userIds.length });
+    });
+    app.post("/admin/plans", { config: { scope: "plans:write" } }, async (req, reply) => {
+        const actor = requirePermission(req, "plans.write");
+        const body = CreatePlanSchema.parse(req.body ?? {});
+        const plan = await createPlan(body);
+        safeAudit({
+            action: "plans.create",
+            actorUserId: actor.sub,
+            targetType: "plan",
+            targetId: plan.id,
+            ip: getClientIp(req),
+            success: true,
+            meta: { name: plan.name }
+        });
+        return reply.send({ ok: true, plan });
+    });
+    app.patch("/admin/plans/:id", { config: { scope: "plans:write" } }, async (req, reply) => {
+        const actor = requirePermission(req, "plans.write");
+        const id = String(req.params.id ?? "");
+        if (!id) {
+            throw new HttpError(400, "Plan id is required.");
+        }
+        const body = UpdatePlanSchema.parse(req.body ?? {});
+        const { plan, previous } = await updatePlan(id, body);
+        const quotaChanged = PLAN_QUOTA_FIELDS.some((field) => plan[field] !== previous[field]);
+        // A new default plan also takes over every user without an explicit plan.
+        const defaultChanged = plan.isDefault && !previous.isDefault;
+        const quota = quotaChanged || defaultChanged
+            ? await reapplyPlanQuota(plan, await listPlanUserIds(plan))
+            : { applied: [], failed: [] };
+        safeAudit({
+            action: "plans.update",
+            actorUserId: actor.sub,
+            targetType: "plan",
+            targetId: plan.id,
+            ip: getClientIp(req),
+            success: quota.failed.length === 0,
+            meta: { fields: Object.keys(body), applied: quota.applied.length, failed: quota.failed }
+        });
+        return reply.send({ ok: true, plan, quota });
+    });
+    app.delete("/admin/plans/:id", { config: { scope: "plans:write" } }, async (req, reply) => {
+        const actor = requirePermission(req, "plans.write");
+        const id = String(req.params.id ?? "");
+        if (!id) {
+            throw new HttpError(400, "Plan id is required.");
+        }
+        const plan = await deletePlan(id);
+        safeAudit({
+            action: "plans.delete",
+            actorUserId: actor.sub,
+            targetType: "plan",
+            targetId: plan.id,
+            ip: getClientIp(req),
+            success: true,
+            meta: { name: plan.name }
+        });
+        return reply.send({ ok: true });
+    });
     // Apps endpoints
-    app.get("/apps", async (req, reply) => {
-        const user = requireUser(req);
+    app.get("/apps", { config: { scope: "apps:read" } }, async (req, reply) => {
+        const user = requirePermission(req, "apps.read");
         const apps = await listApps(user.sub);
         return reply.send({ ok: true, apps });
     });
 
-    app.post("/apps", async (req, reply) => {
-        const user = requireUser(req);
+    app.post("/apps", { config: { scope: "apps:write" } }, async (req, reply) => {
+        const user = requirePermission(req, "apps.create");
         const body = CreateAppSchema.parse(req.body);
         let app;
         try {
@@ -342,8 +1232,8 @@ export function registerRoutes(app) {
         return reply.send({ ok: true, app });
     });
 
-    app.get("/apps/:id", async (req, reply) => {
-        const user = requireUser(req);
+    app.get("/apps/:id", { config: { scope: "apps:read" } }, async (req, reply) => {
+        const user = requirePermission(req, "apps.read");
         const appId = String(req.params.id ?? "");
         if (!appId) {
             throw new HttpError(400, "App id is required.");
@@ -352,8 +1242,8 @@ export function registerRoutes(app) {
         return reply.send({ ok: true, app });
     });
 
-    app.post("/apps/:id/deploy", async (req, reply) => {
-        const user = requireUser(req);
+    app.post("/apps/:id/deploy", { config: { scope: "apps:deploy" } }, async (req, reply) => {
+        const user = requirePermission(req, "apps.deploy");
         const appId = String(req.params.id ?? "");
         if (!appId) {
             throw new HttpError(400, "App id is required.");
@@ -386,16 +1276,14 @@ export function registerRoutes(app) {
     });
 
     // Sites endpoints
-    app.get("/sites", async (req, reply) => {
-        const user = requireUser(req);
+    app.get("/sites", { config: { scope: "sites:read" } }, async (req, reply) => {
+        const user = requirePermission(req, "sites.read");
         const sites = await listSites();
-        // Filter sites by user ownership (sites are in user-{userId} namespace)
-        const userSites = sites.filter(site => site.namespace === `user-${user.sub}`);
-        return reply.send({ ok: true, sites: userSites });
+        return reply.send({ ok: true, sites: await filterAccessibleSites(user, sites) });
     });
 
-    app.post("/sites", async (req, reply) => {
-        const user = requireUser(req);
+    app.post("/sites", { config: { scope: "sites:write" } }, async (req, reply) => {
+        const user = requirePermission(req, "sites.create");
         const body = CreateSiteSchema.parse(req.body);
         let site;
         try {
@@ -422,12 +1310,22 @@ export function registerRoutes(app) {
         return reply.send({ ok: true, ...site });
     });
 
-    app.delete("/sites/:slug", async (req, reply) => {
-        const user = requireUser(req);
+    app.get("/sites/:slug", { config: { scope: "sites:read" } }, async (req, reply) => {
+        const slug = String(req.params.slug ?? "");
+        if (!slug) {
+            throw new HttpError(400, "Site slug is required.");
+        }
+        await requireSitePermission(req, slug, "sites.read");
+        const site = await getSiteDetail(slug);
+        return reply.send({ ok: true, site });
+    });
+
+    app.delete("/sites/:slug", { config: { scope: "sites:write" } }, async (req, reply) => {
         const slug = String(req.params.slug ?? "");
         if (!slug) {
             throw new HttpError(400, "Site slug is required.");
         }
+        const user = await requireSitePermission(req, slug, "sites.delete");
         try {
             await deleteSite(slug);
             safeAudit({
@@ -453,255 +1351,484 @@ export function registerRoutes(app) {
         return reply.send({ ok: true });
     });
 
-    app.patch("/sites/:slug/limits", async (req, reply) => {
-        requireUser(req); // User authenticated but not used in this handler
+    app.patch("/sites/:slug/limits", { config: { scope: "sites:write" } }, async (req, reply) => {
         const slug = String(req.params.slug ?? "");
         if (!slug) {
             throw new HttpError(400, "Site slug is required.");
         }
+        await requireSitePermission(req, slug, "sites.update");
         const body = PatchLimitsSchema.parse(req.body ?? {});
         const result = await updateSiteLimits(slug, body);
         return reply.send({ ok: true, ...result });
     });
 
-    app.post("/sites/:slug/deploy", async (req, reply) => {
-        requireUser(req);
+    app.post("/sites/:slug/deploy", { config: { scope: "sites:deploy" } }, async (req, reply) => {
         const slug = String(req.params.slug ?? "");
         if (!slug) {
             throw new HttpError(400, "Site slug is required.");
         }
+        const user = await requireSitePermission(req, slug, "sites.deploy");
         const body = DeploySiteSchema.parse(req.body ?? {});
-        const result = await deploySite(slug, body);
+        // Only automation (API tokens, e.g. a GitHub workflow) may name where a deploy came from.
+        const source = req.auth?.type === "api" ? body.source ?? "webhook" : "manual";
+        const result = await deploySite(slug, body, { actorUserId: user.sub, source });
+        return reply.send({ ok: true, ...result });
+    });
+
+    app.get("/sites/:slug/deploys", { config: { scope: "sites:read" } }, async (req, reply) => {
+        const slug = String(req.params.slug ?? "");
+        if (!slug) {
+            throw new HttpError(400, "Site slug is required.");
+        }
+        await requireSitePermission(req, slug, "sites.read");
+        const result = await getSiteDeployHistory(slug);
+        return reply.send(result);
+    });
+
+    app.post("/sites/:slug/rollback", { config: { scope: "sites:deploy" } }, async (req, reply) => {
+        const slug = String(req.params.slug ?? "");
+        if (!slug) {
+            throw new HttpError(400, "Site slug is required.");
+        }
+        const user = await requireSitePermission(req, slug, "sites.deploy");
+        const body = RollbackSiteSchema.parse(req.body ?? {});
+        const result = await rollbackSite(slug, body.deployId, { actorUserId: user.sub, source: "manual" });
+        safeAudit({
+            action: "sites.rollback",
+            actorUserId: user.sub,
+            targetType: "site",
+            targetId: slug,
+            ip: getClientIp(req),
+            success: true,
+            meta: { deployId: result.deployId, rollbackOf: result.rollbackOf, image: result.image }
+        });
         return reply.send({ ok: true, ...result });
     });
 
-    app.patch("/sites/:slug/tls", async (req, reply) => {
-        requireUser(req);
+    app.patch("/sites/:slug/tls", { config: { scope: "sites:write" } }, async (req, reply) => {
         const slug = String(req.params.slug ?? "");
         if (!slug) {
             throw new HttpError(400, "Site slug is required.");
         }
+        await requireSitePermission(req, slug, "sites.update");
         const body = PatchTlsSchema.parse(req.body ?? {});
         const result = await updateSiteTls(slug, body);
         return reply.send({ ok: true, ...result });
     });
 
-    app.post("/sites/:slug/db/enable", async (req, reply) => {
-        requireUser(req);
+    app.get("/sites/:slug/domains", { config: { scope: "sites:read" } }, async (req, reply) => {
+        const slug = String(req.params.slug ?? "");
+        if (!slug) {
+            throw new HttpError(400, "Site slug is required.");
+        }
+        await requireSitePermission(req, slug, "sites.read");
+        const result = await getSiteDomains(slug);
+        return reply.send(result);
+    });
+
+    app.post("/sites/:slug/domains", { config: { scope: "sites:write" } }, async (req, reply) => {
+        const slug = String(req.params.slug ?? "");
+        if (!slug) {
+            throw new HttpError(400, "Site slug is required.");
+        }
+        const user = await requireSitePermission(req, slug, "sites.update");
+        const body = AddSiteDomainSchema.parse(req.body ?? {});
+        const result = await addSiteDomain(slug, body);
+        safeAudit({
+            action: "sites.domains.add",
+            actorUserId: user.sub,
+            targetType: "site",
+            targetId: slug,
+            ip: getClientIp(req),
+            success: true,
+            meta: { domain: result.domain }
+        });
+        return reply.send(result);
+    });
+
+    app.put("/sites/:slug/domains/canonical", { config: { scope: "sites:write" } }, async (req, reply) => {
+        const slug = String(req.params.slug ?? "");
+        if (!slug) {
+            throw new HttpError(400, "Site slug is required.");
+        }
+        const user = await requireSitePermission(req, slug, "sites.update");
+        const body = CanonicalDomainSchema.parse(req.body ?? {});
+        const result = await setSiteCanonicalDomain(slug, body);
+        safeAudit({
+            action: "sites.domains.canonical",
+            actorUserId: user.sub,
+            targetType: "site",
+            targetId: slug,
+            ip: getClientIp(req),
+            success: true,
+            meta: { canonicalDomain: result.canonicalDomain }
+        });
+        return reply.send(result);
+    });
+
+    app.delete("/sites/:slug/domains/:domain", { config: { scope: "sites:write" } }, async (req, reply) => {
+        const slug = String(req.params.slug ?? "");
+        const domain = String(req.params.domain ?? "");
+        if (!slug || !domain) {
+            throw new HttpError(400, "Site slug and domain are required.");
+        }
+        const user = await requireSitePermission(req, slug, "sites.update");
+        const result = await removeSiteDomain(slug, domain);
+        safeAudit({
+            action: "sites.domains.remove",
+            actorUserId: user.sub,
+            targetType: "site",
+            targetId: slug,
+            ip: getClientIp(req),
+            success: true,
+            meta: { domain: result.domain }
+        });
+        return reply.send(result);
+    });
+
+    app.get("/sites/:slug/env", { config: { scope: "sites:read" } }, async (req, reply) => {
+        const slug = String(req.params.slug ?? "");
+        if (!slug) {
+            throw new HttpError(400, "Site slug is required.");
+        }
+        await requireSitePermission(req, slug, "sites.read");
+        const result = await listSiteEnv(slug);
+        return reply.send(result);
+    });
+
+    app.put("/sites/:slug/env/:key", { config: { scope: "sites:write" } }, async (req, reply) => {
+        const slug = String(req.params.slug ?? "");
+        const key = String(req.params.key ?? "");
+        if (!slug || !key) {
+            throw new HttpError(400, "Site slug and variable name are required.");
+        }
+        const user = await requireSitePermission(req, slug, "sites.update");
+        const body = SetSiteEnvSchema.parse(req.body ?? {});
+        const result = await setSiteEnvVar(slug, key, body);
+        safeAudit({
+            action: "sites.env.set",
+            actorUserId: user.sub,
+            targetType: "site",
+            targetId: slug,
+            ip: getClientIp(req),
+            success: true,
+            meta: { key, secret: result.variable.isSecret }
+        });
+        return reply.send(result);
+    });
+
+    app.delete("/sites/:slug/env/:key", { config: { scope: "sites:write" } }, async (req, reply) => {
+        const slug = String(req.params.slug ?? "");
+        const key = String(req.params.key ?? "");
+        if (!slug || !key) {
+            throw new HttpError(400, "Site slug and variable name are required.");
+        }
+        const user = await requireSitePermission(req, slug, "sites.update");
+        const result = await deleteSiteEnvVar(slug, key);
+        safeAudit({
+            action: "sites.env.remove",
+            actorUserId: user.sub,
+            targetType: "site",
+            targetId: slug,
+            ip: getClientIp(req),
+            success: true,
+            meta: { key }
+        });
+        return reply.send(result);
+    });
+
+    app.post("/sites/:slug/db/enable", { config: { scope: "sites:write" } }, async (req, reply) => {
         const slug = String(req.params.slug ?? "");
         if (!slug) {
             throw new HttpError(400, "Site slug is required.");
         }
+        await requireSitePermission(req, slug, "sites.db.manage");
         const body = DbEnableSchema.parse(req.body ?? {});
         const result = await enableSiteDb(slug, body);
         return reply.send({ ok: true, ...result });
     });
 
-    app.post("/sites/:slug/db/disable", async (req, reply) => {
-        requireUser(req);
+    app.post("/sites/:slug/db/disable", { config: { scope: "sites:write" } }, async (req, reply) => {
         const slug = String(req.params.slug ?? "");
         if (!slug) {
             throw new HttpError(400, "Site slug is required.");
         }
+        await requireSitePermission(req, slug, "sites.db.manage");
         const result = await disableSiteDb(slug);
         return reply.send({ ok: true, ...result });
     });
 
-    app.post("/sites/:slug/db/purge", async (req, reply) => {
-        requireUser(req);
+    app.post("/sites/:slug/db/purge", { config: { scope: "sites:write" } }, async (req, reply) => {
         const slug = String(req.params.slug ?? "");
         if (!slug) {
             throw new HttpError(400, "Site slug is required.");
         }
+        await requireSitePermission(req, slug, "sites.purge");
         ConfirmDeleteSchema.parse(req.body ?? {});
         const result = await purgeSiteDb(slug);
         return reply.send({ ok: true, ...result });
     });
 
-    app.post("/sites/:slug/mail/enable", async (req, reply) => {
-        requireUser(req);
+    app.post("/sites/:slug/mail/enable", { config: { scope: "sites:write" } }, async (req, reply) => {
         const slug = String(req.params.slug ?? "");
         if (!slug) {
             throw new HttpError(400, "Site slug is required.");
         }
+        await requireSitePermission(req, slug, "sites.mail.manage");
         const body = MailEnableSchema.parse(req.body ?? {});
         const result = await enableSiteMail(slug, body);
         return reply.send({ ok: true, ...result });
     });
 
-    app.post("/sites/:slug/mail/disable", async (req, reply) => {
-        requireUser(req);
+    app.post("/sites/:slug/mail/disable", { config: { scope: "sites:write" } }, async (req, reply) => {
         const slug = String(req.params.slug ?? "");
         if (!slug) {
             throw new HttpError(400, "Site slug is required.");
         }
+        await requireSitePermission(req, slug, "sites.mail.manage");
         const result = await disableSiteMail(slug);
         return reply.send({ ok: true, ...result });
     });
 
-    app.post("/sites/:slug/mail/purge", async (req, reply) => {
-        requireUser(req);
+    app.post("/sites/:slug/mail/purge", { config: { scope: "sites:write" } }, async (req, reply) => {
         const slug = String(req.params.slug ?? "");
         if (!slug) {
             throw new HttpError(400, "Site slug is required.");
         }
+        await requireSitePermission(req, slug, "sites.purge");
         ConfirmDeleteSchema.parse(req.body ?? {});
         const result = await purgeSiteMail(slug);
         return reply.send({ ok: true, ...result });
     });
 
-    app.get("/sites/:slug/mail/mailboxes", async (req, reply) => {
-        requireUser(req);
+    app.get("/sites/:slug/mail/mailboxes", { config: { scope: "sites:read" } }, async (req, reply) => {
         const slug = String(req.params.slug ?? "");
         if (!slug) {
             throw new HttpError(400, "Site slug is required.");
         }
+        await requireSitePermission(req, slug, "sites.read");
         const result = await listSiteMailboxes(slug);
         return reply.send({ ok: true, ...result });
     });
 
-    app.post("/sites/:slug/mail/mailboxes", async (req, reply) => {
-        requireUser(req);
+    app.post("/sites/:slug/mail/mailboxes", { config: { scope: "sites:write" } }, async (req, reply) => {
         const slug = String(req.params.slug ?? "");
         if (!slug) {
             throw new HttpError(400, "Site slug is required.");
         }
+        await requireSitePermission(req, slug, "sites.mail.manage");
         const body = MailboxCreateSchema.parse(req.body ?? {});
         const result = await createSiteMailbox(slug, body);
         return reply.send({ ok: true, ...result });
     });
 
-    app.delete("/sites/:slug/mail/mailboxes/:address", async (req, reply) => {
-        requireUser(req);
+    app.delete("/sites/:slug/mail/mailboxes/:address", { config: { scope: "sites:write" } }, async (req, reply) => {
         const slug = String(req.params.slug ?? "");
         const address = String(req.params.address ?? "");
         if (!slug || !address) {
             throw new HttpError(400, "Site slug and address are required.");
         }
+        await requireSitePermission(req, slug, "sites.mail.manage");
         const result = await deleteSiteMailbox(slug, decodeURIComponent(address));
         return reply.send({ ok: true, ...result });
     });
 
-    app.get("/sites/:slug/mail/aliases", async (req, reply) => {
-        requireUser(req);
+    app.get("/sites/:slug/mail/aliases", { config: { scope: "sites:read" } }, async (req, reply) => {
         const slug = String(req.params.slug ?? "");
         if (!slug) {
             throw new HttpError(400, "Site slug is required.");
         }
+        await requireSitePermission(req, slug, "sites.read");
         const result = await listSiteAliases(slug);
         return reply.send({ ok: true, ...result });
     });
 
-    app.post("/sites/:slug/mail/aliases", async (req, reply) => {
-        requireUser(req);
+    app.post("/sites/:slug/mail/aliases", { config: { scope: "sites:write" } }, async (req, reply) => {
         const slug = String(req.params.slug ?? "");
         if (!slug) {
             throw new HttpError(400, "Site slug is required.");
         }
+        await requireSitePermission(req, slug, "sites.mail.manage");
         const body = AliasCreateSchema.parse(req.body ?? {});
         const result = await createSiteAlias(slug, body);
         return reply.send({ ok: true, ...result });
     });
 
-    app.delete("/sites/:slug/mail/aliases/:source", async (req, reply) => {
-        requireUser(req);
+    app.delete("/sites/:slug/mail/aliases/:source", { config: { scope: "sites:write" } }, async (req, reply) => {
         const slug = String(req.params.slug ?? "");
         const source = String(req.params.source ?? "");
         if (!slug || !source) {
             throw new HttpError(400, "Site slug and source are required.");
         }
+        await requireSitePermission(req, slug, "sites.mail.manage");
         const result = await deleteSiteAlias(slug, decodeURIComponent(source));
         return reply.send({ ok: true, ...result });
     });
 
-    app.post("/sites/:slug/dns/enable", async (req, reply) => {
-        requireUser(req);
+    app.post("/sites/:slug/dns/enable", { config: { scope: "sites:write" } }, async (req, reply) => {
         const slug = String(req.params.slug ?? "");
         if (!slug) {
             throw new HttpError(400, "Site slug is required.");
         }
+        await requireSitePermission(req, slug, "sites.dns.manage");
         const body = DnsEnableSchema.parse(req.body ?? {});
         const result = await enableSiteDns(slug, body);
         return reply.send({ ok: true, ...result });
     });
 
-    app.post("/sites/:slug/dns/disable", async (req, reply) => {
-        requireUser(req);
+    app.post("/sites/:slug/dns/disable", { config: { scope: "sites:write" } }, async (req, reply) => {
         const slug = String(req.params.slug ?? "");
         if (!slug) {
             throw new HttpError(400, "Site slug is required.");
         }
+        await requireSitePermission(req, slug, "sites.dns.manage");
         const result = await disableSiteDns(slug);
         return reply.send({ ok: true, ...result });
     });
 
-    app.post("/sites/:slug/dns/purge", async (req, reply) => {
-        requireUser(req);
+    app.post("/sites/:slug/dns/purge", { config: { scope: "sites:write" } }, async (req, reply) => {
         const slug = String(req.params.slug ?? "");
         if (!slug) {
             throw new HttpError(400, "Site slug is required.");
         }
+        await requireSitePermission(req, slug, "sites.purge");
         ConfirmDeleteSchema.parse(req.body ?? {});
         const result = await purgeSiteDns(slug);
         return reply.send({ ok: true, ...result });
     });
 
-    app.post("/sites/:slug/github/enable", async (req, reply) => {
-        requireUser(req);
+    app.post("/sites/:slug/github/enable", { config: { scope: "sites:write" } }, async (req, reply) => {
         const slug = String(req.params.slug ?? "");
         if (!slug) {
             throw new HttpError(400, "Site slug is required.");
         }
+        await requireSitePermission(req, slug, "sites.github.manage");
         const body = GithubEnableSchema.parse(req.body ?? {});
         const result = await enableSiteGithub(slug, body);
         return reply.send({ ok: true, ...result });
     });
 
-    app.post("/sites/:slug/github/disable", async (req, reply) => {
-        requireUser(req);
+    app.post("/sites/:slug/github/disable", { config: { scope: "sites:write" } }, async (req, reply) => {
         const slug = String(req.params.slug ?? "");
         if (!slug) {
             throw new HttpError(400, "Site slug is required.");
         }
+        await requireSitePermission(req, slug, "sites.github.manage");
         const result = await disableSiteGithub(slug);
         return reply.send({ ok: true, ...result });
     });
 
-    app.post("/sites/:slug/github/deploy", async (req, reply) => {
-        requireUser(req);
+    app.post("/sites/:slug/github/deploy", { config: { scope: "sites:deploy" } }, async (req, reply) => {
         const slug = String(req.params.slug ?? "");
         if (!slug) {
             throw new HttpError(400, "Site slug is required.");
         }
+        await requireSitePermission(req, slug, "sites.deploy");
         const body = GithubDeploySchema.parse(req.body ?? {});
         const result = await triggerSiteGithubDeploy(slug, body);
         return reply.send({ ok: true, ...result });
     });
 
-    app.post("/sites/:slug/registry/credentials", async (req, reply) => {
-        requireUser(req);
+    app.post("/sites/:slug/registry/credentials", { config: { scope: "sites:write" } }, async (req, reply) => {
         const slug = String(req.params.slug ?? "");
         if (!slug) {
             throw new HttpError(400, "Site slug is required.");
         }
+        await requireSitePermission(req, slug, "sites.registry.manage");
         const body = RegistryCredentialsSchema.parse(req.body ?? {});
         const result = await saveSiteRegistryCredentials(slug, body);
         return reply.send({ ok: true, ...result });
     });
 
-    app.delete("/sites/:slug/registry/credentials", async (req, reply) => {
-        requireUser(req);
+    app.delete("/sites/:slug/registry/credentials", { config: { scope: "sites:write" } }, async (req, reply) => {
         const slug = String(req.params.slug ?? "");
         if (!slug) {
             throw new HttpError(400, "Site slug is required.");
         }
+        await requireSitePermission(req, slug, "sites.registry.manage");
         const result = await deleteSiteRegistryCredentials(slug);
         return reply.send({ ok: true, ...result });
     });
 
+    app.get("/sites/:slug/members", { config: { scope: "sites:read" } }, async (req, reply) => {
+        const slug = String(req.params.slug ?? "");
+        if (!slug) {
+            throw new HttpError(400, "Site slug is required.");
+        }
+        await requireSitePermission(req, slug, "sites.read");
+        const members = await listSiteMembers(slug);
+        return reply.send({ ok: true, members });
+    });
+
+    app.post("/sites/:slug/members", { config: { scope: "sites:write" } }, async (req, reply) => {
+        const slug = String(req.params.slug ?? "");
+        if (!slug) {
+            throw new HttpError(400, "Site slug is required.");
+        }
+        const user = requirePermission(req, "sites.members.manage");
+        const { ownerId } = await assertSiteAccess(user, slug, "sites.members.manage");
+        const body = AddSiteMemberSchema.parse(req.body ?? {});
+        const member = await addSiteMemberByUsername(slug, ownerId, body.username, body.role, user.sub);
+        safeAudit({
+            action: "sites.members.add",
+            actorUserId: user.sub,
+            targetType: "site",
+            targetId: slug,
+            ip: getClientIp(req),
+            success: true,
+            meta: { userId: member.userId, role: body.role }
+        });
+        return reply.send({ ok: true, member });
+    });
+
+    app.patch("/sites/:slug/members/:userId", { config: { scope: "sites:write" } }, async (req, reply) => {
+        const slug = String(req.params.slug ?? "");
+        const userId = String(req.params.userId ?? "");
+        if (!slug || !userId) {
+            throw new HttpError(400, "Site slug and user id are required.");
+        }
+        const user = await requireSitePermission(req, slug, "sites.members.manage");
+        const body = UpdateSiteMemberSchema.parse(req.body ?? {});
+        const previousRole = await getSiteMemberRole(slug, userId);
+        if (!previousRole) {
+            throw new HttpError(404, "Site member not found.");
+        }
+        const member = await upsertSiteMember(slug, userId, body.role, user.sub);
+        safeAudit({
+            action: "sites.members.update",
+            actorUserId: user.sub,
+            targetType: "site",
+            targetId: slug,
+            ip: getClientIp(req),
+            success: true,
+            meta: { userId, previousRole, role: body.role }
+        });
+        return reply.send({ ok: true, member });
+    });
+
+    app.delete("/sites/:slug/members/:userId", { config: { scope: "sites:write" } }, async (req, reply) => {
+        const slug = String(req.params.slug ?? "");
+        const userId = String(req.params.userId ?? "");
+        if (!slug || !userId) {
+            throw new HttpError(400, "Site slug and user id are required.");
+        }
+        const user = await requireSitePermission(req, slug, "sites.members.manage");
+        await removeSiteMember(slug, userId);
+        safeAudit({
+            action: "sites.members.remove",
+            actorUserId: user.sub,
+            targetType: "site",
+            targetId: slug,
+            ip: getClientIp(req),
+            success: true,
+            meta: { userId }
+        });
+        return reply.send({ ok: true });
+    });
+
     // Security logs endpoint (fail2ban)
-    app.get("/admin/security/logs", async (req, reply) => {
-        requireAdmin(req);
+    app.get("/admin/security/logs", { config: { scope: "security:read" } }, async (req, reply) => {
+        requirePermission(req, "security.logs.read");
         const { exec } = await import("node:child_process");
         const { promisify } = await import("node:util");
         const execAsync = promisify(exec);
@@ -7,7 +7,12 @@ import { registerRoutes } from "./http/routes.js";
 import { HttpError, sanitizeErrorMessage } from "./http/errors.js";
 import { isIpAllowed, readAllowlist } from "./security/allowlist.js";
 import { ensureAdminUserFromEnv } from "./users/user.service.js";
+import { resumeUserDeletionJobs } from "./users/user.deletion.js";
+import { importSiteAnnotations, registerSiteDomains } from "./sites/site.store.js";
+import { migrateSiteDbSecrets, startSiteDeploySettling, stopSiteDeploySettling } from "./sites/site.service.js";
 import { verifyToken, extractTokenFromHeader } from "./auth/jwt.js";
+import { isApiToken, verifyApiToken } from "./auth/api-token.service.js";
+import { logAudit } from "./audit/audit.service.js";
 import { checkPoolHealth, closePool } from "./db/pool.js";
 import { parseEnvNumber, parseEnvBoolean, parseEnvArray } from "./config/env.js";
 import { startAutoCleanup as startRateLimitCleanup } from "./security/rate-limit.js";
@@ -130,6 +135,10 @@ app.addHook("onRequest", async (req, reply) => {
     }
     if (req.url.startsWith("/health") ||
         req.url.startsWith("/auth/login") ||
+        req.url.startsWith("/auth/refresh") ||
+        req.url.startsWith("/auth/invitations/") ||
+        req.url.startsWith("/.well-known/") ||
+        req.url.startsWith("/auth/oidc/") ||
         req.url.startsWith("/github/webhook") ||
         req.url.startsWith("/metrics")) {
         return;
@@ -140,10 +149,22 @@ app.addHook("onRequest", async (req, reply) => {
         return reply.code(401).send({ error: "unauthorized" });
     }
     try {
+        if (isApiToken(token)) {
+            const principal = await verifyApiToken(token);
+            // API tokens only reach routes that declare a scope, and only with that scope granted.
+            const requiredScope = req.routeOptions?.config?.scope;
+            if (!requiredScope || !principal.scopes.includes(requiredScope)) {
+                clearTimeout(req.requestTimeout);
+                return reply.code(403).send({ error: "insufficient_scope", requiredScope: requiredScope ?? null });
+            }
+            req.user = principal;
+            req.auth = { token, payload: principal, type: "api" };
+            return;
+        }
         const payload = await verifyToken(token);
         req.user = payload;
         // Production-ready: expose token metadata to handlers (logout/refresh revocation).
-        req.auth = { token, payload };
+        req.auth = { token, payload, type: "session" };
     } catch (error) {
         clearTimeout(req.requestTimeout);
         if (error instanceof HttpError) {
@@ -165,6 +186,26 @@ app.addHook("onResponse", async (req, reply) => {
     if (reply.statusCode >= 400) {
         metrics.errors += 1;
     }
+    // Every request made with an impersonation token is attributed to both people.
+    if (req.user?.act?.sub) {
+        void logAudit({
+            action: "auth.impersonation.request",
+            actorUserId: req.user.act.sub,
+            targetType: "user",
+            targetId: req.user.sub,
+            ip: resolveClientIp(req),
+            success: reply.statusCode < 400,
+            meta: {
+                method: req.method,
+                route: req.routeOptions?.url ?? null,
+                url: req.url,
+                statusCode: reply.statusCode,
+                jti: req.user.jti ?? null
+            }
+        }).catch((error) => {
+            app.log.error({ err: error }, "Failed to record impersonated request");
+        });
+    }
 });
 app.addHook("preParsing", async (req, _reply, payload) => {
     if (!req.url.startsWith("/github/webhook")) {
@@ -324,6 +365,20 @@ app.get("/metrics", async (_req, reply) => {
 registerRoutes(app);
 startRateLimitCleanup();
 await ensureAdminUserFromEnv();
+// Sites from before the sites table are imported from namespace annotations, once. The
+// site migrations after it wait for a completed import, or they would miss imported sites.
+const sitesImported = await importSiteAnnotations().then(() => true, (err) => {
+    app.log.error({ err }, "Failed to import site annotations");
+    return false;
+});
+if (sitesImported) {
+    await registerSiteDomains().catch((err) => app.log.error({ err }, "Failed to register site domains"));
+    await migrateSiteDbSecrets().catch((err) => app.log.error({ err }, "Failed to migrate site DB secrets"));
+}
+// Pending deploys are settled from their rollouts in the background.
+startSiteDeploySettling();
+// Deletions interrupted by a restart continue in the background.
+resumeUserDeletionJobs().catch((err) => app.log.error({ err }, "Failed to resume user deletion jobs"));
 const port = parseEnvNumber("PORT", 8080, { min: 1, max: 65535 });
 
 // Production-ready: graceful shutdown closes HTTP server + DB pools cleanly.
@@ -334,6 +389,7 @@ async function shutdown(signal) {
         // Stop rate limit cleanup
         const { stopAutoCleanup } = await import("./security/rate-limit.js");
         stopAutoCleanup();
+        stopSiteDeploySettling();
         
         await app.close();
     } catch (err) {
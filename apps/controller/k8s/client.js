@@ -21,7 +21,8 @@ export function getClients() {
         apps: kc.makeApiClient(k8s.AppsV1Api),
         net: kc.makeApiClient(k8s.NetworkingV1Api),
         batch: kc.makeApiClient(k8s.BatchV1Api),
-        rbac: kc.makeApiClient(k8s.RbacAuthorizationV1Api)
+        rbac: kc.makeApiClient(k8s.RbacAuthorizationV1Api),
+        custom: kc.makeApiClient(k8s.CustomObjectsApi)
     };
     return cached;
 }
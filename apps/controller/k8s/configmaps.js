@@ -0,0 +1,28 @@
+import { getClients } from "./client.js";
+export async function readConfigMap(namespace, name) {
+    const { core } = getClients();
+    try {
+        const result = await core.readNamespacedConfigMap(name, namespace);
+        return result.body;
+    }
+    catch (error) {
+        if (error?.response?.statusCode === 404) {
+            return null;
+        }
+        throw error;
+    }
+}
+/**
+ * Create the config map, or replace it when it carries the resourceVersion it was read at
+ * (a concurrent change then fails with 409 instead of being overwritten).
+ */
+export async function writeConfigMap(configMap) {
+    const { core } = getClients();
+    const { name, namespace, resourceVersion } = configMap.metadata;
+    if (resourceVersion) {
+        await core.replaceNamespacedConfigMap(name, namespace, configMap);
+    }
+    else {
+        await core.createNamespacedConfigMap(namespace, configMap);
+    }
+}
@@ -0,0 +1,49 @@
+import { getClients } from "./client.js";
+const MERGE_PATCH_OPTIONS = { headers: { "Content-Type": "application/merge-patch+json" } };
+// Set by users/user.suspension.js on a Deployment it scaled to zero (value: the replicas to restore).
+export const SUSPENDED_REPLICAS_ANNOTATION = "voxeil.io/suspended-replicas";
+/**
+ * Whether the deployment is scaled down by a user suspension.
+ * @returns {Promise<boolean>} false as well when the deployment does not exist
+ */
+export async function isDeploymentSuspended(namespace, name) {
+    const { apps } = getClients();
+    try {
+        const response = await apps.readNamespacedDeployment(name, namespace);
+        return response.body.metadata?.annotations?.[SUSPENDED_REPLICAS_ANNOTATION] !== undefined;
+    }
+    catch (error) {
+        if (error?.response?.statusCode === 404) {
+            return false;
+        }
+        throw error;
+    }
+}
+/**
+ * Roll the deployment's pods, like `kubectl rollout restart`.
+ * @returns {Promise<boolean>} false when the deployment does not exist
+ */
+export async function restartDeployment(namespace, name) {
+    const { apps } = getClients();
+    const patchBody = {
+        spec: {
+            template: {
+                metadata: {
+                    annotations: {
+                        "voxeil.io/restarted-at": new Date().toISOString()
+                    }
+                }
+            }
+        }
+    };
+    try {
+        await apps.patchNamespacedDeployment(name, namespace, patchBody, undefined, undefined, undefined, undefined, undefined, MERGE_PATCH_OPTIONS);
+        return true;
+    }
+    catch (error) {
+        if (error?.response?.statusCode === 404) {
+            return false;
+        }
+        throw error;
+    }
+}
@@ -0,0 +1,34 @@
+import { getClients } from "./client.js";
+// Traefik Middleware CRD (same API group as the panel's redirect middleware).
+const GROUP = "traefik.io";
+const VERSION = "v1alpha1";
+const PLURAL = "middlewares";
+const FIELD_MANAGER = "voxeil-controller";
+const APPLY_OPTIONS = { headers: { "Content-Type": "application/apply-patch+yaml" } };
+export async function upsertMiddleware(middleware) {
+    const { custom } = getClients();
+    const name = middleware.metadata?.name ?? "middleware";
+    const namespace = middleware.metadata?.namespace ?? "default";
+    try {
+        await custom.patchNamespacedCustomObject(GROUP, VERSION, namespace, PLURAL, name, middleware, undefined, FIELD_MANAGER, true, APPLY_OPTIONS);
+    }
+    catch (error) {
+        if (error?.response?.statusCode === 404) {
+            await custom.createNamespacedCustomObject(GROUP, VERSION, namespace, PLURAL, middleware);
+        }
+        else {
+            throw error;
+        }
+    }
+}
+export async function deleteMiddleware(namespace, name) {
+    const { custom } = getClients();
+    try {
+        await custom.deleteNamespacedCustomObject(GROUP, VERSION, namespace, PLURAL, name);
+    }
+    catch (error) {
+        if (error?.response?.statusCode !== 404) {
+            throw error;
+        }
+    }
+}
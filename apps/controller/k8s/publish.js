@@ -10,6 +10,15 @@ export function getServiceName(slug) {
 export function getIngressName(slug) {
     return `web-${slug}`;
 }
+export function getEnvConfigMapName(slug) {
+    return `env-${slug}`;
+}
+export function getEnvSecretName(slug) {
+    return `env-secret-${slug}`;
+}
+export function getRedirectMiddlewareName(slug) {
+    return `redirect-${slug}`;
+}
 const DEFAULT_UPLOAD_DIRS = ["/app/public/uploads"];
 function buildSelector(appName) {
     return {
@@ -36,6 +45,19 @@ export function buildDeployment(spec) {
     // uploadDirs resolved but not currently used
     resolveUploadDirs(spec.uploadDirs);
     const deploymentName = getDeploymentName(spec.slug);
+    // Optional refs: a site's env objects only exist once a variable has been set.
+    const envFrom = [
+        ...(spec.envConfigMapName ? [{ configMapRef: { name: spec.envConfigMapName, optional: true } }] : []),
+        ...(spec.envSecretName ? [{ secretRef: { name: spec.envSecretName, optional: true } }] : [])
+    ];
+    // Database connection variables, by name, from keys of the DB secret. Explicit env
+    // entries win over envFrom, so these override a same-named site variable.
+    const env = spec.dbEnv
+        ? Object.entries(spec.dbEnv.names).map(([key, name]) => ({
+            name,
+            valueFrom: { secretKeyRef: { name: spec.dbEnv.secretName, key } }
+        }))
+        : [];
     const labels = {
         [LABELS.managedBy]: LABELS.managedBy,
         [LABELS.siteSlug]: spec.slug,
@@ -53,7 +75,7 @@ export function buildDeployment(spec) {
             labels
         },
         spec: {
-            replicas: 1,
+            replicas: spec.replicas ?? 1,
             selector: {
                 matchLabels: selector
             },
@@ -79,13 +101,8 @@ export function buildDeployment(spec) {
                             name: "app",
                             image: spec.image,
                             ports: [{ containerPort: spec.containerPort }],
-                            ...(spec.envSecretName ? {
-                                envFrom: [{
-                                    secretRef: {
-                                        name: spec.envSecretName
-                                    }
-                                }]
-                            } : {}),
+                            ...(env.length > 0 ? { env } : {}),
+                            ...(envFrom.length > 0 ? { envFrom } : {}),
                             volumeMounts: [
                                 {
                                     name: "user-home",
@@ -144,11 +161,43 @@ export function buildService(spec) {
         }
     };
 }
+function escapeRegex(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+// Redirects every host of the site except the canonical one, keeping scheme and path.
+export function buildRedirectMiddleware(spec) {
+    const aliases = spec.hosts.filter((host) => host !== spec.canonicalHost);
+    const labels = {
+        [LABELS.managedBy]: LABELS.managedBy,
+        [LABELS.siteSlug]: spec.slug,
+        "voxeil.io/site": "true"
+    };
+    if (spec.userId) {
+        labels["voxeil.io/user-id"] = spec.userId;
+    }
+    return {
+        apiVersion: "traefik.io/v1alpha1",
+        kind: "Middleware",
+        metadata: {
+            name: getRedirectMiddlewareName(spec.slug),
+            namespace: spec.namespace,
+            labels
+        },
+        spec: {
+            redirectRegex: {
+                regex: `^(https?)://(?:${aliases.map(escapeRegex).join("|")})(?::\\d+)?(.*)$`,
+                replacement: `\${1}://${spec.canonicalHost}\${2}`,
+                permanent: true
+            }
+        }
+    };
+}
 export function buildIngress(spec) {
     const tlsEnabled = spec.tlsEnabled ?? false;
     const certIssuerName = spec.tlsIssuer ?? "letsencrypt-staging";
     const ingressName = getIngressName(spec.slug);
     const serviceName = getServiceName(spec.slug);
+    const hosts = spec.hosts?.length ? spec.hosts : [spec.host];
     const labels = {
         [LABELS.managedBy]: LABELS.managedBy,
         [LABELS.siteSlug]: spec.slug,
@@ -167,30 +216,28 @@ export function buildIngress(spec) {
         },
         spec: {
             ingressClassName: process.env.INGRESS_CLASS_NAME ?? "traefik",
-            rules: [
-                {
-                    host: spec.host,
-                    http: {
-                        paths: [
-                            {
-                                path: "/",
-                                pathType: "Prefix",
-                                backend: {
-                                    service: {
-                                        name: serviceName,
-                                        port: { number: 80 }
-                                    }
+            rules: hosts.map((host) => ({
+                host,
+                http: {
+                    paths: [
+                        {
+                            path: "/",
+                            pathType: "Prefix",
+                            backend: {
+                                service: {
+                                    name: serviceName,
+                                    port: { number: 80 }
                                 }
                             }
-                        ]
-                    }
+                        }
+                    ]
                 }
-            ],
+            })),
             ...(tlsEnabled
                 ? {
                     tls: [
                         {
-                            hosts: [spec.host],
+                            hosts,
                             secretName: `tls-${spec.slug}`
                         }
                     ]
@@ -212,6 +259,9 @@ export function buildIngress(spec) {
                     : "false",
                 ...(tlsEnabled
                     ? { "cert-manager.io/cluster-issuer": certIssuerName }
+                    : {}),
+                ...(spec.middlewareName
+                    ? { "traefik.ingress.kubernetes.io/router.middlewares": `${spec.namespace}-${spec.middlewareName}@kubernetescrd` }
                     : {})
             }
         }
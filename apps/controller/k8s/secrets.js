@@ -1,6 +1,8 @@
 import { getClients, LABELS } from "./client.js";
 import { HttpError } from "../http/errors.js";
 export const GHCR_PULL_SECRET_NAME = "ghcr-pull-secret";
+// Connection secret of the user-level database; site operations never write or delete it.
+export const USER_DB_SECRET_NAME = "db-conn";
 export const PLATFORM_NAMESPACE = process.env.PLATFORM_NAMESPACE ?? "platform";
 async function readPlatformSecret(name) {
     const { core } = getClients();
@@ -81,6 +83,20 @@ export async function upsertSecret(secret) {
         await patch(name, namespace, secret, undefined, undefined, undefined, undefined, { headers: { "Content-Type": "application/merge-patch+json" } });
     }
 }
+/**
+ * Create the secret, or replace it when it carries the resourceVersion it was read at
+ * (a concurrent change then fails with 409 instead of being overwritten).
+ */
+export async function writeSecret(secret) {
+    const { core } = getClients();
+    const { name, namespace, resourceVersion } = secret.metadata;
+    if (resourceVersion) {
+        await core.replaceNamespacedSecret(name, namespace, secret);
+    }
+    else {
+        await core.createNamespacedSecret(namespace, secret);
+    }
+}
 export async function deleteSecret(namespace, name) {
     const { core } = getClients();
     try {
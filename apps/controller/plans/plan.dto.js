@@ -0,0 +1,35 @@
+import { z } from "zod";
+
+const cpuQuantity = z.string()
+    .trim()
+    .regex(/^(\d+m|\d+(\.\d+)?)$/, "CPU must be a Kubernetes quantity such as 500m or 2");
+const memoryQuantity = z.string()
+    .trim()
+    .regex(/^\d+(Mi|Gi)$/, "Must be a Kubernetes quantity in Mi or Gi, such as 512Mi or 2Gi");
+const countLimit = z.number().int().min(0).max(10000);
+
+export const CreatePlanSchema = z.object({
+    name: z.string()
+        .trim()
+        .min(2, "Plan name must be at least 2 characters")
+        .max(64, "Plan name must be at most 64 characters")
+        .regex(/^[a-z0-9][a-z0-9_-]*$/, "Plan name can only contain lowercase letters, numbers, hyphens, and underscores"),
+    description: z.string().trim().max(256).optional(),
+    cpuRequest: cpuQuantity,
+    cpuLimit: cpuQuantity,
+    memoryRequest: memoryQuantity,
+    memoryLimit: memoryQuantity,
+    storage: memoryQuantity,
+    pvcCount: z.number().int().min(1).max(100),
+    maxSites: countLimit,
+    maxDatabases: countLimit,
+    maxMailboxes: countLimit,
+    isDefault: z.boolean().optional()
+});
+export const UpdatePlanSchema = CreatePlanSchema.partial()
+    .refine((value) => Object.keys(value).length > 0, {
+    message: "At least one field must be provided"
+});
+export const AssignPlanSchema = z.object({
+    planId: z.string().trim().min(1, "Plan id is required")
+});
@@ -0,0 +1,284 @@
+import crypto from "node:crypto";
+import { HttpError } from "../http/errors.js";
+import { withClient as poolWithClient } from "../db/pool.js";
+import { parseCpuToNumber, parseGiToNumber } from "../k8s/quantity.js";
+import { getUserById, listUserIdsByPlan } from "../users/user.service.js";
+
+// Hosting plans: the namespace quota (ResourceQuota/LimitRange) and the site, database and
+// mailbox allowance of every user assigned to them. Users without a plan get the default one.
+const PLAN_COLUMNS = "id, name, description, cpu_request, cpu_limit, memory_request, memory_limit, storage, pvc_count, max_sites, max_databases, max_mailboxes, is_default, created_at, updated_at";
+// What every user got before plans existed, plus room for the home volume.
+const DEFAULT_PLAN = {
+    name: "default",
+    description: "Default plan",
+    cpuRequest: "500m",
+    cpuLimit: "1",
+    memoryRequest: "512Mi",
+    memoryLimit: "1Gi",
+    storage: "20Gi",
+    pvcCount: 5,
+    maxSites: 5,
+    maxDatabases: 5,
+    maxMailboxes: 25
+};
+const FIELD_COLUMNS = {
+    name: "name",
+    description: "description",
+    cpuRequest: "cpu_request",
+    cpuLimit: "cpu_limit",
+    memoryRequest: "memory_request",
+    memoryLimit: "memory_limit",
+    storage: "storage",
+    pvcCount: "pvc_count",
+    maxSites: "max_sites",
+    maxDatabases: "max_databases",
+    maxMailboxes: "max_mailboxes"
+};
+
+let schemaReady = false;
+
+async function ensureSchema(client) {
+    await client.query(`
+    CREATE TABLE IF NOT EXISTS plans (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL UNIQUE,
+      description TEXT,
+      cpu_request TEXT NOT NULL,
+      cpu_limit TEXT NOT NULL,
+      memory_request TEXT NOT NULL,
+      memory_limit TEXT NOT NULL,
+      storage TEXT NOT NULL,
+      pvc_count INTEGER NOT NULL,
+      max_sites INTEGER NOT NULL,
+      max_databases INTEGER NOT NULL,
+      max_mailboxes INTEGER NOT NULL,
+      is_default BOOLEAN NOT NULL DEFAULT false,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    );
+  `);
+    await client.query(`
+    CREATE UNIQUE INDEX IF NOT EXISTS plans_default_idx
+      ON plans ((true))
+      WHERE is_default;
+  `);
+    // Seed the default plan once; ON CONFLICT covers replicas racing here.
+    await client.query(`INSERT INTO plans (id, name, description, cpu_request, cpu_limit, memory_request, memory_limit, storage, pvc_count, max_sites, max_databases, max_mailboxes, is_default)
+     SELECT $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, true
+     WHERE NOT EXISTS (SELECT 1 FROM plans WHERE is_default)
+     ON CONFLICT DO NOTHING`, [
+        crypto.randomUUID(),
+        DEFAULT_PLAN.name,
+        DEFAULT_PLAN.description,
+        DEFAULT_PLAN.cpuRequest,
+        DEFAULT_PLAN.cpuLimit,
+        DEFAULT_PLAN.memoryRequest,
+        DEFAULT_PLAN.memoryLimit,
+        DEFAULT_PLAN.storage,
+        DEFAULT_PLAN.pvcCount,
+        DEFAULT_PLAN.maxSites,
+        DEFAULT_PLAN.maxDatabases,
+        DEFAULT_PLAN.maxMailboxes
+    ]);
+}
+
+async function withClient(fn) {
+    return poolWithClient(async (client) => {
+        if (!schemaReady) {
+            await ensureSchema(client);
+            schemaReady = true;
+        }
+        return await fn(client);
+    });
+}
+
+function mapRow(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        description: row.description ?? null,
+        cpuRequest: row.cpu_request,
+        cpuLimit: row.cpu_limit,
+        memoryRequest: row.memory_request,
+        memoryLimit: row.memory_limit,
+        storage: row.storage,
+        pvcCount: row.pvc_count,
+        maxSites: row.max_sites,
+        maxDatabases: row.max_databases,
+        maxMailboxes: row.max_mailboxes,
+        isDefault: row.is_default,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+function assertRequestsWithinLimits(plan) {
+    if (parseCpuToNumber(plan.cpuRequest) > parseCpuToNumber(plan.cpuLimit)) {
+        throw new HttpError(400, "CPU request must not exceed the CPU limit.");
+    }
+    if (parseGiToNumber(plan.memoryRequest) > parseGiToNumber(plan.memoryLimit)) {
+        throw new HttpError(400, "Memory request must not exceed the memory limit.");
+    }
+}
+
+function rethrowNameConflict(error) {
+    if (error?.code === "23505") {
+        throw new HttpError(409, "A plan with this name already exists.");
+    }
+    throw error;
+}
+
+export async function listPlans() {
+    return withClient(async (client) => {
+        const result = await client.query(`SELECT ${PLAN_COLUMNS} FROM plans ORDER BY is_default DESC, name`);
+        return result.rows.map(mapRow);
+    });
+}
+
+export async function getPlanById(id) {
+    return withClient(async (client) => {
+        const result = await client.query(`SELECT ${PLAN_COLUMNS} FROM plans WHERE id = $1`, [id]);
+        if (result.rowCount === 0) {
+            throw new HttpError(404, "Plan not found.");
+        }
+        return mapRow(result.rows[0]);
+    });
+}
+
+export async function getDefaultPlan() {
+    return withClient(async (client) => {
+        const result = await client.query(`SELECT ${PLAN_COLUMNS} FROM plans WHERE is_default`);
+        if (result.rowCount === 0) {
+            throw new HttpError(500, "No default plan configured.");
+        }
+        return mapRow(result.rows[0]);
+    });
+}
+
+/**
+ * The plan a user is on: their assigned plan, or the default plan when none is assigned.
+ */
+export async function getUserPlan(userId) {
+    const user = await getUserById(userId);
+    return user.planId ? getPlanById(user.planId) : getDefaultPlan();
+}
+
+/**
+ * Users whose namespace quota follows this plan, including unassigned users for the default plan.
+ */
+export async function listPlanUserIds(plan) {
+    return listUserIdsByPlan(plan.id, { includeUnassigned: plan.isDefault });
+}
+
+async function clearDefault(client, exceptId) {
+    await client.query("UPDATE plans SET is_default = false, updated_at = now() WHERE is_default AND id <> $1", [exceptId]);
+}
+
+export async function createPlan(input) {
+    assertRequestsWithinLimits(input);
+    const id = crypto.randomUUID();
+    const row = await withClient(async (client) => {
+        await client.query("BEGIN");
+        try {
+            if (input.isDefault) {
+                await clearDefault(client, id);
+            }
+            const result = await client.query(`INSERT INTO plans (id, name, description, cpu_request, cpu_limit, memory_request, memory_limit, storage, pvc_count, max_sites, max_databases, max_mailboxes, is_default)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+         RETURNING ${PLAN_COLUMNS}`, [
+                id,
+                input.name,
+                input.description ?? null,
+                input.cpuRequest,
+                input.cpuLimit,
+                input.memoryRequest,
+                input.memoryLimit,
+                input.storage,
+                input.pvcCount,
+                input.maxSites,
+                input.maxDatabases,
+                input.maxMailboxes,
+                input.isDefault ?? false
+            ]);
+            await client.query("COMMIT");
+            return result.rows[0];
+        }
+        catch (error) {
+            await client.query("ROLLBACK");
+            rethrowNameConflict(error);
+        }
+    });
+    return mapRow(row);
+}
+
+/**
+ * Update a plan. Returns { plan, previous } so callers can tell whether the quota changed.
+ * The default plan can be replaced by marking another plan default, never unset directly.
+ */
+export async function updatePlan(id, patch) {
+    const previous = await getPlanById(id);
+    if (patch.isDefault === false && previous.isDefault) {
+        throw new HttpError(409, "Mark another plan as default instead.");
+    }
+    const next = { ...previous, ...patch };
+    assertRequestsWithinLimits(next);
+    const assignments = [];
+    const values = [];
+    for (const [field, column] of Object.entries(FIELD_COLUMNS)) {
+        if (patch[field] !== undefined) {
+            values.push(patch[field]);
+            assignments.push(`${column} = $${values.length}`);
+        }
+    }
+    if (patch.isDefault) {
+        assignments.push("is_default = true");
+    }
+    values.push(id);
+    const row = await withClient(async (client) => {
+        await client.query("BEGIN");
+        try {
+            if (patch.isDefault) {
+                await clearDefault(client, id);
+            }
+            const result = await client.query(`UPDATE plans
+         SET ${[...assignments, "updated_at = now()"].join(", ")}
+         WHERE id = $${values.length}
+         RETURNING ${PLAN_COLUMNS}`, values);
+            await client.query("COMMIT");
+            return result.rows[0];
+        }
+        catch (error) {
+            await client.query("ROLLBACK");
+            rethrowNameConflict(error);
+        }
+    });
+    if (!row) {
+        throw new HttpError(404, "Plan not found.");
+    }
+    return { plan: mapRow(row), previous };
+}
+
+export async function deletePlan(id) {
+    const plan = await getPlanById(id);
+    if (plan.isDefault) {
+        throw new HttpError(409, "The default plan cannot be deleted.");
+    }
+    const userIds = await listPlanUserIds(plan);
+    if (userIds.length > 0) {
+        throw new HttpError(409, `Plan is assigned to ${userIds.length} user(s). Move them to another plan first.`);
+    }
+    await withClient(async (client) => {
+        await client.query("DELETE FROM plans WHERE id = $1", [id]);
+    });
+    return plan;
+}
+
+/**
+ * Throw 403 when adding one more of a resource would exceed the plan's allowance.
+ */
+export function assertPlanAllows(plan, limitKey, currentCount, label) {
+    const limit = plan[limitKey];
+    if (currentCount >= limit) {
+        throw new HttpError(403, `Plan "${plan.name}" allows at most ${limit} ${label}.`, { plan: plan.name, limit });
+    }
+}
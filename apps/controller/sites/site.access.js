@@ -0,0 +1,78 @@
+import { HttpError } from "../http/errors.js";
+import { hasPermission } from "../auth/permissions.js";
+import { isSelfOrSubUser, listSelfAndSubUserIds } from "../users/user.hierarchy.js";
+import { getUserById } from "../users/user.service.js";
+import { getSiteMemberRole, listMemberSiteRoles, memberRoleAllows } from "./site.members.js";
+import { findSite } from "./site.store.js";
+
+// Site authorization: a site belongs to the user recorded as its owner (sites.user_id).
+// Callers with sites.read_any reach every site (the role permission still decides what
+// they may do there); everyone else only their own sites, resellers also their sub-users'.
+// Site members reach one site for the actions their member role allows.
+
+async function hasOwnerAccess(user, ownerId) {
+    if (hasPermission(user.role, "sites.read_any") || ownerId === user.sub) {
+        return true;
+    }
+    return hasPermission(user.role, "sites.read_sub") && await isSelfOrSubUser(user.sub, ownerId);
+}
+
+/**
+ * Throw unless the caller may perform `action` on the site. Sites outside the caller's
+ * reach are reported as missing, the same as getManagedUser does for accounts.
+ * @returns {Promise<{ namespace: string, ownerId: string, memberRole: string | null }>}
+ */
+export async function assertSiteAccess(user, slug, action) {
+    const site = await findSite(slug);
+    if (!site) {
+        throw new HttpError(404, "Site not found.");
+    }
+    const { namespace, userId: ownerId } = site;
+    if (await hasOwnerAccess(user, ownerId)) {
+        return { namespace, ownerId, memberRole: null };
+    }
+    const memberRole = await getSiteMemberRole(slug, user.sub);
+    if (!memberRole) {
+        throw new HttpError(404, "Site not found.");
+    }
+    if (!memberRoleAllows(memberRole, action)) {
+        throw new HttpError(403, `Site role ${memberRole} does not allow: ${action}.`);
+    }
+    return { namespace, ownerId, memberRole };
+}
+
+/**
+ * Throw 409 while the site's owner is suspended: a deploy, env or routing change would
+ * bring back what the suspension took offline.
+ */
+export async function assertSiteOwnerActive(site) {
+    const owner = await getUserById(site.userId);
+    if (!owner.active) {
+        throw new HttpError(409, "The site owner is suspended.");
+    }
+}
+
+/**
+ * The subset of `sites` (as returned by listSites) the caller may see. Sites reached
+ * only through membership carry the caller's memberRole.
+ */
+export async function filterAccessibleSites(user, sites) {
+    if (hasPermission(user.role, "sites.read_any")) {
+        return sites;
+    }
+    const ownerIds = hasPermission(user.role, "sites.read_sub")
+        ? await listSelfAndSubUserIds(user.sub)
+        : [user.sub];
+    const namespaces = new Set(ownerIds.map((id) => `user-${id}`));
+    const memberRoles = await listMemberSiteRoles(user.sub);
+    const visible = [];
+    for (const site of sites) {
+        if (namespaces.has(site.namespace)) {
+            visible.push(site);
+        }
+        else if (memberRoles.has(site.slug)) {
+            visible.push({ ...site, memberRole: memberRoles.get(site.slug) });
+        }
+    }
+    return visible;
+}
@@ -0,0 +1,146 @@
+import crypto from "node:crypto";
+import { HttpError } from "../http/errors.js";
+import { withClient as poolWithClient } from "../db/pool.js";
+
+// Deploy history: one row per deploy of a site. A deploy starts "pending" and is settled
+// from the Deployment's rollout by a periodic pass in the controller (reads never write
+// here); a newer deploy marks older pending ones "superseded".
+export const SITE_DEPLOY_SOURCES = ["manual", "github", "webhook"];
+const DEPLOY_COLUMNS = "id, site_slug, image, container_port, source, actor_user_id, rollback_of, status, message, created_at, finished_at";
+
+let schemaReady = false;
+
+async function ensureSchema(client) {
+    await client.query(`
+    CREATE TABLE IF NOT EXISTS site_deploys (
+      id TEXT PRIMARY KEY,
+      site_slug TEXT NOT NULL REFERENCES sites(slug) ON DELETE CASCADE,
+      image TEXT NOT NULL,
+      container_port INTEGER NOT NULL,
+      source TEXT NOT NULL CONSTRAINT site_deploys_source_check CHECK (source IN ('manual', 'github', 'webhook')),
+      actor_user_id TEXT,
+      rollback_of TEXT,
+      status TEXT NOT NULL CONSTRAINT site_deploys_status_check CHECK (status IN ('pending', 'success', 'failed', 'superseded')),
+      message TEXT,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      finished_at TIMESTAMPTZ
+    );
+  `);
+    await client.query(`
+    CREATE INDEX IF NOT EXISTS site_deploys_site_slug_created_at_idx
+      ON site_deploys (site_slug, created_at DESC);
+  `);
+}
+
+async function withClient(fn) {
+    return poolWithClient(async (client) => {
+        if (!schemaReady) {
+            await ensureSchema(client);
+            schemaReady = true;
+        }
+        return await fn(client);
+    });
+}
+
+function mapRow(row) {
+    return {
+        id: row.id,
+        siteSlug: row.site_slug,
+        image: row.image,
+        containerPort: row.container_port,
+        source: row.source,
+        actorUserId: row.actor_user_id ?? null,
+        rollbackOf: row.rollback_of ?? null,
+        status: row.status,
+        message: row.message ?? null,
+        createdAt: row.created_at,
+        finishedAt: row.finished_at ?? null
+    };
+}
+
+/**
+ * Newest first.
+ */
+export async function listSiteDeploys(slug, limit = 50) {
+    return withClient(async (client) => {
+        const result = await client.query(`SELECT ${DEPLOY_COLUMNS}
+       FROM site_deploys
+       WHERE site_slug = $1
+       ORDER BY created_at DESC
+       LIMIT $2`, [slug, limit]);
+        return result.rows.map(mapRow);
+    });
+}
+
+/**
+ * Pending deploys of all sites, oldest first.
+ */
+export async function listPendingSiteDeploys() {
+    return withClient(async (client) => {
+        const result = await client.query(`SELECT ${DEPLOY_COLUMNS}
+       FROM site_deploys
+       WHERE status = 'pending'
+       ORDER BY created_at ASC`);
+        return result.rows.map(mapRow);
+    });
+}
+
+export async function getSiteDeploy(slug, id) {
+    return withClient(async (client) => {
+        const result = await client.query(`SELECT ${DEPLOY_COLUMNS} FROM site_deploys WHERE site_slug = $1 AND id = $2`, [slug, id]);
+        if (!result.rows[0]) {
+            throw new HttpError(404, "Deploy not found.");
+        }
+        return mapRow(result.rows[0]);
+    });
+}
+
+/**
+ * Record a deploy. A failed one (the apply itself was rejected) is stored settled and,
+ * having changed nothing, leaves the pending one before it alone.
+ */
+export async function recordSiteDeploy(input) {
+    const status = input.status ?? "pending";
+    return withClient(async (client) => {
+        await client.query("BEGIN");
+        try {
+            if (status === "pending") {
+                await client.query(`UPDATE site_deploys
+           SET status = 'superseded', finished_at = now()
+           WHERE site_slug = $1 AND status = 'pending'`, [input.slug]);
+            }
+            const result = await client.query(`INSERT INTO site_deploys (id, site_slug, image, container_port, source, actor_user_id, rollback_of, status, message, finished_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, CASE WHEN $8 = 'pending' THEN NULL ELSE now() END)
+         RETURNING ${DEPLOY_COLUMNS}`, [
+                crypto.randomUUID(),
+                input.slug,
+                input.image,
+                input.containerPort,
+                input.source,
+                input.actorUserId ?? null,
+                input.rollbackOf ?? null,
+                status,
+                input.message ?? null
+            ]);
+            await client.query("COMMIT");
+            return mapRow(result.rows[0]);
+        }
+        catch (error) {
+            await client.query("ROLLBACK");
+            throw error;
+        }
+    });
+}
+
+/**
+ * Settle a pending deploy; a deploy settled meanwhile is left as it is.
+ */
+export async function finishSiteDeploy(id, status, message) {
+    return withClient(async (client) => {
+        const result = await client.query(`UPDATE site_deploys
+       SET status = $2, message = $3, finished_at = now()
+       WHERE id = $1 AND status = 'pending'
+       RETURNING ${DEPLOY_COLUMNS}`, [id, status, message ?? null]);
+        return result.rows[0] ? mapRow(result.rows[0]) : null;
+    });
+}
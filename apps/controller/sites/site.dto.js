@@ -17,10 +17,15 @@ export const PatchLimitsSchema = z
     .refine((value) => Object.keys(value).length > 0, {
     message: "At least one limit must be provided"
 });
+export const SiteDeploySourceSchema = z.enum(["manual", "github", "webhook"]);
 export const DeploySiteSchema = z.object({
     image: z.string().min(1),
     containerPort: z.number().int().positive(),
-    uploadDirs: z.array(z.string().min(1)).optional()
+    uploadDirs: z.array(z.string().min(1)).optional(),
+    source: SiteDeploySourceSchema.optional()
+});
+export const RollbackSiteSchema = z.object({
+    deployId: z.string().min(1)
 });
 export const PatchTlsSchema = z.object({
     enabled: z.boolean(),
@@ -59,8 +64,17 @@ export const RegistryCredentialsSchema = z.object({
     registryServer: z.string().min(1).optional(),
     registryEmail: z.string().min(1).optional()
 });
+const EnvNameSchema = z.string().regex(/^[A-Za-z_][A-Za-z0-9_]*$/, "Invalid environment variable name");
 export const DbEnableSchema = z.object({
-    dbName: z.string().min(1).optional()
+    dbName: z.string().min(1).optional(),
+    envNames: z.object({
+        url: EnvNameSchema.optional(),
+        host: EnvNameSchema.optional(),
+        port: EnvNameSchema.optional(),
+        database: EnvNameSchema.optional(),
+        username: EnvNameSchema.optional(),
+        password: EnvNameSchema.optional()
+    }).strict().optional()
 });
 export const MailboxCreateSchema = z.object({
     localPart: z.string().min(1),
@@ -72,3 +86,21 @@ export const AliasCreateSchema = z.object({
     destination: z.string().min(1),
     active: z.boolean().optional()
 });
+export const SiteMemberRoleSchema = z.enum(["viewer", "deployer", "manager"]);
+export const AddSiteMemberSchema = z.object({
+    username: z.string().trim().min(1),
+    role: SiteMemberRoleSchema
+});
+export const UpdateSiteMemberSchema = z.object({
+    role: SiteMemberRoleSchema
+});
+export const AddSiteDomainSchema = z.object({
+    domain: z.string().trim().min(1)
+});
+export const CanonicalDomainSchema = z.object({
+    domain: z.string().trim().min(1).nullable()
+});
+export const SetSiteEnvSchema = z.object({
+    value: z.string().max(32768),
+    secret: z.boolean().optional()
+});
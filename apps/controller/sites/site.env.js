@@ -0,0 +1,156 @@
+import { HttpError } from "../http/errors.js";
+import { LABELS } from "../k8s/client.js";
+import { readConfigMap, writeConfigMap } from "../k8s/configmaps.js";
+import { restartDeployment } from "../k8s/deployment.js";
+import { getDeploymentName, getEnvConfigMapName, getEnvSecretName } from "../k8s/publish.js";
+import { readSecret, writeSecret } from "../k8s/secrets.js";
+import { assertSiteOwnerActive } from "./site.access.js";
+import { validateSlug } from "./site.slug.js";
+import { getSite } from "./site.store.js";
+
+// Site environment variables live in the cluster: plain ones in the env-<slug> ConfigMap,
+// secret ones in the env-secret-<slug> Secret, both mounted by the deployment through
+// envFrom. A key is in exactly one of the two. Secret values are write-only for the API.
+const ENV_KEY_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+function normalizeSlug(slug) {
+    try {
+        return validateSlug(slug);
+    }
+    catch (error) {
+        throw new HttpError(400, error?.message ?? "Invalid slug.");
+    }
+}
+
+function validateEnvKey(key) {
+    if (!ENV_KEY_PATTERN.test(key)) {
+        throw new HttpError(400, "Variable name must start with a letter or underscore and contain only letters, digits or underscores.");
+    }
+    return key;
+}
+
+function buildMetadata(site, name, current) {
+    return {
+        name,
+        namespace: site.namespace,
+        labels: {
+            [LABELS.managedBy]: LABELS.managedBy,
+            [LABELS.siteSlug]: site.slug,
+            "voxeil.io/site": "true",
+            "voxeil.io/user-id": site.userId
+        },
+        ...(current?.metadata?.resourceVersion ? { resourceVersion: current.metadata.resourceVersion } : {})
+    };
+}
+
+async function readEnvObjects(site) {
+    const [configMap, secret] = await Promise.all([
+        readConfigMap(site.namespace, getEnvConfigMapName(site.slug)),
+        readSecret(site.namespace, getEnvSecretName(site.slug))
+    ]);
+    // Null-prototype maps, so a variable named __proto__ is an ordinary key.
+    const plain = Object.assign(Object.create(null), configMap?.data);
+    const secrets = Object.create(null);
+    for (const [key, value] of Object.entries(secret?.data ?? {})) {
+        secrets[key] = Buffer.from(value, "base64").toString("utf8");
+    }
+    return { configMap, secret, plain, secrets };
+}
+
+function toEnvList(plain, secrets) {
+    return [
+        ...Object.entries(plain).map(([key, value]) => ({ key, value, isSecret: false })),
+        ...Object.keys(secrets).map((key) => ({ key, isSecret: true }))
+    ].sort((a, b) => a.key.localeCompare(b.key));
+}
+
+async function writeEnvObjects(site, current, plain, secrets, changed) {
+    try {
+        if (changed.plain) {
+            await writeConfigMap({
+                apiVersion: "v1",
+                kind: "ConfigMap",
+                metadata: buildMetadata(site, getEnvConfigMapName(site.slug), current.configMap),
+                data: plain
+            });
+        }
+        if (changed.secret) {
+            await writeSecret({
+                apiVersion: "v1",
+                kind: "Secret",
+                metadata: buildMetadata(site, getEnvSecretName(site.slug), current.secret),
+                type: "Opaque",
+                data: Object.fromEntries(Object.entries(secrets).map(([key, value]) => [key, Buffer.from(value, "utf8").toString("base64")]))
+            });
+        }
+    }
+    catch (error) {
+        if (error?.response?.statusCode === 409) {
+            throw new HttpError(409, "Site environment was changed concurrently; retry.");
+        }
+        throw error;
+    }
+    // Pods only read envFrom at start.
+    return restartDeployment(site.namespace, getDeploymentName(site.slug));
+}
+
+/**
+ * Variables of a site for API responses: secret entries carry no value.
+ */
+export async function listSiteEnvVars(site) {
+    const { plain, secrets } = await readEnvObjects(site);
+    return toEnvList(plain, secrets);
+}
+
+export async function listSiteEnv(slug) {
+    const normalized = normalizeSlug(slug);
+    const site = await getSite(normalized);
+    return { ok: true, slug: normalized, env: await listSiteEnvVars(site) };
+}
+
+/**
+ * Create or replace a variable. Without `secret`, an existing variable keeps its kind
+ * and a new one is plain; switching kind moves it between the ConfigMap and the Secret.
+ */
+export async function setSiteEnvVar(slug, keyInput, input) {
+    const normalized = normalizeSlug(slug);
+    const key = validateEnvKey(keyInput);
+    const site = await getSite(normalized);
+    await assertSiteOwnerActive(site);
+    const current = await readEnvObjects(site);
+    const { plain, secrets } = current;
+    const isSecret = input.secret ?? Object.hasOwn(secrets, key);
+    const changed = { plain: Object.hasOwn(plain, key) || !isSecret, secret: Object.hasOwn(secrets, key) || isSecret };
+    delete plain[key];
+    delete secrets[key];
+    if (isSecret) {
+        secrets[key] = input.value;
+    }
+    else {
+        plain[key] = input.value;
+    }
+    const restarted = await writeEnvObjects(site, current, plain, secrets, changed);
+    return {
+        ok: true,
+        slug: normalized,
+        variable: isSecret ? { key, isSecret } : { key, value: input.value, isSecret },
+        restarted
+    };
+}
+
+export async function deleteSiteEnvVar(slug, keyInput) {
+    const normalized = normalizeSlug(slug);
+    const key = validateEnvKey(keyInput);
+    const site = await getSite(normalized);
+    await assertSiteOwnerActive(site);
+    const current = await readEnvObjects(site);
+    const { plain, secrets } = current;
+    const changed = { plain: Object.hasOwn(plain, key), secret: Object.hasOwn(secrets, key) };
+    if (!changed.plain && !changed.secret) {
+        throw new HttpError(404, "Environment variable not found.");
+    }
+    delete plain[key];
+    delete secrets[key];
+    const restarted = await writeEnvObjects(site, current, plain, secrets, changed);
+    return { ok: true, slug: normalized, key, restarted };
+}
@@ -0,0 +1,150 @@
+import { HttpError } from "../http/errors.js";
+import { withClient as poolWithClient } from "../db/pool.js";
+
+// Site collaborators: accounts the owner lets work on one site without sharing a login.
+// A member reaches the site only for the actions of their role; deleting or purging a
+// site and managing its members stay with the owner.
+export const SITE_MEMBER_ROLES = ["viewer", "deployer", "manager"];
+const VIEWER_ACTIONS = ["sites.read"];
+const DEPLOYER_ACTIONS = [...VIEWER_ACTIONS, "sites.deploy"];
+const MEMBER_ROLE_ACTIONS = {
+    viewer: new Set(VIEWER_ACTIONS),
+    deployer: new Set(DEPLOYER_ACTIONS),
+    manager: new Set([
+        ...DEPLOYER_ACTIONS,
+        "sites.update",
+        "sites.db.manage",
+        "sites.mail.manage",
+        "sites.dns.manage",
+        "sites.github.manage",
+        "sites.registry.manage"
+    ])
+};
+const MEMBER_COLUMNS = "m.site_slug, m.user_id, u.username, m.role, m.added_by, m.created_at, m.updated_at";
+
+let schemaReady = false;
+
+async function ensureSchema(client) {
+    await client.query(`
+    CREATE TABLE IF NOT EXISTS site_members (
+      site_slug TEXT NOT NULL,
+      user_id TEXT NOT NULL REFERENCES panel_users(id) ON DELETE CASCADE,
+      role TEXT NOT NULL CONSTRAINT site_members_role_check CHECK (role IN ('viewer', 'deployer', 'manager')),
+      added_by TEXT,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      PRIMARY KEY (site_slug, user_id)
+    );
+  `);
+    await client.query(`
+    CREATE INDEX IF NOT EXISTS site_members_user_id_idx
+      ON site_members (user_id);
+  `);
+}
+
+async function withClient(fn) {
+    return poolWithClient(async (client) => {
+        if (!schemaReady) {
+            await ensureSchema(client);
+            schemaReady = true;
+        }
+        return await fn(client);
+    });
+}
+
+function mapRow(row) {
+    return {
+        siteSlug: row.site_slug,
+        userId: row.user_id,
+        username: row.username,
+        role: row.role,
+        addedBy: row.added_by ?? null,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+export function memberRoleAllows(role, action) {
+    return MEMBER_ROLE_ACTIONS[role]?.has(action) ?? false;
+}
+
+export async function listSiteMembers(slug) {
+    return withClient(async (client) => {
+        const result = await client.query(`SELECT ${MEMBER_COLUMNS}
+       FROM site_members m
+       JOIN panel_users u ON u.id = m.user_id
+       WHERE m.site_slug = $1
+       ORDER BY u.username`, [slug]);
+        return result.rows.map(mapRow);
+    });
+}
+
+/**
+ * The caller's role on a site, or null when they are not a member.
+ */
+export async function getSiteMemberRole(slug, userId) {
+    return withClient(async (client) => {
+        const result = await client.query("SELECT role FROM site_members WHERE site_slug = $1 AND user_id = $2", [slug, userId]);
+        return result.rows[0]?.role ?? null;
+    });
+}
+
+/**
+ * Map of site slug to role for every site the user collaborates on.
+ */
+export async function listMemberSiteRoles(userId) {
+    return withClient(async (client) => {
+        const result = await client.query("SELECT site_slug, role FROM site_members WHERE user_id = $1", [userId]);
+        return new Map(result.rows.map((row) => [row.site_slug, row.role]));
+    });
+}
+
+/**
+ * Add a member, or change the role of an existing one.
+ */
+export async function upsertSiteMember(slug, userId, role, addedBy) {
+    return withClient(async (client) => {
+        await client.query(`INSERT INTO site_members (site_slug, user_id, role, added_by)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (site_slug, user_id)
+       DO UPDATE SET role = EXCLUDED.role, updated_at = now()`, [slug, userId, role, addedBy ?? null]);
+        const result = await client.query(`SELECT ${MEMBER_COLUMNS}
+       FROM site_members m
+       JOIN panel_users u ON u.id = m.user_id
+       WHERE m.site_slug = $1 AND m.user_id = $2`, [slug, userId]);
+        return mapRow(result.rows[0]);
+    });
+}
+
+/**
+ * Add a member by username. An unknown username and the site's own owner get the same
+ * error, so site managers cannot use this to find out which accounts exist.
+ */
+export async function addSiteMemberByUsername(slug, ownerId, username, role, addedBy) {
+    const userId = await withClient(async (client) => {
+        const result = await client.query("SELECT id FROM panel_users WHERE username = $1", [username]);
+        return result.rows[0]?.id ?? null;
+    });
+    if (!userId || userId === ownerId) {
+        throw new HttpError(400, "This user cannot be added to the site.");
+    }
+    return upsertSiteMember(slug, userId, role, addedBy);
+}
+
+export async function removeSiteMember(slug, userId) {
+    return withClient(async (client) => {
+        const result = await client.query("DELETE FROM site_members WHERE site_slug = $1 AND user_id = $2", [slug, userId]);
+        if (result.rowCount === 0) {
+            throw new HttpError(404, "Site member not found.");
+        }
+    });
+}
+
+/**
+ * Drop every membership of a deleted site, so a new site reusing the slug starts clean.
+ */
+export async function removeAllSiteMembers(slug) {
+    await withClient(async (client) => {
+        await client.query("DELETE FROM site_members WHERE site_slug = $1", [slug]);
+    });
+}
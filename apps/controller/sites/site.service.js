@@ -1,14 +1,23 @@
 import { HttpError } from "../http/errors.js";
 import { logger } from "../config/logger.js";
+import { parseEnvNumber } from "../config/env.js";
 import { upsertDeployment, upsertIngress, upsertService } from "../k8s/apply.js";
-import { patchNamespaceAnnotations, requireNamespace, resolveUserNamespaceForSite, readUserNamespaceSite, extractUserIdFromNamespace, readSiteMetadata } from "../k8s/namespace.js";
+import { requireNamespace } from "../k8s/namespace.js";
 import { patchIngress, resolveIngressIssuer } from "../k8s/ingress.js";
-import { buildDeployment, buildIngress, buildService, getDeploymentName, getServiceName, getIngressName } from "../k8s/publish.js";
-import { deleteSecret, ensureGhcrPullSecret, readSecret, upsertSecret, GHCR_PULL_SECRET_NAME } from "../k8s/secrets.js";
+import { buildDeployment, buildIngress, buildRedirectMiddleware, buildService, getDeploymentName, getEnvConfigMapName, getEnvSecretName, getServiceName, getIngressName, getRedirectMiddlewareName } from "../k8s/publish.js";
+import { deleteMiddleware, upsertMiddleware } from "../k8s/middleware.js";
+import { isDeploymentSuspended } from "../k8s/deployment.js";
+import { deleteSecret, ensureGhcrPullSecret, readSecret, upsertSecret, GHCR_PULL_SECRET_NAME, USER_DB_SECRET_NAME } from "../k8s/secrets.js";
 import { getClients, LABELS } from "../k8s/client.js";
-import { SITE_ANNOTATIONS } from "../k8s/annotations.js";
 import { ensureDatabase, ensureRole, revokeAndTerminate, dropDatabase, dropRole, generateDbPassword, normalizeDbName, normalizeDbUser, resolveDbName, resolveDbUser } from "../postgres/admin.js";
-import { slugFromDomain, validateSlug } from "./site.slug.js";
+import { normalizeDomain, slugFromDomain, validateSlug } from "./site.slug.js";
+import { assertPlanAllows, getUserPlan } from "../plans/plan.service.js";
+import { removeAllSiteMembers } from "./site.members.js";
+import { assertSiteOwnerActive } from "./site.access.js";
+import { listSiteEnvVars } from "./site.env.js";
+import { finishSiteDeploy, getSiteDeploy, listPendingSiteDeploys, listSiteDeploys, recordSiteDeploy } from "./site.deploys.js";
+import { addSiteDomainRecord, deleteSiteRecord, getSite, listSiteDomains, listSiteRecords, removeSiteDomainRecord, updateSite, upsertSite } from "./site.store.js";
+import { runMigrationOnce } from "../db/migrations.js";
 
 import { ensureDnsZone, removeDnsZone } from "../dns/bind9.js";
 import { dispatchWorkflow, parseRepo, resolveWorkflow } from "../github/client.js";
@@ -16,18 +25,28 @@ import { createMailcowMailbox, createMailcowAlias, deleteMailcowMailbox, deleteM
 const DEFAULT_MAINTENANCE_IMAGE = "ghcr.io/ark322/voxeil-maintenance:latest";
 const DEFAULT_MAINTENANCE_PORT = 3000;
 const DEFAULT_TLS_ISSUER = "letsencrypt-staging";
-const SITE_DB_SECRET_NAME = "db-conn";
-const LEGACY_DB_SECRET_NAME = "site-db";
+// Namespace-wide DB secrets sites used before per-site secrets; never written or deleted by site operations.
+const LEGACY_DB_SECRET_NAMES = [USER_DB_SECRET_NAME, "site-db"];
+const DB_SECRET_MIGRATION = "sites-per-site-db-secrets";
+// DB secret key -> environment variable injected into the site container.
+const DEFAULT_DB_ENV_NAMES = {
+    url: "DATABASE_URL",
+    host: "PGHOST",
+    port: "PGPORT",
+    database: "PGDATABASE",
+    username: "PGUSER",
+    password: "PGPASSWORD"
+};
 export const GITHUB_SECRET_NAME = "github-credentials";
 const DEFAULT_REGISTRY_SERVER = "ghcr.io";
-function resolveMaintenanceImage() {
+export function resolveMaintenanceImage() {
     const value = process.env.GHCR_MAINTENANCE_IMAGE ?? DEFAULT_MAINTENANCE_IMAGE;
     if (!value.trim()) {
         throw new HttpError(500, "GHCR_MAINTENANCE_IMAGE must be set.");
     }
     return value;
 }
-function resolveMaintenancePort() {
+export function resolveMaintenancePort() {
     const raw = process.env.MAINTENANCE_CONTAINER_PORT;
     const port = raw ? Number(raw) : DEFAULT_MAINTENANCE_PORT;
     if (!Number.isInteger(port) || port <= 0) {
@@ -52,6 +71,86 @@ async function resolveImagePullSecretName(namespace) {
     const secret = await readSecret(namespace, GHCR_PULL_SECRET_NAME);
     return secret ? GHCR_PULL_SECRET_NAME : undefined;
 }
+// Sites share the user namespace, so each site's DB credentials get their own secret.
+// The prefix keeps it clear of the namespace-wide names whatever the slug; sites moved
+// to db-<slug> by an earlier release keep that recorded secret.
+function getSiteDbSecretName(slug) {
+    return `site-db-${slug}`;
+}
+// The secret recorded for the site, unless it is a namespace-wide one it only shared.
+function resolveSiteDbSecretName(site) {
+    const recorded = site.dbSecret?.trim();
+    return recorded && !LEGACY_DB_SECRET_NAMES.includes(recorded) ? recorded : getSiteDbSecretName(site.slug);
+}
+async function writeSiteDbSecret(site, connection) {
+    const { host, port, dbName, dbUser, password } = connection;
+    const encodedUser = encodeURIComponent(dbUser);
+    const encodedPassword = encodeURIComponent(password);
+    const secretName = resolveSiteDbSecretName(site);
+    await upsertSecret({
+        apiVersion: "v1",
+        kind: "Secret",
+        metadata: {
+            name: secretName,
+            namespace: site.namespace,
+            labels: {
+                [LABELS.managedBy]: LABELS.managedBy,
+                [LABELS.siteSlug]: site.slug
+            }
+        },
+        type: "Opaque",
+        stringData: {
+            host,
+            port: String(port),
+            database: dbName,
+            username: dbUser,
+            password,
+            url: `postgres://${encodedUser}:${encodedPassword}@${host}:${port}/${dbName}`
+        }
+    });
+    return secretName;
+}
+function resolveDbEnvNames(site, overrides) {
+    const names = { ...DEFAULT_DB_ENV_NAMES, ...(site.dbEnvNames ?? {}), ...(overrides ?? {}) };
+    const used = Object.values(names);
+    if (new Set(used).size !== used.length) {
+        throw new HttpError(400, "Database variable names must be distinct.");
+    }
+    return names;
+}
+function buildSiteDeploymentSpec(site, imagePullSecretName, input) {
+    return {
+        namespace: site.namespace,
+        slug: site.slug,
+        image: input.image,
+        containerPort: input.containerPort,
+        cpu: site.cpu ?? 1,
+        ramGi: site.ramGi ?? 1,
+        imagePullSecretName,
+        envConfigMapName: getEnvConfigMapName(site.slug),
+        envSecretName: getEnvSecretName(site.slug),
+        dbEnv: site.dbEnabled && site.dbSecret
+            ? { secretName: site.dbSecret, names: resolveDbEnvNames(site) }
+            : undefined,
+        uploadDirs: input.uploadDirs,
+        userId: site.userId
+    };
+}
+// Re-apply the deployment from the site record after a change to what it injects;
+// the changed pod template rolls the pods. A suspended deployment stays at zero replicas
+// (resuming restores the count recorded on it).
+async function applySiteDeployment(site) {
+    await ensureGhcrPullSecret(site.namespace, site.slug);
+    const imagePullSecretName = await resolveImagePullSecretName(site.namespace);
+    const spec = buildSiteDeploymentSpec(site, imagePullSecretName, {
+        image: site.image ?? resolveMaintenanceImage(),
+        containerPort: site.containerPort ?? resolveMaintenancePort()
+    });
+    if (await isDeploymentSuspended(site.namespace, getDeploymentName(site.slug))) {
+        spec.replicas = 0;
+    }
+    await upsertDeployment(buildDeployment(spec));
+}
 async function upsertRegistryPullSecret(options) {
     await upsertSecret({
         apiVersion: "v1",
@@ -75,26 +174,6 @@ async function upsertRegistryPullSecret(options) {
         }
     });
 }
-function parseBooleanAnnotation(value) {
-    if (!value) {
-        return undefined;
-    }
-    const normalized = value.toLowerCase();
-    if (normalized === "true") {
-        return true;
-    }
-    if (normalized === "false") {
-        return false;
-    }
-    return undefined;
-}
-function parseNumberAnnotation(value) {
-    if (!value) {
-        return undefined;
-    }
-    const parsed = Number(value);
-    return Number.isFinite(parsed) ? parsed : undefined;
-}
 function normalizeMailDomain(value) {
     const normalized = value.trim().toLowerCase().replace(/\.$/, "");
     if (!normalized) {
@@ -116,13 +195,41 @@ function decodeSecretValue(value) {
     }
     return Buffer.from(value, "base64").toString("utf8");
 }
+// Rebuild the site ingress from its domains: one rule per domain, all of them on the
+// certificate, and the other domains redirected when a canonical domain is set.
+async function syncSiteIngress(site) {
+    const hosts = await listSiteDomains(site.slug);
+    const middlewareName = site.canonicalDomain && hosts.length > 1 && hosts.includes(site.canonicalDomain)
+        ? getRedirectMiddlewareName(site.slug)
+        : undefined;
+    const spec = {
+        namespace: site.namespace,
+        slug: site.slug,
+        hosts,
+        canonicalHost: site.canonicalDomain,
+        tlsEnabled: site.tlsEnabled,
+        tlsIssuer: site.tlsIssuer ?? DEFAULT_TLS_ISSUER,
+        middlewareName,
+        userId: site.userId
+    };
+    if (middlewareName) {
+        await upsertMiddleware(buildRedirectMiddleware(spec));
+    }
+    await upsertIngress(buildIngress(spec));
+    if (!middlewareName) {
+        await deleteMiddleware(site.namespace, getRedirectMiddlewareName(site.slug));
+    }
+    return hosts;
+}
 export async function createSite(userId, input) {
     if (!userId) {
         throw new HttpError(400, "userId is required.");
     }
     let baseSlug;
+    let domain;
     try {
-        baseSlug = slugFromDomain(input.domain);
+        domain = normalizeDomain(input.domain);
+        baseSlug = slugFromDomain(domain);
     }
     catch (error) {
         throw new HttpError(400, error?.message ?? "Invalid domain.");
@@ -136,36 +243,32 @@ export async function createSite(userId, input) {
     const namespace = `user-${userId}`;
     await requireNamespace(namespace);
     const slug = baseSlug;
-    // Store site metadata in namespace annotations
-    await patchNamespaceAnnotations(namespace, {
-        [`voxeil.io/site-${slug}-domain`]: input.domain,
-        [`voxeil.io/site-${slug}-tlsEnabled`]: tlsEnabled ? "true" : "false",
-        [`voxeil.io/site-${slug}-tlsIssuer`]: tlsIssuer,
-        [`voxeil.io/site-${slug}-image`]: maintenanceImage,
-        [`voxeil.io/site-${slug}-containerPort`]: String(maintenancePort),
-        [`voxeil.io/site-${slug}-cpu`]: String(input.cpu),
-        [`voxeil.io/site-${slug}-ramGi`]: String(input.ramGi),
-        [`voxeil.io/site-${slug}-diskGi`]: String(input.diskGi),
-        [`voxeil.io/site-${slug}-dbEnabled`]: "false",
-        [`voxeil.io/site-${slug}-mailEnabled`]: "false",
-        [`voxeil.io/site-${slug}-dnsEnabled`]: "false",
-        [`voxeil.io/site-${slug}-githubEnabled`]: "false"
+    const existingSites = await listSiteRecords({ userIds: [userId] });
+    if (!existingSites.some((site) => site.slug === slug)) {
+        assertPlanAllows(await getUserPlan(userId), "maxSites", existingSites.length, "sites");
+    }
+    const site = await upsertSite(userId, slug, {
+        domain,
+        tlsEnabled,
+        tlsIssuer,
+        image: maintenanceImage,
+        containerPort: maintenancePort,
+        cpu: input.cpu,
+        ramGi: input.ramGi,
+        diskGi: input.diskGi,
+        dbEnabled: false,
+        mailEnabled: false,
+        dnsEnabled: false,
+        githubEnabled: false
     });
     // Note: ResourceQuota, LimitRange, and NetworkPolicy are already set up for user namespace
     // Sites share the user namespace resources, no need to create separate ones
     // PVC will be handled in MODULE 2 (user home PVC)
     await ensureGhcrPullSecret(namespace, slug);
     const imagePullSecretName = await resolveImagePullSecretName(namespace);
-    const host = input.domain.trim();
-    if (!host) {
-        throw new HttpError(400, "Domain is required.");
-    }
-    // Extract userId from namespace for labels
-    const extractedUserId = extractUserIdFromNamespace(namespace);
     const maintenanceSpec = {
         namespace,
         slug,
-        host,
         image: maintenanceImage,
         containerPort: maintenancePort,
         cpu: input.cpu,
@@ -173,16 +276,16 @@ export async function createSite(userId, input) {
         tlsEnabled,
         tlsIssuer,
         imagePullSecretName,
-        userId: extractedUserId
+        userId
     };
     // Note: Deployment/Service/Ingress names are now *-<siteSlug> format (handled in publish.js)
     await Promise.all([
         upsertDeployment(buildDeployment(maintenanceSpec)),
         upsertService(buildService(maintenanceSpec)),
-        upsertIngress(buildIngress(maintenanceSpec))
+        syncSiteIngress(site)
     ]);
     return {
-        domain: input.domain,
+        domain,
         slug,
         namespace,
         limits: {
@@ -194,81 +297,50 @@ export async function createSite(userId, input) {
     };
 }
 export async function listSites() {
-    const { core } = getClients();
-    const response = await core.listNamespace();
-    const userNamespaces = (response.body.items || [])
-        .filter(ns => ns.metadata?.name?.startsWith("user-"));
-    
+    const { apps } = getClients();
     const items = [];
-    for (const ns of userNamespaces) {
-        const namespace = ns.metadata.name;
-        const annotations = ns.metadata.annotations || {};
-        
-        // Find all sites in this namespace by looking for site-*-domain annotations
-        const siteSlugs = new Set();
-        for (const key of Object.keys(annotations)) {
-            const match = key.match(/^voxeil\.io\/site-(.+)-domain$/);
-            if (match) {
-                siteSlugs.add(match[1]);
-            }
-        }
-        
-        // Build site items from annotations
-        for (const slug of siteSlugs) {
-            const siteAnnotations = {};
-            for (const [key, value] of Object.entries(annotations)) {
-                if (key.startsWith(`voxeil.io/site-${slug}-`)) {
-                    const propName = key.slice(`voxeil.io/site-${slug}-`.length);
-                    siteAnnotations[propName] = value;
-                }
-            }
-            
-            // Check deployment status to determine if site is ready
-            let ready = false;
-            try {
-                const { apps } = getClients();
-                const deploymentName = getDeploymentName(slug);
-                const deployment = await apps.readNamespacedDeployment(deploymentName, namespace);
-                const status = deployment.body.status;
-                ready = status.readyReplicas > 0 && 
-                        status.readyReplicas === status.replicas &&
-                        status.updatedReplicas === status.replicas;
-            } catch (error) {
-                // Deployment not found or error reading it - site is not ready
-                ready = false;
-            }
-            
-            // Map annotations to site properties
-            items.push({
-                slug,
-                namespace,
-                ready,
-                domain: siteAnnotations.domain,
-                image: siteAnnotations.image,
-                containerPort: parseNumberAnnotation(siteAnnotations.containerPort),
-                tlsEnabled: parseBooleanAnnotation(siteAnnotations.tlsEnabled) ?? false,
-                tlsIssuer: siteAnnotations.tlsIssuer,
-                dnsEnabled: parseBooleanAnnotation(siteAnnotations.dnsEnabled) ?? false,
-                dnsDomain: siteAnnotations.dnsDomain,
-                dnsTarget: siteAnnotations.dnsTarget,
-                githubEnabled: parseBooleanAnnotation(siteAnnotations.githubEnabled) ?? false,
-                githubRepo: siteAnnotations.githubRepo,
-                githubBranch: siteAnnotations.githubBranch,
-                githubWorkflow: siteAnnotations.githubWorkflow,
-                githubImage: siteAnnotations.githubImage,
-                dbEnabled: parseBooleanAnnotation(siteAnnotations.dbEnabled) ?? false,
-                dbName: siteAnnotations.dbName,
-                dbUser: siteAnnotations.dbUser,
-                dbHost: siteAnnotations.dbHost,
-                dbPort: parseNumberAnnotation(siteAnnotations.dbPort),
-                dbSecret: siteAnnotations.dbSecret,
-                mailEnabled: parseBooleanAnnotation(siteAnnotations.mailEnabled) ?? false,
-                mailDomain: siteAnnotations.mailDomain,
-                cpu: parseNumberAnnotation(siteAnnotations.cpu),
-                ramGi: parseNumberAnnotation(siteAnnotations.ramGi),
-                diskGi: parseNumberAnnotation(siteAnnotations.diskGi)
-            });
+    for (const site of await listSiteRecords()) {
+        // Check deployment status to determine if site is ready
+        let ready = false;
+        try {
+            const deployment = await apps.readNamespacedDeployment(getDeploymentName(site.slug), site.namespace);
+            const status = deployment.body.status;
+            ready = status.readyReplicas > 0 &&
+                    status.readyReplicas === status.replicas &&
+                    status.updatedReplicas === status.replicas;
+        } catch (error) {
+            // Deployment not found or error reading it - site is not ready
+            ready = false;
         }
+        items.push({
+            slug: site.slug,
+            namespace: site.namespace,
+            ready,
+            domain: site.domain,
+            image: site.image,
+            containerPort: site.containerPort,
+            tlsEnabled: site.tlsEnabled,
+            tlsIssuer: site.tlsIssuer,
+            dnsEnabled: site.dnsEnabled,
+            dnsDomain: site.dnsDomain,
+            dnsTarget: site.dnsTarget,
+            githubEnabled: site.githubEnabled,
+            githubRepo: site.githubRepo,
+            githubBranch: site.githubBranch,
+            githubWorkflow: site.githubWorkflow,
+            githubImage: site.githubImage,
+            dbEnabled: site.dbEnabled,
+            dbName: site.dbName,
+            dbUser: site.dbUser,
+            dbHost: site.dbHost,
+            dbPort: site.dbPort,
+            dbSecret: site.dbSecret,
+            mailEnabled: site.mailEnabled,
+            mailDomain: site.mailDomain,
+            cpu: site.cpu,
+            ramGi: site.ramGi,
+            diskGi: site.diskGi
+        });
     }
     return items;
 }
@@ -277,14 +349,13 @@ export async function updateSiteLimits(slug, patch) {
         throw new HttpError(400, "Slug is required.");
     }
     const normalized = validateSlug(slug);
-    const namespace = await resolveUserNamespaceForSite(normalized);
+    const site = await getSite(normalized);
+    const namespace = site.namespace;
     await requireNamespace(namespace);
     
-    // Read current site metadata
-    const siteData = await readUserNamespaceSite(namespace, normalized);
-    const currentCpu = parseNumberAnnotation(siteData.annotations.cpu) ?? 1;
-    const currentRamGi = parseNumberAnnotation(siteData.annotations.ramGi) ?? 1;
-    const currentDiskGi = parseNumberAnnotation(siteData.annotations.diskGi) ?? 1;
+    const currentCpu = site.cpu ?? 1;
+    const currentRamGi = site.ramGi ?? 1;
+    const currentDiskGi = site.diskGi ?? 1;
     
     // Calculate updated values
     const updated = {
@@ -325,11 +396,10 @@ export async function updateSiteLimits(slug, patch) {
     // Site files are stored in /home/sites/<slug> subPath
     // PVC expansion should be handled at user level, not site level
     
-    // Update annotations
-    await patchNamespaceAnnotations(namespace, {
-        [`voxeil.io/site-${normalized}-cpu`]: String(updated.cpu),
-        [`voxeil.io/site-${normalized}-ramGi`]: String(updated.ramGi),
-        [`voxeil.io/site-${normalized}-diskGi`]: String(updated.diskGi)
+    await updateSite(normalized, {
+        cpu: updated.cpu,
+        ramGi: updated.ramGi,
+        diskGi: updated.diskGi
     });
     
     return {
@@ -343,7 +413,11 @@ export async function updateSiteLimits(slug, patch) {
         }
     };
 }
-export async function deploySite(slug, input) {
+/**
+ * Deploy an image and record it in the site's deploy history.
+ * @param {{ actorUserId?: string, source?: string, rollbackOf?: string }} [context]
+ */
+export async function deploySite(slug, input, context = {}) {
     let normalized;
     try {
         normalized = validateSlug(slug);
@@ -351,46 +425,62 @@ export async function deploySite(slug, input) {
     catch (error) {
         throw new HttpError(400, error?.message ?? "Invalid slug.");
     }
-    const namespace = await resolveUserNamespaceForSite(normalized);
+    const site = await getSite(normalized);
+    await assertSiteOwnerActive(site);
+    const namespace = site.namespace;
     await requireNamespace(namespace);
-    await ensureGhcrPullSecret(namespace, normalized);
-    const imagePullSecretName = await resolveImagePullSecretName(namespace);
-    
-    // Read current site metadata for limits
-    const siteData = await readUserNamespaceSite(namespace, normalized);
-    const cpu = parseNumberAnnotation(siteData.annotations.cpu) ?? 1;
-    const ramGi = parseNumberAnnotation(siteData.annotations.ramGi) ?? 1;
-    const userId = extractUserIdFromNamespace(namespace);
-    // Get domain from site metadata for host (if available)
-    const host = siteData.annotations.domain?.trim() || "";
-    
-    const spec = {
-        namespace,
+    const record = {
         slug: normalized,
-        host,
         image: input.image,
         containerPort: input.containerPort,
-        cpu,
-        ramGi,
-        imagePullSecretName,
-        uploadDirs: input.uploadDirs,
-        userId
+        source: context.source ?? "manual",
+        actorUserId: context.actorUserId,
+        rollbackOf: context.rollbackOf
     };
-    await Promise.all([
-        upsertDeployment(buildDeployment(spec)),
-        upsertService(buildService(spec))
-    ]);
-    await patchNamespaceAnnotations(namespace, {
-        [`voxeil.io/site-${normalized}-image`]: input.image,
-        [`voxeil.io/site-${normalized}-containerPort`]: String(input.containerPort)
+    try {
+        await ensureGhcrPullSecret(namespace, normalized);
+        const imagePullSecretName = await resolveImagePullSecretName(namespace);
+        const spec = buildSiteDeploymentSpec(site, imagePullSecretName, input);
+        await Promise.all([
+            upsertDeployment(buildDeployment(spec)),
+            upsertService(buildService(spec))
+        ]);
+    }
+    catch (error) {
+        await recordSiteDeploy({ ...record, status: "failed", message: error?.message ?? "Deploy failed." });
+        throw error;
+    }
+    await updateSite(normalized, {
+        image: input.image,
+        containerPort: input.containerPort
     });
+    const deploy = await recordSiteDeploy(record);
     return {
         slug: normalized,
         namespace,
         image: input.image,
-        containerPort: input.containerPort
+        containerPort: input.containerPort,
+        deployId: deploy.id
     };
 }
+/**
+ * Redeploy the image and port of an earlier deploy.
+ */
+export async function rollbackSite(slug, deployId, context = {}) {
+    let normalized;
+    try {
+        normalized = validateSlug(slug);
+    }
+    catch (error) {
+        throw new HttpError(400, error?.message ?? "Invalid slug.");
+    }
+    const target = await getSiteDeploy(normalized, deployId);
+    const result = await deploySite(normalized, { image: target.image, containerPort: target.containerPort }, {
+        ...context,
+        rollbackOf: target.id
+    });
+    return { ...result, rollbackOf: target.id };
+}
 export async function deleteSite(slug) {
     let normalized;
     try {
@@ -399,7 +489,7 @@ export async function deleteSite(slug) {
     catch (error) {
         throw new HttpError(400, error?.message ?? "Invalid slug.");
     }
-    const namespace = await resolveUserNamespaceForSite(normalized);
+    const { namespace } = await getSite(normalized);
     
     // Delete all site resources by label selector
     const { core, apps, net } = getClients();
@@ -435,10 +525,16 @@ export async function deleteSite(slug) {
         }
     }
     
+    await deleteMiddleware(namespace, getRedirectMiddlewareName(normalized));
+    
     // Delete secrets with site label
     try {
         const secrets = await core.listNamespacedSecret(namespace, undefined, undefined, undefined, undefined, labelSelector);
         for (const secret of secrets.body.items || []) {
+            // Sites used to label the user database secret as their own.
+            if (secret.metadata.name === USER_DB_SECRET_NAME) {
+                continue;
+            }
             try {
                 await core.deleteNamespacedSecret(secret.metadata.name, namespace);
             } catch (error) {
@@ -467,17 +563,8 @@ export async function deleteSite(slug) {
         // Ignore errors when listing configmaps
     }
     
-    // Remove site annotations from namespace
-    const annotationsToRemove = {};
-    const siteData = await readUserNamespaceSite(namespace, normalized);
-    for (const key of Object.keys(siteData.annotations)) {
-        if (key.startsWith(`voxeil.io/site-${normalized}-`)) {
-            annotationsToRemove[key] = null; // Set to null to remove
-        }
-    }
-    if (Object.keys(annotationsToRemove).length > 0) {
-        await patchNamespaceAnnotations(namespace, annotationsToRemove);
-    }
+    await deleteSiteRecord(normalized);
+    await removeAllSiteMembers(normalized);
     
     return { slug: normalized };
 }
@@ -489,21 +576,21 @@ export async function updateSiteTls(slug, input) {
     catch (error) {
         throw new HttpError(400, error?.message ?? "Invalid slug.");
     }
-    const namespaceEntry = await readSiteMetadata(normalized);
-    const namespace = namespaceEntry.name;
-    const host = namespaceEntry.annotations.domain?.trim();
-    if (!host) {
+    const site = await getSite(normalized);
+    const namespace = site.namespace;
+    const hosts = await listSiteDomains(normalized);
+    if (hosts.length === 0) {
         throw new HttpError(500, "Site domain is missing.");
     }
-    const previousIssuer = namespaceEntry.annotations.tlsIssuer ?? DEFAULT_TLS_ISSUER;
+    const previousIssuer = site.tlsIssuer ?? DEFAULT_TLS_ISSUER;
     const desiredIssuer = input.issuer ?? previousIssuer;
     const tlsEnabled = input.enabled;
     const issuer = tlsEnabled
         ? await resolveIngressIssuer(namespace, normalized, desiredIssuer)
         : desiredIssuer;
-    await patchNamespaceAnnotations(namespace, {
-        [`voxeil.io/site-${normalized}-tlsEnabled`]: tlsEnabled ? "true" : "false",
-        [`voxeil.io/site-${normalized}-tlsIssuer`]: issuer
+    await updateSite(normalized, {
+        tlsEnabled,
+        tlsIssuer: issuer
     });
     if (!tlsEnabled && input.cleanupSecret) {
         await deleteSecret(namespace, `tls-${normalized}`);
@@ -522,7 +609,7 @@ export async function updateSiteTls(slug, input) {
             tls: tlsEnabled
                 ? [
                     {
-                        hosts: [host],
+                        hosts,
                         secretName: `tls-${normalized}`
                     }
                 ]
@@ -536,6 +623,121 @@ export async function updateSiteTls(slug, input) {
         issuer
     };
 }
+export async function getSiteDomains(slug) {
+    let normalized;
+    try {
+        normalized = validateSlug(slug);
+    }
+    catch (error) {
+        throw new HttpError(400, error?.message ?? "Invalid slug.");
+    }
+    const site = await getSite(normalized);
+    const domains = await listSiteDomains(normalized);
+    return {
+        ok: true,
+        slug: normalized,
+        primaryDomain: site.domain,
+        canonicalDomain: site.canonicalDomain,
+        domains
+    };
+}
+export async function addSiteDomain(slug, input) {
+    let normalized;
+    try {
+        normalized = validateSlug(slug);
+    }
+    catch (error) {
+        throw new HttpError(400, error?.message ?? "Invalid slug.");
+    }
+    let domain;
+    try {
+        domain = normalizeDomain(input.domain);
+    }
+    catch (error) {
+        throw new HttpError(400, error?.message ?? "Invalid domain.");
+    }
+    await assertSiteOwnerActive(await getSite(normalized));
+    await addSiteDomainRecord(normalized, domain);
+    const site = await getSite(normalized);
+    const domains = await syncSiteIngress(site);
+    return {
+        ok: true,
+        slug: normalized,
+        domain,
+        primaryDomain: site.domain,
+        canonicalDomain: site.canonicalDomain,
+        domains
+    };
+}
+export async function removeSiteDomain(slug, domainInput) {
+    let normalized;
+    try {
+        normalized = validateSlug(slug);
+    }
+    catch (error) {
+        throw new HttpError(400, error?.message ?? "Invalid slug.");
+    }
+    let domain;
+    try {
+        domain = normalizeDomain(domainInput);
+    }
+    catch (error) {
+        throw new HttpError(400, error?.message ?? "Invalid domain.");
+    }
+    const site = await getSite(normalized);
+    await assertSiteOwnerActive(site);
+    if (domain === site.domain) {
+        throw new HttpError(400, "The primary domain cannot be removed.");
+    }
+    if (domain === site.canonicalDomain) {
+        throw new HttpError(409, "Domain is the canonical domain; change the canonical domain first.");
+    }
+    await removeSiteDomainRecord(normalized, domain);
+    const domains = await syncSiteIngress(site);
+    return {
+        ok: true,
+        slug: normalized,
+        domain,
+        primaryDomain: site.domain,
+        canonicalDomain: site.canonicalDomain,
+        domains
+    };
+}
+/**
+ * Set the domain every other domain of the site redirects to, or clear it with null.
+ */
+export async function setSiteCanonicalDomain(slug, input) {
+    let normalized;
+    try {
+        normalized = validateSlug(slug);
+    }
+    catch (error) {
+        throw new HttpError(400, error?.message ?? "Invalid slug.");
+    }
+    await assertSiteOwnerActive(await getSite(normalized));
+    let canonicalDomain = null;
+    if (input.domain) {
+        try {
+            canonicalDomain = normalizeDomain(input.domain);
+        }
+        catch (error) {
+            throw new HttpError(400, error?.message ?? "Invalid domain.");
+        }
+        const domains = await listSiteDomains(normalized);
+        if (!domains.includes(canonicalDomain)) {
+            throw new HttpError(400, "Canonical domain must be one of the site's domains.");
+        }
+    }
+    const site = await updateSite(normalized, { canonicalDomain });
+    const domains = await syncSiteIngress(site);
+    return {
+        ok: true,
+        slug: normalized,
+        primaryDomain: site.domain,
+        canonicalDomain: site.canonicalDomain,
+        domains
+    };
+}
 export async function enableSiteMail(slug, input) {
     let normalized;
     try {
@@ -544,10 +746,10 @@ export async function enableSiteMail(slug, input) {
     catch (error) {
         throw new HttpError(400, error?.message ?? "Invalid slug.");
     }
-    const namespaceEntry = await readSiteMetadata(normalized);
-    const namespace = namespaceEntry.name;
+    const site = await getSite(normalized);
+    await assertSiteOwnerActive(site);
     const domain = normalizeMailDomain(input.domain);
-    const siteDomain = normalizeMailDomain(namespaceEntry.annotations.domain ?? "");
+    const siteDomain = normalizeMailDomain(site.domain ?? "");
     if (!siteDomain) {
         throw new HttpError(500, "Site domain is missing.");
     }
@@ -557,19 +759,19 @@ export async function enableSiteMail(slug, input) {
     try {
         await ensureMailcowDomain(domain);
         await setMailcowDomainActive(domain, true);
-        await patchNamespaceAnnotations(namespace, {
-            [`voxeil.io/site-${normalized}-mailEnabled`]: "true",
-            [`voxeil.io/site-${normalized}-mailProvider`]: "mailcow",
-            [`voxeil.io/site-${normalized}-mailDomain`]: domain,
-            [`voxeil.io/site-${normalized}-mailStatus`]: "ready",
-            [`voxeil.io/site-${normalized}-mailLastError`]: ""
+        await updateSite(normalized, {
+            mailEnabled: true,
+            mailProvider: "mailcow",
+            mailDomain: domain,
+            mailStatus: "ready",
+            mailLastError: null
         });
     }
     catch (error) {
         const message = String(error?.message ?? "Mailcow error.");
-        await patchNamespaceAnnotations(namespace, {
-            [`voxeil.io/site-${normalized}-mailStatus`]: "error",
-            [`voxeil.io/site-${normalized}-mailLastError`]: message
+        await updateSite(normalized, {
+            mailStatus: "error",
+            mailLastError: message
         });
         throw new HttpError(502, "Mail provider error.");
     }
@@ -589,54 +791,36 @@ export async function enableSiteDb(slug, input) {
     catch (error) {
         throw new HttpError(400, error?.message ?? "Invalid slug.");
     }
-    const namespaceEntry = await readSiteMetadata(normalized);
-    const namespace = namespaceEntry.name;
-    const annotations = namespaceEntry.annotations;
+    const site = await getSite(normalized);
+    await assertSiteOwnerActive(site);
+    const namespace = site.namespace;
     const { host, port } = requireDbHostConfig();
-    // readSiteMetadata returns annotations in new format (voxeil.io/site-{slug}-{prop})
-    const existingDbName = annotations.dbName;
-    const existingDbUser = annotations.dbUser;
+    const existingDbName = site.dbName;
+    const existingDbUser = site.dbUser;
+    if (!existingDbName) {
+        // A site keeps its database (dbName) until purged, so that is what counts against the plan.
+        const userSites = await listSiteRecords({ userIds: [site.userId] });
+        const databaseCount = userSites.filter((userSite) => Boolean(userSite.dbName)).length;
+        assertPlanAllows(await getUserPlan(site.userId), "maxDatabases", databaseCount, "databases");
+    }
     const dbName = input?.dbName
         ? normalizeDbName(input.dbName)
         : existingDbName
             ? normalizeDbName(existingDbName)
             : resolveDbName(normalized);
     const dbUser = existingDbUser ? normalizeDbUser(existingDbUser) : resolveDbUser(normalized);
-    const existingSecret = (await readSecret(namespace, SITE_DB_SECRET_NAME)) ??
-        (await readSecret(namespace, LEGACY_DB_SECRET_NAME));
-    const existingPassword = decodeSecretValue(existingSecret?.data?.password ?? existingSecret?.data?.DB_PASSWORD);
+    // Keep the password of the site's own secret; never adopt another site's or the user's.
+    const existingSecret = await readSecret(namespace, resolveSiteDbSecretName(site));
+    const existingPassword = decodeSecretValue(existingSecret?.data?.password);
     let dbPassword = existingPassword;
     if (!dbPassword) {
         dbPassword = generateDbPassword();
     }
     await ensureRole(dbUser, dbPassword);
     await ensureDatabase(dbName, dbUser);
-    const encodedUser = encodeURIComponent(dbUser);
-    const encodedPassword = encodeURIComponent(dbPassword);
-    const databaseUrl = `postgres://${encodedUser}:${encodedPassword}@${host}:${port}/${dbName}`;
-    await upsertSecret({
-        apiVersion: "v1",
-        kind: "Secret",
-        metadata: {
-            name: SITE_DB_SECRET_NAME,
-            namespace,
-            labels: {
-                [LABELS.managedBy]: LABELS.managedBy,
-                [LABELS.siteSlug]: normalized
-            }
-        },
-        type: "Opaque",
-        stringData: {
-            host,
-            port,
-            database: dbName,
-            username: dbUser,
-            password: dbPassword,
-            url: databaseUrl
-        }
-    });
+    const dbSecretName = await writeSiteDbSecret(site, { host, port, dbName, dbUser, password: dbPassword });
     // Validate secret was created successfully
-    const createdSecret = await readSecret(namespace, SITE_DB_SECRET_NAME);
+    const createdSecret = await readSecret(namespace, dbSecretName);
     if (!createdSecret) {
         // Rollback: delete DB and user if secret creation failed
         try {
@@ -659,27 +843,30 @@ export async function enableSiteDb(slug, input) {
             await revokeAndTerminate(dbName);
             await dropDatabase(dbName);
             await dropRole(dbUser);
-            await deleteSecret(namespace, SITE_DB_SECRET_NAME);
+            await deleteSecret(namespace, dbSecretName);
         }
         catch (rollbackError) {
             logger.error({ err: rollbackError }, "Failed to rollback DB resources after secret content mismatch");
         }
         throw new HttpError(500, "DB secret content mismatch. Expected dbName/user do not match secret values.");
     }
-    await patchNamespaceAnnotations(namespace, {
-        [`voxeil.io/site-${normalized}-dbEnabled`]: "true",
-        [`voxeil.io/site-${normalized}-dbName`]: dbName,
-        [`voxeil.io/site-${normalized}-dbUser`]: dbUser,
-        [`voxeil.io/site-${normalized}-dbHost`]: host,
-        [`voxeil.io/site-${normalized}-dbPort`]: port,
-        [`voxeil.io/site-${normalized}-dbSecret`]: SITE_DB_SECRET_NAME
+    const updated = await updateSite(normalized, {
+        dbEnabled: true,
+        dbName,
+        dbUser,
+        dbHost: host,
+        dbPort: port,
+        dbSecret: dbSecretName,
+        dbEnvNames: input?.envNames ? resolveDbEnvNames(site, input.envNames) : undefined
     });
+    await applySiteDeployment(updated);
     return {
         ok: true,
         slug: normalized,
         dbEnabled: true,
         dbName,
-        username: dbUser
+        username: dbUser,
+        envNames: resolveDbEnvNames(updated)
     };
 }
 export async function disableSiteDb(slug) {
@@ -690,17 +877,17 @@ export async function disableSiteDb(slug) {
     catch (error) {
         throw new HttpError(400, error?.message ?? "Invalid slug.");
     }
-    const namespaceEntry = await readSiteMetadata(normalized);
-    const namespace = namespaceEntry.name;
-    const annotations = namespaceEntry.annotations;
-    // readSiteMetadata returns annotations in new format (voxeil.io/site-{slug}-{prop})
-    const secretName = annotations.dbSecret;
-    const secretNames = new Set([SITE_DB_SECRET_NAME, LEGACY_DB_SECRET_NAME, secretName].filter(Boolean));
-    await Promise.all(Array.from(secretNames).map((name) => deleteSecret(namespace, name)));
-    await patchNamespaceAnnotations(namespace, {
-        [`voxeil.io/site-${normalized}-dbEnabled`]: "false",
-        [`voxeil.io/site-${normalized}-dbSecret`]: ""
+    const site = await getSite(normalized);
+    await assertSiteOwnerActive(site);
+    const namespace = site.namespace;
+    const secretName = resolveSiteDbSecretName(site);
+    // Drop the variables first: pods must not restart against a secret that is gone.
+    const updated = await updateSite(normalized, {
+        dbEnabled: false,
+        dbSecret: null
     });
+    await applySiteDeployment(updated);
+    await deleteSecret(namespace, secretName);
     return { ok: true, slug: normalized, dbEnabled: false };
 }
 export async function purgeSiteDb(slug) {
@@ -711,32 +898,76 @@ export async function purgeSiteDb(slug) {
     catch (error) {
         throw new HttpError(400, error?.message ?? "Invalid slug.");
     }
-    const namespaceEntry = await readSiteMetadata(normalized);
-    const namespace = namespaceEntry.name;
-    const annotations = namespaceEntry.annotations;
-    // readSiteMetadata returns annotations in new format (voxeil.io/site-{slug}-{prop})
-    const dbName = annotations.dbName
-        ? normalizeDbName(annotations.dbName ?? "")
+    const site = await getSite(normalized);
+    const namespace = site.namespace;
+    const dbName = site.dbName
+        ? normalizeDbName(site.dbName ?? "")
         : resolveDbName(normalized);
-    const dbUser = annotations.dbUser
-        ? normalizeDbUser(annotations.dbUser ?? "")
+    const dbUser = site.dbUser
+        ? normalizeDbUser(site.dbUser ?? "")
         : resolveDbUser(normalized);
     await revokeAndTerminate(dbName);
     await dropDatabase(dbName);
     await dropRole(dbUser);
-    const secretName = annotations.dbSecret;
-    const secretNames = new Set([SITE_DB_SECRET_NAME, LEGACY_DB_SECRET_NAME, secretName].filter(Boolean));
-    await Promise.all(Array.from(secretNames).map((name) => deleteSecret(namespace, name)));
-    await patchNamespaceAnnotations(namespace, {
-        [`voxeil.io/site-${normalized}-dbEnabled`]: "false",
-        [`voxeil.io/site-${normalized}-dbName`]: "",
-        [`voxeil.io/site-${normalized}-dbUser`]: "",
-        [`voxeil.io/site-${normalized}-dbHost`]: "",
-        [`voxeil.io/site-${normalized}-dbPort`]: "",
-        [`voxeil.io/site-${normalized}-dbSecret`]: ""
+    const secretName = resolveSiteDbSecretName(site);
+    const updated = await updateSite(normalized, {
+        dbEnabled: false,
+        dbName: null,
+        dbUser: null,
+        dbHost: null,
+        dbPort: null,
+        dbSecret: null
     });
+    if (site.dbEnabled) {
+        await applySiteDeployment(updated);
+    }
+    await deleteSecret(namespace, secretName);
     return { ok: true, slug: normalized, purged: true };
 }
+/**
+ * One-time move of DB-enabled sites off the namespace-wide db-conn/site-db secrets onto
+ * site-db-<slug>. The shared secret holds whichever site wrote it last, so its password is
+ * kept only when it names this site's role and database; otherwise the role gets a new
+ * password. The shared secrets themselves are left alone.
+ */
+export async function migrateSiteDbSecrets() {
+    return runMigrationOnce(DB_SECRET_MIGRATION, async () => {
+        const sites = (await listSiteRecords()).filter((site) => site.dbEnabled && site.dbName && site.dbUser);
+        let migrated = 0;
+        let failed = 0;
+        for (const site of sites) {
+            if (site.dbSecret === resolveSiteDbSecretName(site)) {
+                continue;
+            }
+            try {
+                const dbName = normalizeDbName(site.dbName);
+                const dbUser = normalizeDbUser(site.dbUser);
+                const config = site.dbHost ? { host: site.dbHost, port: site.dbPort ?? 5432 } : requireDbHostConfig();
+                const shared = site.dbSecret ? await readSecret(site.namespace, site.dbSecret) : null;
+                let password = decodeSecretValue(shared?.data?.password ?? shared?.data?.DB_PASSWORD);
+                const ownsShared = decodeSecretValue(shared?.data?.username) === dbUser &&
+                    decodeSecretValue(shared?.data?.database) === dbName;
+                if (!password || !ownsShared) {
+                    password = generateDbPassword();
+                    await ensureRole(dbUser, password);
+                }
+                const dbSecret = await writeSiteDbSecret(site, { host: config.host, port: config.port, dbName, dbUser, password });
+                const updated = await updateSite(site.slug, { dbSecret });
+                await applySiteDeployment(updated);
+                migrated += 1;
+            }
+            catch (error) {
+                failed += 1;
+                logger.error({ err: error, slug: site.slug }, "Failed to move site DB credentials to a per-site secret");
+            }
+        }
+        if (failed > 0) {
+            // Not recorded as applied: the remaining sites are retried on the next start.
+            throw new Error(`${failed} site(s) could not be migrated to per-site DB secrets.`);
+        }
+        return { migrated };
+    });
+}
 export async function getSiteDbStatus(slug) {
     let normalized;
     try {
@@ -745,21 +976,18 @@ export async function getSiteDbStatus(slug) {
     catch (error) {
         throw new HttpError(400, error?.message ?? "Invalid slug.");
     }
-    const namespaceEntry = await readSiteMetadata(normalized);
-    const annotations = namespaceEntry.annotations;
-    // readSiteMetadata returns annotations in new format (voxeil.io/site-{slug}-{prop})
-    const secretName = annotations.dbSecret?.trim() || SITE_DB_SECRET_NAME;
-    const secret = (await readSecret(namespaceEntry.name, secretName)) ??
-        (await readSecret(namespaceEntry.name, LEGACY_DB_SECRET_NAME));
-    const dbEnabled = parseBooleanAnnotation(annotations.dbEnabled) ?? false;
-    const dbName = annotations.dbName;
-    const dbUser = annotations.dbUser;
+    const site = await getSite(normalized);
+    const secret = await readSecret(site.namespace, resolveSiteDbSecretName(site));
+    const dbEnabled = site.dbEnabled;
+    const dbName = site.dbName;
+    const dbUser = site.dbUser;
     return {
         ok: true,
         slug: normalized,
         dbEnabled,
         dbName,
         username: dbUser,
+        envNames: resolveDbEnvNames(site),
         secretPresent: Boolean(secret)
     };
 }
@@ -771,26 +999,24 @@ export async function disableSiteMail(slug) {
     catch (error) {
         throw new HttpError(400, error?.message ?? "Invalid slug.");
     }
-    const namespaceEntry = await readSiteMetadata(normalized);
-    const namespace = namespaceEntry.name;
-    const annotations = namespaceEntry.annotations;
-    const domain = annotations.mailDomain?.trim();
+    const site = await getSite(normalized);
+    const domain = site.mailDomain?.trim();
     if (!domain) {
         throw new HttpError(409, "Mail domain not configured.");
     }
     try {
         await setMailcowDomainActive(domain, false);
-        await patchNamespaceAnnotations(namespace, {
-            [`voxeil.io/site-${normalized}-mailEnabled`]: "false",
-            [`voxeil.io/site-${normalized}-mailStatus`]: "disabled",
-            [`voxeil.io/site-${normalized}-mailLastError`]: ""
+        await updateSite(normalized, {
+            mailEnabled: false,
+            mailStatus: "disabled",
+            mailLastError: null
         });
     }
     catch (error) {
         const message = String(error?.message ?? "Mailcow error.");
-        await patchNamespaceAnnotations(namespace, {
-            [`voxeil.io/site-${normalized}-mailStatus`]: "error",
-            [`voxeil.io/site-${normalized}-mailLastError`]: message
+        await updateSite(normalized, {
+            mailStatus: "error",
+            mailLastError: message
         });
         throw new HttpError(502, "Mail provider error.");
     }
@@ -804,28 +1030,26 @@ export async function purgeSiteMail(slug) {
     catch (error) {
         throw new HttpError(400, error?.message ?? "Invalid slug.");
     }
-    const namespaceEntry = await readSiteMetadata(normalized);
-    const namespace = namespaceEntry.name;
-    const annotations = namespaceEntry.annotations;
-    const domain = annotations.mailDomain?.trim() ??
-        annotations.domain?.trim();
+    const site = await getSite(normalized);
+    const domain = site.mailDomain?.trim() ??
+        site.domain?.trim();
     if (!domain) {
         throw new HttpError(409, "Mail domain not configured.");
     }
     try {
         await purgeMailcowDomain(domain);
-        await patchNamespaceAnnotations(namespace, {
-            [`voxeil.io/site-${normalized}-mailEnabled`]: "false",
-            [`voxeil.io/site-${normalized}-mailStatus`]: "purged",
-            [`voxeil.io/site-${normalized}-mailLastError`]: "",
-            [`voxeil.io/site-${normalized}-mailDomain`]: domain
+        await updateSite(normalized, {
+            mailEnabled: false,
+            mailStatus: "purged",
+            mailLastError: null,
+            mailDomain: domain
         });
     }
     catch (error) {
         const message = String(error?.message ?? "Mailcow error.");
-        await patchNamespaceAnnotations(namespace, {
-            [`voxeil.io/site-${normalized}-mailStatus`]: "error",
-            [`voxeil.io/site-${normalized}-mailLastError`]: message
+        await updateSite(normalized, {
+            mailStatus: "error",
+            mailLastError: message
         });
         throw new HttpError(502, "Mail provider error.");
     }
@@ -846,16 +1070,25 @@ export async function createSiteMailbox(slug, input) {
     catch (error) {
         throw new HttpError(400, error?.message ?? "Invalid slug.");
     }
-    const namespaceEntry = await readSiteMetadata(normalized);
-    const annotations = namespaceEntry.annotations;
-    const domain = annotations.mailDomain?.trim();
-    const mailEnabled = parseBooleanAnnotation(annotations.mailEnabled) ?? false;
+    const site = await getSite(normalized);
+    await assertSiteOwnerActive(site);
+    const domain = site.mailDomain?.trim();
+    const mailEnabled = site.mailEnabled;
     if (!domain) {
         throw new HttpError(409, "Mail domain not configured.");
     }
     if (!mailEnabled) {
         throw new HttpError(409, "Mail is disabled for this site.");
     }
+    const userSites = await listSiteRecords({ userIds: [site.userId] });
+    const mailDomains = new Set(userSites
+        .map((userSite) => userSite.mailDomain?.trim())
+        .filter(Boolean));
+    let mailboxCount = 0;
+    for (const mailDomain of mailDomains) {
+        mailboxCount += (await listMailcowMailboxes(mailDomain)).length;
+    }
+    assertPlanAllows(await getUserPlan(site.userId), "maxMailboxes", mailboxCount, "mailboxes");
     const address = await createMailcowMailbox({
         domain,
         localPart: input.localPart,
@@ -872,10 +1105,9 @@ export async function deleteSiteMailbox(slug, address) {
     catch (error) {
         throw new HttpError(400, error?.message ?? "Invalid slug.");
     }
-    const namespaceEntry = await readSiteMetadata(normalized);
-    const annotations = namespaceEntry.annotations;
-    const domain = annotations.mailDomain?.trim();
-    const mailEnabled = parseBooleanAnnotation(annotations.mailEnabled) ?? false;
+    const site = await getSite(normalized);
+    const domain = site.mailDomain?.trim();
+    const mailEnabled = site.mailEnabled;
     if (!domain) {
         throw new HttpError(409, "Mail domain not configured.");
     }
@@ -897,10 +1129,9 @@ export async function listSiteMailboxes(slug) {
     catch (error) {
         throw new HttpError(400, error?.message ?? "Invalid slug.");
     }
-    const namespaceEntry = await readSiteMetadata(normalized);
-    const annotations = namespaceEntry.annotations;
-    const domain = annotations.mailDomain?.trim();
-    const mailEnabled = parseBooleanAnnotation(annotations.mailEnabled) ?? false;
+    const site = await getSite(normalized);
+    const domain = site.mailDomain?.trim();
+    const mailEnabled = site.mailEnabled;
     if (!domain) {
         throw new HttpError(409, "Mail domain not configured.");
     }
@@ -918,10 +1149,9 @@ export async function listSiteAliases(slug) {
     catch (error) {
         throw new HttpError(400, error?.message ?? "Invalid slug.");
     }
-    const namespaceEntry = await readSiteMetadata(normalized);
-    const annotations = namespaceEntry.annotations;
-    const domain = annotations.mailDomain?.trim();
-    const mailEnabled = parseBooleanAnnotation(annotations.mailEnabled) ?? false;
+    const site = await getSite(normalized);
+    const domain = site.mailDomain?.trim();
+    const mailEnabled = site.mailEnabled;
     if (!domain) {
         throw new HttpError(409, "Mail domain not configured.");
     }
@@ -939,10 +1169,10 @@ export async function createSiteAlias(slug, input) {
     catch (error) {
         throw new HttpError(400, error?.message ?? "Invalid slug.");
     }
-    const namespaceEntry = await readSiteMetadata(normalized);
-    const annotations = namespaceEntry.annotations;
-    const domain = annotations.mailDomain?.trim();
-    const mailEnabled = parseBooleanAnnotation(annotations.mailEnabled) ?? false;
+    const site = await getSite(normalized);
+    await assertSiteOwnerActive(site);
+    const domain = site.mailDomain?.trim();
+    const mailEnabled = site.mailEnabled;
     if (!domain) {
         throw new HttpError(409, "Mail domain not configured.");
     }
@@ -969,10 +1199,9 @@ export async function deleteSiteAlias(slug, source) {
     catch (error) {
         throw new HttpError(400, error?.message ?? "Invalid slug.");
     }
-    const namespaceEntry = await readSiteMetadata(normalized);
-    const annotations = namespaceEntry.annotations;
-    const domain = annotations.mailDomain?.trim();
-    const mailEnabled = parseBooleanAnnotation(annotations.mailEnabled) ?? false;
+    const site = await getSite(normalized);
+    const domain = site.mailDomain?.trim();
+    const mailEnabled = site.mailEnabled;
     if (!domain) {
         throw new HttpError(409, "Mail domain not configured.");
     }
@@ -994,10 +1223,9 @@ export async function getSiteMailStatus(slug) {
     catch (error) {
         throw new HttpError(400, error?.message ?? "Invalid slug.");
     }
-    const namespaceEntry = await readSiteMetadata(normalized);
-    const annotations = namespaceEntry.annotations;
-    const domain = annotations.mailDomain?.trim();
-    const mailEnabled = parseBooleanAnnotation(annotations.mailEnabled) ?? false;
+    const site = await getSite(normalized);
+    const domain = site.mailDomain?.trim();
+    const mailEnabled = site.mailEnabled;
     if (!domain) {
         throw new HttpError(409, "Mail domain not configured.");
     }
@@ -1012,18 +1240,17 @@ export async function enableSiteDns(slug, input) {
     catch (error) {
         throw new HttpError(400, error?.message ?? "Invalid slug.");
     }
-    const namespaceEntry = await readSiteMetadata(normalized);
-    const namespace = namespaceEntry.name;
+    await getSite(normalized);
     const domain = input.domain.trim();
     const targetIp = input.targetIp.trim();
     if (!domain || !targetIp) {
         throw new HttpError(400, "domain and targetIp are required.");
     }
     await ensureDnsZone({ domain, targetIp });
-    await patchNamespaceAnnotations(namespace, {
-        [`voxeil.io/site-${normalized}-dnsEnabled`]: "true",
-        [`voxeil.io/site-${normalized}-dnsDomain`]: domain,
-        [`voxeil.io/site-${normalized}-dnsTarget`]: targetIp
+    await updateSite(normalized, {
+        dnsEnabled: true,
+        dnsDomain: domain,
+        dnsTarget: targetIp
     });
     return { ok: true, slug: normalized, dnsEnabled: true, domain, targetIp };
 }
@@ -1035,17 +1262,15 @@ export async function disableSiteDns(slug) {
     catch (error) {
         throw new HttpError(400, error?.message ?? "Invalid slug.");
     }
-    const namespaceEntry = await readSiteMetadata(normalized);
-    const namespace = namespaceEntry.name;
-    const annotations = namespaceEntry.annotations;
-    const domain = annotations.dnsDomain?.trim();
-    const targetIp = annotations.dnsTarget?.trim();
+    const site = await getSite(normalized);
+    const domain = site.dnsDomain?.trim();
+    const targetIp = site.dnsTarget?.trim();
     if (!domain) {
         throw new HttpError(409, "DNS domain not configured.");
     }
     await removeDnsZone(domain);
-    await patchNamespaceAnnotations(namespace, {
-        [`voxeil.io/site-${normalized}-dnsEnabled`]: "false"
+    await updateSite(normalized, {
+        dnsEnabled: false
     });
     return { ok: true, slug: normalized, dnsEnabled: false, domain, targetIp };
 }
@@ -1057,17 +1282,15 @@ export async function purgeSiteDns(slug) {
     catch (error) {
         throw new HttpError(400, error?.message ?? "Invalid slug.");
     }
-    const namespaceEntry = await readSiteMetadata(normalized);
-    const namespace = namespaceEntry.name;
-    const annotations = namespaceEntry.annotations;
-    const domain = annotations.dnsDomain?.trim();
+    const site = await getSite(normalized);
+    const domain = site.dnsDomain?.trim();
     if (domain) {
         await removeDnsZone(domain);
     }
-    await patchNamespaceAnnotations(namespace, {
-        [`voxeil.io/site-${normalized}-dnsEnabled`]: "false",
-        [`voxeil.io/site-${normalized}-dnsDomain`]: "",
-        [`voxeil.io/site-${normalized}-dnsTarget`]: ""
+    await updateSite(normalized, {
+        dnsEnabled: false,
+        dnsDomain: null,
+        dnsTarget: null
     });
     return { ok: true, slug: normalized, dnsEnabled: false, purged: true };
 }
@@ -1079,11 +1302,10 @@ export async function getSiteDnsStatus(slug) {
     catch (error) {
         throw new HttpError(400, error?.message ?? "Invalid slug.");
     }
-    const namespaceEntry = await readSiteMetadata(normalized);
-    const annotations = namespaceEntry.annotations;
-    const dnsEnabled = parseBooleanAnnotation(annotations.dnsEnabled) ?? false;
-    const domain = annotations.dnsDomain;
-    const targetIp = annotations.dnsTarget;
+    const site = await getSite(normalized);
+    const dnsEnabled = site.dnsEnabled;
+    const domain = site.dnsDomain;
+    const targetIp = site.dnsTarget;
     return { ok: true, slug: normalized, dnsEnabled, domain, targetIp };
 }
 export async function enableSiteGithub(slug, input) {
@@ -1094,8 +1316,8 @@ export async function enableSiteGithub(slug, input) {
     catch (error) {
         throw new HttpError(400, error?.message ?? "Invalid slug.");
     }
-    const namespaceEntry = await readSiteMetadata(normalized);
-    const namespace = namespaceEntry.name;
+    const site = await getSite(normalized);
+    const namespace = site.namespace;
     const repoInfo = parseRepo(input.repo);
     const branch = input.branch?.trim() || "main";
     const workflow = resolveWorkflow(input.workflow);
@@ -1123,12 +1345,12 @@ export async function enableSiteGithub(slug, input) {
         }
     });
     const repo = `${repoInfo.owner}/${repoInfo.repo}`;
-    await patchNamespaceAnnotations(namespace, {
-        [SITE_ANNOTATIONS.githubEnabled]: "true",
-        [SITE_ANNOTATIONS.githubRepo]: repo,
-        [SITE_ANNOTATIONS.githubBranch]: branch,
-        [SITE_ANNOTATIONS.githubWorkflow]: workflow,
-        [SITE_ANNOTATIONS.githubImage]: image
+    await updateSite(normalized, {
+        githubEnabled: true,
+        githubRepo: repo,
+        githubBranch: branch,
+        githubWorkflow: workflow,
+        githubImage: image
     });
     return {
         ok: true,
@@ -1148,15 +1370,15 @@ export async function disableSiteGithub(slug) {
     catch (error) {
         throw new HttpError(400, error?.message ?? "Invalid slug.");
     }
-    const namespaceEntry = await readSiteMetadata(normalized);
-    const namespace = namespaceEntry.name;
+    const site = await getSite(normalized);
+    const namespace = site.namespace;
     await deleteSecret(namespace, GITHUB_SECRET_NAME);
-    await patchNamespaceAnnotations(namespace, {
-        [SITE_ANNOTATIONS.githubEnabled]: "false",
-        [SITE_ANNOTATIONS.githubRepo]: "",
-        [SITE_ANNOTATIONS.githubBranch]: "",
-        [SITE_ANNOTATIONS.githubWorkflow]: "",
-        [SITE_ANNOTATIONS.githubImage]: ""
+    await updateSite(normalized, {
+        githubEnabled: false,
+        githubRepo: null,
+        githubBranch: null,
+        githubWorkflow: null,
+        githubImage: null
     });
     return { ok: true, slug: normalized, githubEnabled: false };
 }
@@ -1168,13 +1390,12 @@ export async function triggerSiteGithubDeploy(slug, input) {
     catch (error) {
         throw new HttpError(400, error?.message ?? "Invalid slug.");
     }
-    const namespaceEntry = await readSiteMetadata(normalized);
-    const namespace = namespaceEntry.name;
-    const annotations = namespaceEntry.annotations;
-    const repoValue = annotations[SITE_ANNOTATIONS.githubRepo]?.trim();
-    const branch = annotations[SITE_ANNOTATIONS.githubBranch]?.trim() || "main";
-    const workflow = annotations[SITE_ANNOTATIONS.githubWorkflow]?.trim() || resolveWorkflow();
-    const image = input.image?.trim() || annotations[SITE_ANNOTATIONS.githubImage]?.trim() || "";
+    const site = await getSite(normalized);
+    const namespace = site.namespace;
+    const repoValue = site.githubRepo?.trim();
+    const branch = site.githubBranch?.trim() || "main";
+    const workflow = site.githubWorkflow?.trim() || resolveWorkflow();
+    const image = input.image?.trim() || site.githubImage?.trim() || "";
     if (!repoValue || !image) {
         throw new HttpError(409, "GitHub deploy not configured.");
     }
@@ -1216,9 +1437,9 @@ export async function triggerSiteGithubDeploy(slug, input) {
             namespace
         }
     });
-    await patchNamespaceAnnotations(namespace, {
-        [SITE_ANNOTATIONS.githubImage]: image,
-        [SITE_ANNOTATIONS.githubBranch]: ref
+    await updateSite(normalized, {
+        githubImage: image,
+        githubBranch: ref
     });
     return { ok: true, slug: normalized, dispatched: true, ref, image };
 }
@@ -1230,8 +1451,8 @@ export async function saveSiteRegistryCredentials(slug, input) {
     catch (error) {
         throw new HttpError(400, error?.message ?? "Invalid slug.");
     }
-    const namespaceEntry = await readSiteMetadata(normalized);
-    const namespace = namespaceEntry.name;
+    const site = await getSite(normalized);
+    const namespace = site.namespace;
     const registryUsername = input.registryUsername?.trim();
     const registryToken = input.registryToken?.trim();
     const registryEmail = input.registryEmail?.trim() || undefined;
@@ -1257,8 +1478,8 @@ export async function deleteSiteRegistryCredentials(slug) {
     catch (error) {
         throw new HttpError(400, error?.message ?? "Invalid slug.");
     }
-    const namespaceEntry = await readSiteMetadata(normalized);
-    const namespace = namespaceEntry.name;
+    const site = await getSite(normalized);
+    const namespace = site.namespace;
     await deleteSecret(namespace, GHCR_PULL_SECRET_NAME);
     return { ok: true, slug: normalized };
 }
@@ -1270,17 +1491,16 @@ export async function getSiteGithubStatus(slug) {
     catch (error) {
         throw new HttpError(400, error?.message ?? "Invalid slug.");
     }
-    const namespaceEntry = await readSiteMetadata(normalized);
-    const annotations = namespaceEntry.annotations;
-    const githubEnabled = parseBooleanAnnotation(annotations[SITE_ANNOTATIONS.githubEnabled]) ?? false;
+    const site = await getSite(normalized);
+    const githubEnabled = site.githubEnabled;
     return {
         ok: true,
         slug: normalized,
         githubEnabled,
-        repo: annotations[SITE_ANNOTATIONS.githubRepo],
-        branch: annotations[SITE_ANNOTATIONS.githubBranch],
-        workflow: annotations[SITE_ANNOTATIONS.githubWorkflow],
-        image: annotations[SITE_ANNOTATIONS.githubImage]
+        repo: site.githubRepo,
+        branch: site.githubBranch,
+        workflow: site.githubWorkflow,
+        image: site.githubImage
     };
 }
 export async function purgeSite(slug) {
@@ -1291,26 +1511,332 @@ export async function purgeSite(slug) {
     catch (error) {
         throw new HttpError(400, error?.message ?? "Invalid slug.");
     }
-    const namespaceEntry = await readSiteMetadata(normalized);
-    const annotations = namespaceEntry.annotations;
+    const site = await getSite(normalized);
     // Delete site resources first (deployment, service, ingress, etc.)
     await deleteSite(normalized);
-    // readSiteMetadata returns annotations in new format (voxeil.io/site-{slug}-{prop})
-    const dbEnabled = parseBooleanAnnotation(annotations.dbEnabled) ?? false;
-    const dbNameAnnotation = annotations.dbName;
-    const dbUserAnnotation = annotations.dbUser;
-    if (dbEnabled || dbNameAnnotation || dbUserAnnotation) {
-        const dbName = dbNameAnnotation ? normalizeDbName(dbNameAnnotation) : resolveDbName(normalized);
-        const dbUser = dbUserAnnotation ? normalizeDbUser(dbUserAnnotation) : resolveDbUser(normalized);
+    const dbEnabled = site.dbEnabled;
+    const recordedDbName = site.dbName;
+    const recordedDbUser = site.dbUser;
+    if (dbEnabled || recordedDbName || recordedDbUser) {
+        const dbName = recordedDbName ? normalizeDbName(recordedDbName) : resolveDbName(normalized);
+        const dbUser = recordedDbUser ? normalizeDbUser(recordedDbUser) : resolveDbUser(normalized);
         await revokeAndTerminate(dbName);
         await dropDatabase(dbName);
         await dropRole(dbUser);
     }
-    const mailEnabled = parseBooleanAnnotation(annotations.mailEnabled) ?? false;
-    const mailDomain = annotations.mailDomain?.trim() ??
-        annotations.domain?.trim();
-    if (mailDomain && (mailEnabled || annotations.mailDomain)) {
+    const mailEnabled = site.mailEnabled;
+    const mailDomain = site.mailDomain?.trim() ??
+        site.domain?.trim();
+    if (mailDomain && (mailEnabled || site.mailDomain)) {
         await purgeMailcowDomain(mailDomain);
     }
     return { ok: true, slug: normalized, purged: true };
 }
+async function readOrNull(read) {
+    try {
+        return (await read()).body;
+    }
+    catch (error) {
+        if (error?.response?.statusCode === 404) {
+            return null;
+        }
+        throw error;
+    }
+}
+// Live state for the detail view: a read the controller's role does not allow leaves
+// that section empty instead of failing the whole page.
+async function readLiveOrNull(read, resource) {
+    try {
+        return await readOrNull(read);
+    }
+    catch (error) {
+        if (error?.response?.statusCode === 403) {
+            logger.warn({ err: error, resource }, "Not allowed to read site live state");
+            return null;
+        }
+        throw error;
+    }
+}
+function summarizeDeployment(deployment) {
+    if (!deployment) {
+        return null;
+    }
+    const status = deployment.status ?? {};
+    const desired = deployment.spec?.replicas ?? 1;
+    const conditions = (status.conditions ?? []).map((condition) => ({
+        type: condition.type,
+        status: condition.status,
+        reason: condition.reason,
+        message: condition.message,
+        lastUpdateTime: condition.lastUpdateTime
+    }));
+    const progressing = conditions.find((condition) => condition.type === "Progressing");
+    return {
+        name: deployment.metadata?.name,
+        image: deployment.spec?.template?.spec?.containers?.[0]?.image,
+        replicas: desired,
+        readyReplicas: status.readyReplicas ?? 0,
+        updatedReplicas: status.updatedReplicas ?? 0,
+        availableReplicas: status.availableReplicas ?? 0,
+        unavailableReplicas: status.unavailableReplicas ?? 0,
+        // Same test as kubectl rollout status.
+        rolloutComplete: (status.observedGeneration ?? 0) >= (deployment.metadata?.generation ?? 0) &&
+            (status.updatedReplicas ?? 0) === desired &&
+            (status.availableReplicas ?? 0) === desired &&
+            (status.replicas ?? 0) === desired,
+        rolloutFailed: progressing?.status === "False" && progressing?.reason === "ProgressDeadlineExceeded",
+        conditions
+    };
+}
+function summarizeContainerState(state) {
+    if (state?.running) {
+        return { state: "running", startedAt: state.running.startedAt };
+    }
+    if (state?.waiting) {
+        return { state: "waiting", reason: state.waiting.reason, message: state.waiting.message };
+    }
+    if (state?.terminated) {
+        return { state: "terminated", reason: state.terminated.reason, exitCode: state.terminated.exitCode };
+    }
+    return { state: "unknown" };
+}
+function summarizePod(pod) {
+    const containers = (pod.status?.containerStatuses ?? []).map((container) => {
+        const terminated = container.lastState?.terminated;
+        return {
+            name: container.name,
+            image: container.image,
+            ready: container.ready,
+            restartCount: container.restartCount ?? 0,
+            ...summarizeContainerState(container.state),
+            lastTermination: terminated
+                ? {
+                    reason: terminated.reason,
+                    exitCode: terminated.exitCode,
+                    message: terminated.message,
+                    finishedAt: terminated.finishedAt
+                }
+                : null
+        };
+    });
+    return {
+        name: pod.metadata?.name,
+        phase: pod.status?.phase,
+        ready: containers.length > 0 && containers.every((container) => container.ready),
+        restarts: containers.reduce((sum, container) => sum + container.restartCount, 0),
+        nodeName: pod.spec?.nodeName,
+        startedAt: pod.status?.startTime,
+        containers
+    };
+}
+function summarizeEndpoints(endpoints) {
+    const ready = [];
+    const notReady = [];
+    for (const subset of endpoints?.subsets ?? []) {
+        const ports = (subset.ports ?? []).map((port) => port.port);
+        for (const address of subset.addresses ?? []) {
+            ready.push({ ip: address.ip, pod: address.targetRef?.name, ports });
+        }
+        for (const address of subset.notReadyAddresses ?? []) {
+            notReady.push({ ip: address.ip, pod: address.targetRef?.name, ports });
+        }
+    }
+    return { ready, notReady };
+}
+// Settle a pending deploy once its rollout has finished either way; one still rolling out
+// stays pending.
+async function settleSiteDeploy(deploy, rollout) {
+    if (rollout.rolloutFailed) {
+        const progressing = rollout.conditions.find((condition) => condition.type === "Progressing");
+        return finishSiteDeploy(deploy.id, "failed", progressing?.message ?? "Rollout did not finish in time.");
+    }
+    if (rollout.rolloutComplete) {
+        return finishSiteDeploy(deploy.id, "success");
+    }
+    return null;
+}
+/**
+ * Settle every pending deploy against its Deployment's rollout. A newer deploy supersedes
+ * older pending ones, so there is at most one per site. Failures are logged per site.
+ */
+export async function settlePendingSiteDeploys() {
+    const { apps } = getClients();
+    let settled = 0;
+    for (const deploy of await listPendingSiteDeploys()) {
+        try {
+            const site = await getSite(deploy.siteSlug);
+            const deployment = await readOrNull(() => apps.readNamespacedDeployment(getDeploymentName(site.slug), site.namespace));
+            const rollout = summarizeDeployment(deployment);
+            if (rollout && await settleSiteDeploy(deploy, rollout)) {
+                settled += 1;
+            }
+        }
+        catch (error) {
+            logger.error({ err: error, slug: deploy.siteSlug, deployId: deploy.id }, "Failed to settle site deploy");
+        }
+    }
+    return { settled };
+}
+let deploySettleInterval = null;
+let deploySettleRunning = false;
+export function startSiteDeploySettling() {
+    if (deploySettleInterval) {
+        return;
+    }
+    const intervalMs = parseEnvNumber("SITE_DEPLOY_SETTLE_INTERVAL_MS", 15000, { min: 1000 });
+    deploySettleInterval = setInterval(() => {
+        // A slow cluster must not stack passes over the same deploys.
+        if (deploySettleRunning) {
+            return;
+        }
+        deploySettleRunning = true;
+        settlePendingSiteDeploys()
+            .catch((err) => logger.error({ err }, "Failed to settle site deploys"))
+            .finally(() => {
+                deploySettleRunning = false;
+            });
+    }, intervalMs);
+    logger.info({ intervalMs }, "Site deploy settling started");
+}
+export function stopSiteDeploySettling() {
+    if (deploySettleInterval) {
+        clearInterval(deploySettleInterval);
+        deploySettleInterval = null;
+    }
+}
+export async function getSiteDeployHistory(slug) {
+    let normalized;
+    try {
+        normalized = validateSlug(slug);
+    }
+    catch (error) {
+        throw new HttpError(400, error?.message ?? "Invalid slug.");
+    }
+    await getSite(normalized);
+    return { ok: true, slug: normalized, deploys: await listSiteDeploys(normalized) };
+}
+/**
+ * Site metadata plus live Kubernetes state: rollout, pods, service endpoints, ingress and
+ * TLS, and the db/mail/dns/github sub-status. Read-only; one round of parallel API reads.
+ * Deploy history is returned as recorded; settlePendingSiteDeploys settles it in the background.
+ */
+export async function getSiteDetail(slug) {
+    let normalized;
+    try {
+        normalized = validateSlug(slug);
+    }
+    catch (error) {
+        throw new HttpError(400, error?.message ?? "Invalid slug.");
+    }
+    const site = await getSite(normalized);
+    const namespace = site.namespace;
+    const { core, apps, net } = getClients();
+    const deploymentName = getDeploymentName(normalized);
+    const serviceName = getServiceName(normalized);
+    const ingressName = getIngressName(normalized);
+    const tlsSecretName = `tls-${normalized}`;
+    const dbSecretName = resolveSiteDbSecretName(site);
+    const [deployment, pods, service, endpoints, ingress, tlsSecret, dbSecret, githubSecret, env, deploys] = await Promise.all([
+        readLiveOrNull(() => apps.readNamespacedDeployment(deploymentName, namespace), "deployments"),
+        readLiveOrNull(() => core.listNamespacedPod(namespace, undefined, undefined, undefined, undefined, `app=${deploymentName}`), "pods"),
+        readLiveOrNull(() => core.readNamespacedService(serviceName, namespace), "services"),
+        readLiveOrNull(() => core.readNamespacedEndpoints(serviceName, namespace), "endpoints"),
+        readLiveOrNull(() => net.readNamespacedIngress(ingressName, namespace), "ingresses"),
+        readSecret(namespace, tlsSecretName),
+        site.dbEnabled ? readSecret(namespace, dbSecretName) : null,
+        site.githubEnabled ? readSecret(namespace, GITHUB_SECRET_NAME) : null,
+        listSiteEnvVars(site),
+        listSiteDeploys(normalized, 20)
+    ]);
+    const rollout = summarizeDeployment(deployment);
+    const podSummaries = (pods?.items ?? []).map(summarizePod);
+    const crashing = podSummaries.some((pod) => pod.containers.some((container) => container.reason === "CrashLoopBackOff" || container.reason === "ImagePullBackOff" || container.reason === "ErrImagePull"));
+    const status = rollout?.rolloutFailed || crashing
+        ? "error"
+        : site.image && site.image !== resolveMaintenanceImage()
+            ? "deployed"
+            : "created";
+    const domains = await listSiteDomains(normalized);
+    const hosts = (ingress?.spec?.rules ?? []).map((rule) => rule.host).filter(Boolean);
+    return {
+        id: site.slug,
+        tenantId: site.userId,
+        name: site.slug,
+        slug: site.slug,
+        namespace,
+        primaryDomain: site.domain,
+        domains: domains.length > 0 ? domains : [site.domain],
+        canonicalDomain: site.canonicalDomain ?? undefined,
+        status,
+        image: site.image ?? undefined,
+        containerPort: site.containerPort ?? undefined,
+        limits: { cpu: site.cpu, ramGi: site.ramGi, diskGi: site.diskGi },
+        tls: {
+            enabled: site.tlsEnabled,
+            issuer: site.tlsIssuer ?? undefined,
+            secretName: tlsSecretName,
+            secretPresent: Boolean(tlsSecret)
+        },
+        env,
+        deployHistory: deploys.map((deploy) => ({
+            id: deploy.id,
+            timestamp: deploy.createdAt,
+            image: deploy.image,
+            containerPort: deploy.containerPort,
+            source: deploy.source,
+            actorUserId: deploy.actorUserId ?? undefined,
+            rollbackOf: deploy.rollbackOf ?? undefined,
+            status: deploy.status,
+            message: deploy.message ?? undefined,
+            finishedAt: deploy.finishedAt ?? undefined
+        })),
+        deployment: rollout,
+        pods: podSummaries,
+        service: service
+            ? {
+                name: service.metadata?.name,
+                clusterIP: service.spec?.clusterIP,
+                ports: (service.spec?.ports ?? []).map((port) => ({ name: port.name, port: port.port, targetPort: port.targetPort })),
+                endpoints: summarizeEndpoints(endpoints)
+            }
+            : null,
+        ingress: ingress
+            ? {
+                name: ingress.metadata?.name,
+                className: ingress.spec?.ingressClassName,
+                hosts,
+                tlsHosts: (ingress.spec?.tls ?? []).flatMap((entry) => entry.hosts ?? []),
+                loadBalancer: (ingress.status?.loadBalancer?.ingress ?? []).map((entry) => entry.ip ?? entry.hostname)
+            }
+            : null,
+        db: {
+            enabled: site.dbEnabled,
+            name: site.dbName ?? undefined,
+            user: site.dbUser ?? undefined,
+            host: site.dbHost ?? undefined,
+            port: site.dbPort ?? undefined,
+            secretName: site.dbEnabled ? dbSecretName : undefined,
+            secretPresent: Boolean(dbSecret)
+        },
+        mail: {
+            enabled: site.mailEnabled,
+            domain: site.mailDomain ?? undefined,
+            provider: site.mailProvider ?? undefined,
+            status: site.mailStatus ?? undefined,
+            lastError: site.mailLastError ?? undefined
+        },
+        dns: {
+            enabled: site.dnsEnabled,
+            domain: site.dnsDomain ?? undefined,
+            target: site.dnsTarget ?? undefined
+        },
+        github: {
+            enabled: site.githubEnabled,
+            repo: site.githubRepo ?? undefined,
+            branch: site.githubBranch ?? undefined,
+            workflow: site.githubWorkflow ?? undefined,
+            image: site.githubImage ?? undefined,
+            secretPresent: Boolean(githubSecret)
+        }
+    };
+}
@@ -33,3 +33,15 @@ export function validateSlug(input) {
     }
     return value;
 }
+export function normalizeDomain(input) {
+    const value = input.trim().toLowerCase().replace(/\.$/, "");
+    if (!value) {
+        throw new Error("Domain is required.");
+    }
+    if (value.length > 253 ||
+        !/^[a-z0-9](?:[a-z0-9-]*[a-z0-9])?(?:\.[a-z0-9](?:[a-z0-9-]*[a-z0-9])?)+$/.test(value) ||
+        value.split(".").some((label) => label.length > 63)) {
+        throw new Error("Domain must be a valid hostname such as example.com.");
+    }
+    return value;
+}
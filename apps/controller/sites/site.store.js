@@ -0,0 +1,436 @@
+import { HttpError } from "../http/errors.js";
+import { logger } from "../config/logger.js";
+import { withClient as poolWithClient } from "../db/pool.js";
+import { runMigrationOnce } from "../db/migrations.js";
+import { getClients } from "../k8s/client.js";
+import { getSiteAnnotation } from "../k8s/annotations.js";
+import { patchNamespaceAnnotations, USER_PREFIX } from "../k8s/namespace.js";
+
+// Site metadata lives in the sites table. The voxeil.io/site-{slug}-{prop} annotations on the
+// user namespace are only a mirror for Kubernetes tooling: written after every change, never read
+// back (except by the one-time import below).
+const FIELDS = {
+    domain: { column: "domain", type: "text" },
+    canonicalDomain: { column: "canonical_domain", type: "text" },
+    image: { column: "image", type: "text" },
+    containerPort: { column: "container_port", type: "number" },
+    cpu: { column: "cpu", type: "number" },
+    ramGi: { column: "ram_gi", type: "number" },
+    diskGi: { column: "disk_gi", type: "number" },
+    tlsEnabled: { column: "tls_enabled", type: "boolean" },
+    tlsIssuer: { column: "tls_issuer", type: "text" },
+    dbEnabled: { column: "db_enabled", type: "boolean" },
+    dbName: { column: "db_name", type: "text" },
+    dbUser: { column: "db_user", type: "text" },
+    dbHost: { column: "db_host", type: "text" },
+    dbPort: { column: "db_port", type: "number" },
+    dbSecret: { column: "db_secret", type: "text" },
+    dbEnvNames: { column: "db_env_names", type: "json" },
+    mailEnabled: { column: "mail_enabled", type: "boolean" },
+    mailProvider: { column: "mail_provider", type: "text" },
+    mailDomain: { column: "mail_domain", type: "text" },
+    mailStatus: { column: "mail_status", type: "text" },
+    mailLastError: { column: "mail_last_error", type: "text" },
+    dnsEnabled: { column: "dns_enabled", type: "boolean" },
+    dnsDomain: { column: "dns_domain", type: "text" },
+    dnsTarget: { column: "dns_target", type: "text" },
+    githubEnabled: { column: "github_enabled", type: "boolean" },
+    githubRepo: { column: "github_repo", type: "text" },
+    githubBranch: { column: "github_branch", type: "text" },
+    githubWorkflow: { column: "github_workflow", type: "text" },
+    githubImage: { column: "github_image", type: "text" }
+};
+const SITE_COLUMNS = ["slug", "user_id", ...Object.values(FIELDS).map((field) => field.column), "created_at", "updated_at"].join(", ");
+const ANNOTATION_IMPORT_MIGRATION = "sites-import-namespace-annotations";
+const DOMAIN_REGISTER_MIGRATION = "sites-register-primary-domains";
+
+let schemaReady = false;
+
+async function ensureSchema(client) {
+    await client.query(`
+    CREATE TABLE IF NOT EXISTS sites (
+      slug TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL REFERENCES panel_users(id) ON DELETE CASCADE,
+      domain TEXT NOT NULL,
+      image TEXT,
+      container_port INTEGER,
+      cpu INTEGER,
+      ram_gi INTEGER,
+      disk_gi INTEGER,
+      tls_enabled BOOLEAN NOT NULL DEFAULT false,
+      tls_issuer TEXT,
+      db_enabled BOOLEAN NOT NULL DEFAULT false,
+      db_name TEXT,
+      db_user TEXT,
+      db_host TEXT,
+      db_port INTEGER,
+      db_secret TEXT,
+      mail_enabled BOOLEAN NOT NULL DEFAULT false,
+      mail_provider TEXT,
+      mail_domain TEXT,
+      mail_status TEXT,
+      mail_last_error TEXT,
+      dns_enabled BOOLEAN NOT NULL DEFAULT false,
+      dns_domain TEXT,
+      dns_target TEXT,
+      github_enabled BOOLEAN NOT NULL DEFAULT false,
+      github_repo TEXT,
+      github_branch TEXT,
+      github_workflow TEXT,
+      github_image TEXT,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    );
+  `);
+    await client.query(`
+    ALTER TABLE sites
+      ADD COLUMN IF NOT EXISTS canonical_domain TEXT,
+      ADD COLUMN IF NOT EXISTS db_env_names JSONB;
+  `);
+    await client.query(`
+    CREATE INDEX IF NOT EXISTS sites_user_id_idx
+      ON sites (user_id);
+  `);
+    // Every host a site answers on, its primary domain included. The primary key keeps
+    // a domain on one site across all users.
+    await client.query(`
+    CREATE TABLE IF NOT EXISTS site_domains (
+      domain TEXT PRIMARY KEY,
+      site_slug TEXT NOT NULL REFERENCES sites(slug) ON DELETE CASCADE,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    );
+  `);
+    await client.query(`
+    CREATE INDEX IF NOT EXISTS site_domains_site_slug_idx
+      ON site_domains (site_slug);
+  `);
+}
+
+async function withClient(fn) {
+    return poolWithClient(async (client) => {
+        if (!schemaReady) {
+            await ensureSchema(client);
+            schemaReady = true;
+        }
+        return await fn(client);
+    });
+}
+
+function mapRow(row) {
+    const site = {
+        slug: row.slug,
+        userId: row.user_id,
+        namespace: `${USER_PREFIX}${row.user_id}`
+    };
+    for (const [prop, field] of Object.entries(FIELDS)) {
+        site[prop] = row[field.column] ?? null;
+    }
+    site.createdAt = row.created_at;
+    site.updatedAt = row.updated_at;
+    return site;
+}
+
+// Empty strings clear a field, as they did when the values were annotations.
+function toColumnValue(field, value) {
+    if (value === undefined || value === null || value === "") {
+        return field.type === "boolean" ? false : null;
+    }
+    if (field.type === "number") {
+        const parsed = Number(value);
+        return Number.isFinite(parsed) ? parsed : null;
+    }
+    if (field.type === "boolean") {
+        return value === true || value === "true";
+    }
+    if (field.type === "json") {
+        return typeof value === "string" ? value : JSON.stringify(value);
+    }
+    return String(value);
+}
+
+// Domains recorded before site_domains were not normalized.
+function normalizeRecordedDomain(domain) {
+    return domain?.trim().toLowerCase().replace(/\.$/, "") || null;
+}
+
+// Claim `domain` for the site inside the caller's transaction.
+async function claimDomain(client, slug, domain) {
+    await client.query("INSERT INTO site_domains (domain, site_slug) VALUES ($1, $2) ON CONFLICT (domain) DO NOTHING", [domain, slug]);
+    const result = await client.query("SELECT site_slug FROM site_domains WHERE domain = $1", [domain]);
+    if (result.rows[0]?.site_slug !== slug) {
+        throw new HttpError(409, `Domain '${domain}' is already used by another site.`);
+    }
+}
+
+function pickFields(values) {
+    const picked = {};
+    for (const [prop, field] of Object.entries(FIELDS)) {
+        if (values[prop] !== undefined) {
+            picked[prop] = toColumnValue(field, values[prop]);
+        }
+    }
+    return picked;
+}
+
+// Best effort: the table is the source of truth, a failed mirror write must not fail the request.
+async function mirrorAnnotations(site, fields) {
+    const annotations = {};
+    for (const [prop, value] of Object.entries(fields)) {
+        annotations[`voxeil.io/site-${site.slug}-${prop}`] = value === null ? null : String(value);
+    }
+    try {
+        await patchNamespaceAnnotations(site.namespace, annotations);
+    }
+    catch (error) {
+        logger.warn({ err: error, slug: site.slug }, "Failed to mirror site annotations");
+    }
+}
+
+export async function findSite(slug) {
+    return withClient(async (client) => {
+        const result = await client.query(`SELECT ${SITE_COLUMNS} FROM sites WHERE slug = $1`, [slug]);
+        return result.rows[0] ? mapRow(result.rows[0]) : null;
+    });
+}
+
+export async function getSite(slug) {
+    const site = await findSite(slug);
+    if (!site) {
+        throw new HttpError(404, `Site with slug '${slug}' not found.`);
+    }
+    return site;
+}
+
+/**
+ * All sites, or only those of the given users.
+ */
+export async function listSiteRecords(options = {}) {
+    return withClient(async (client) => {
+        const result = options.userIds
+            ? await client.query(`SELECT ${SITE_COLUMNS} FROM sites WHERE user_id = ANY($1) ORDER BY slug`, [options.userIds])
+            : await client.query(`SELECT ${SITE_COLUMNS} FROM sites ORDER BY slug`);
+        return result.rows.map(mapRow);
+    });
+}
+
+/**
+ * Create a site, or overwrite the given fields when the same user creates it again.
+ * Slugs are global: a slug held by another user is a conflict. A replaced primary domain
+ * is released (and stops being the canonical domain).
+ */
+export async function upsertSite(userId, slug, values) {
+    const fields = pickFields(values);
+    const props = Object.keys(fields);
+    const columns = props.map((prop) => FIELDS[prop].column);
+    const params = [slug, userId, ...props.map((prop) => fields[prop])];
+    let releasedCanonical = false;
+    const row = await withClient(async (client) => {
+        await client.query("BEGIN");
+        try {
+            const previous = await client.query("SELECT domain FROM sites WHERE slug = $1 AND user_id = $2 FOR UPDATE", [slug, userId]);
+            const previousDomain = previous.rows[0]?.domain;
+            const result = await client.query(`INSERT INTO sites (slug, user_id, ${columns.join(", ")})
+         VALUES ($1, $2, ${columns.map((_, index) => `$${index + 3}`).join(", ")})
+         ON CONFLICT (slug) DO UPDATE
+         SET ${[...columns.map((column) => `${column} = EXCLUDED.${column}`), "updated_at = now()"].join(", ")}
+         WHERE sites.user_id = EXCLUDED.user_id
+         RETURNING ${SITE_COLUMNS}`, params);
+            if (!result.rows[0]) {
+                throw new HttpError(409, `Site slug '${slug}' is already taken.`);
+            }
+            if (fields.domain && previousDomain && previousDomain !== fields.domain) {
+                await client.query("DELETE FROM site_domains WHERE domain = $1 AND site_slug = $2", [previousDomain, slug]);
+                const released = await client.query(`UPDATE sites SET canonical_domain = NULL
+           WHERE slug = $1 AND canonical_domain = $2
+           RETURNING ${SITE_COLUMNS}`, [slug, previousDomain]);
+                if (released.rows[0]) {
+                    releasedCanonical = true;
+                    result.rows[0] = released.rows[0];
+                }
+            }
+            if (fields.domain) {
+                await claimDomain(client, slug, fields.domain);
+            }
+            await client.query("COMMIT");
+            return result.rows[0];
+        }
+        catch (error) {
+            await client.query("ROLLBACK");
+            throw error;
+        }
+    });
+    const site = mapRow(row);
+    await mirrorAnnotations(site, releasedCanonical ? { ...fields, canonicalDomain: null } : fields);
+    return site;
+}
+
+export async function updateSite(slug, values) {
+    const fields = pickFields(values);
+    const props = Object.keys(fields);
+    if (props.length === 0) {
+        return getSite(slug);
+    }
+    const assignments = props.map((prop, index) => `${FIELDS[prop].column} = $${index + 2}`);
+    const row = await withClient(async (client) => {
+        const result = await client.query(`UPDATE sites
+       SET ${[...assignments, "updated_at = now()"].join(", ")}
+       WHERE slug = $1
+       RETURNING ${SITE_COLUMNS}`, [slug, ...props.map((prop) => fields[prop])]);
+        return result.rows[0];
+    });
+    if (!row) {
+        throw new HttpError(404, `Site with slug '${slug}' not found.`);
+    }
+    const site = mapRow(row);
+    await mirrorAnnotations(site, fields);
+    return site;
+}
+
+export async function deleteSiteRecord(slug) {
+    const site = await findSite(slug);
+    if (!site) {
+        return;
+    }
+    await withClient(async (client) => {
+        await client.query("DELETE FROM sites WHERE slug = $1", [slug]);
+    });
+    await mirrorAnnotations(site, Object.fromEntries(Object.keys(FIELDS).map((prop) => [prop, null])));
+}
+
+/**
+ * Every domain the site answers on, primary domain first.
+ */
+export async function listSiteDomains(slug) {
+    return withClient(async (client) => {
+        const result = await client.query(`SELECT d.domain
+       FROM site_domains d
+       JOIN sites s ON s.slug = d.site_slug
+       WHERE d.site_slug = $1
+       ORDER BY d.domain = s.domain DESC, d.domain`, [slug]);
+        return result.rows.map((row) => row.domain);
+    });
+}
+
+/**
+ * Add an alias domain. Adding a domain the site already has is a no-op;
+ * a domain held by any other site is a conflict.
+ */
+export async function addSiteDomainRecord(slug, domain) {
+    await withClient(async (client) => {
+        await client.query("BEGIN");
+        try {
+            const site = await client.query("SELECT 1 FROM sites WHERE slug = $1 FOR UPDATE", [slug]);
+            if (site.rowCount === 0) {
+                throw new HttpError(404, `Site with slug '${slug}' not found.`);
+            }
+            await claimDomain(client, slug, domain);
+            await client.query("COMMIT");
+        }
+        catch (error) {
+            await client.query("ROLLBACK");
+            throw error;
+        }
+    });
+    return listSiteDomains(slug);
+}
+
+export async function removeSiteDomainRecord(slug, domain) {
+    await withClient(async (client) => {
+        const result = await client.query("DELETE FROM site_domains WHERE site_slug = $1 AND domain = $2", [slug, domain]);
+        if (result.rowCount === 0) {
+            throw new HttpError(404, "Site domain not found.");
+        }
+    });
+    return listSiteDomains(slug);
+}
+
+/**
+ * One-time registration of the primary domain of sites created before site_domains.
+ * A domain already claimed by another site is left with that site and logged.
+ */
+export async function registerSiteDomains() {
+    return runMigrationOnce(DOMAIN_REGISTER_MIGRATION, async () => {
+        const sites = await listSiteRecords();
+        let registered = 0;
+        for (const site of sites) {
+            const domain = normalizeRecordedDomain(site.domain);
+            if (!domain) {
+                continue;
+            }
+            const result = await withClient((client) => client.query(`INSERT INTO site_domains (domain, site_slug) VALUES ($1, $2)
+         ON CONFLICT (domain) DO UPDATE SET site_slug = EXCLUDED.site_slug
+         WHERE site_domains.site_slug = EXCLUDED.site_slug`, [domain, site.slug]));
+            if (result.rowCount > 0) {
+                registered += 1;
+            }
+            else {
+                logger.warn({ slug: site.slug, domain }, "Site domain not registered (used by another site)");
+            }
+        }
+        return { registered };
+    });
+}
+
+/**
+ * One-time import of sites that only exist as namespace annotations (before the sites table).
+ * Sites already in the table win; namespaces without a panel user are skipped. An imported
+ * site's primary domain is registered with it, unless another site already holds it.
+ */
+export async function importSiteAnnotations() {
+    return runMigrationOnce(ANNOTATION_IMPORT_MIGRATION, async () => {
+        const { core } = getClients();
+        const response = await core.listNamespace();
+        let imported = 0;
+        let skipped = 0;
+        for (const ns of response.body.items ?? []) {
+            const namespace = ns.metadata?.name ?? "";
+            if (!namespace.startsWith(USER_PREFIX)) {
+                continue;
+            }
+            const userId = namespace.slice(USER_PREFIX.length);
+            const annotations = ns.metadata?.annotations ?? {};
+            const slugs = Object.keys(annotations)
+                .map((key) => key.match(/^voxeil\.io\/site-(.+)-domain$/)?.[1])
+                .filter(Boolean);
+            for (const slug of slugs) {
+                const values = {};
+                for (const prop of Object.keys(FIELDS)) {
+                    // Legacy namespace-wide keys (voxeil.com/*) can only be attributed to a lone site.
+                    values[prop] = slugs.length === 1
+                        ? getSiteAnnotation(annotations, slug, prop)
+                        : annotations[`voxeil.io/site-${slug}-${prop}`];
+                }
+                const fields = pickFields(values);
+                const columns = Object.keys(fields).map((prop) => FIELDS[prop].column);
+                const params = [slug, userId, ...Object.values(fields)];
+                const result = await withClient(async (client) => {
+                    await client.query("BEGIN");
+                    try {
+                        const inserted = await client.query(`INSERT INTO sites (slug, user_id, ${columns.join(", ")})
+               SELECT $1, $2, ${columns.map((_, index) => `$${index + 3}`).join(", ")}
+               WHERE EXISTS (SELECT 1 FROM panel_users WHERE id = $2)
+               ON CONFLICT (slug) DO NOTHING`, params);
+                        const domain = normalizeRecordedDomain(fields.domain);
+                        if (inserted.rowCount > 0 && domain) {
+                            await client.query("INSERT INTO site_domains (domain, site_slug) VALUES ($1, $2) ON CONFLICT (domain) DO NOTHING", [domain, slug]);
+                        }
+                        await client.query("COMMIT");
+                        return inserted;
+                    }
+                    catch (error) {
+                        await client.query("ROLLBACK");
+                        throw error;
+                    }
+                });
+                if (result.rowCount > 0) {
+                    imported += 1;
+                }
+                else {
+                    skipped += 1;
+                    logger.warn({ slug, namespace }, "Site annotations not imported (slug taken or user missing)");
+                }
+            }
+        }
+        return { imported, skipped };
+    });
+}
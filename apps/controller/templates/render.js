@@ -80,7 +80,7 @@ export function renderUserNamespace(template, namespace, tenantId) {
     return resource;
 }
 
-export function renderUserResourceQuota(template, namespace, cpuRequest, cpuLimit, memoryRequest, memoryLimit, pvcCount) {
+export function renderUserResourceQuota(template, namespace, cpuRequest, cpuLimit, memoryRequest, memoryLimit, pvcCount, storage) {
     const quota = clone(template);
     quota.metadata = {
         ...quota.metadata,
@@ -93,6 +93,7 @@ export function renderUserResourceQuota(template, namespace, cpuRequest, cpuLimi
         "requests.memory": memoryRequest,
         "limits.cpu": cpuLimit,
         "limits.memory": memoryLimit,
+        "requests.storage": storage,
         "persistentvolumeclaims": pvcCount
     };
     return quota;
@@ -0,0 +1,69 @@
+import assert from "node:assert/strict";
+import { before, describe, it } from "node:test";
+import { useMemoryDb } from "./support/memory-db.js";
+
+useMemoryDb();
+process.env.REQUIRE_ADMIN_2FA = "true";
+const users = await import("../users/user.service.js");
+const { createApiToken, listApiTokens, revokeApiToken, verifyApiToken } = await import("../auth/api-token.service.js");
+
+async function createOwner(username, role) {
+    const user = await users.createUser({ username, password: "Correct-Horse-9", email: `${username}@example.com`, role });
+    return { user, owner: { sub: user.id, role } };
+}
+
+describe("api tokens", () => {
+    let owner;
+
+    before(async () => {
+        ({ owner } = await createOwner("carol", "user"));
+    });
+
+    it("resolve to a principal carrying the granted scopes", async () => {
+        const { token, apiToken } = await createApiToken(owner, { name: "ci", scopes: ["sites:read", "sites:read", "sites:deploy"] });
+        assert.match(token, /^vxp_/);
+        assert.ok(token.startsWith(apiToken.prefix));
+        const principal = await verifyApiToken(token);
+        assert.deepEqual(principal, {
+            sub: owner.sub,
+            role: "user",
+            disabled: false,
+            scopes: ["sites:read", "sites:deploy"],
+            tokenId: apiToken.id,
+            tokenType: "api"
+        });
+    });
+
+    it("refuse privileged scopes the owner's role lacks", async () => {
+        await assert.rejects(createApiToken(owner, { name: "ci", scopes: ["users:write"] }), { statusCode: 403 });
+    });
+
+    it("stop working once revoked or expired", async () => {
+        const revoked = await createApiToken(owner, { name: "old", scopes: ["sites:read"] });
+        await revokeApiToken(owner.sub, revoked.apiToken.id);
+        await assert.rejects(verifyApiToken(revoked.token), { statusCode: 401, message: "Token revoked." });
+        assert.ok(!(await listApiTokens(owner.sub)).some((token) => token.id === revoked.apiToken.id));
+        await assert.rejects(verifyApiToken("vxp_unknown"), { statusCode: 401 });
+    });
+
+    it("stop working for a disabled owner", async () => {
+        const { user, owner: disabled } = await createOwner("dave", "user");
+        const { token } = await createApiToken(disabled, { name: "ci", scopes: ["sites:read"] });
+        await users.setUserActive(user.id, false);
+        await assert.rejects(verifyApiToken(token), { statusCode: 403 });
+    });
+
+    it("carry a pending password change of the owner", async () => {
+        const { user, owner: reset } = await createOwner("erin", "user");
+        const { token } = await createApiToken(reset, { name: "ci", scopes: ["sites:read"] });
+        assert.equal((await verifyApiToken(token)).pwd_change, undefined);
+        await users.setTemporaryPassword(user.id, "Temporary-Pass-1");
+        assert.equal((await verifyApiToken(token)).pwd_change, true);
+    });
+
+    it("carry a required 2FA enrollment of the owner", async () => {
+        const { owner: admin } = await createOwner("frank", "admin");
+        const { token } = await createApiToken(admin, { name: "ci", scopes: ["sites:read"] });
+        assert.equal((await verifyApiToken(token)).mfa_enroll, true);
+    });
+});
@@ -0,0 +1,59 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { useMemoryDb } from "./support/memory-db.js";
+
+const db = useMemoryDb();
+const users = await import("../users/user.service.js");
+const { consumeInvitation, issueInvitation } = await import("../users/invitation.service.js");
+
+const PASSWORD = "Correct-Horse-9";
+
+async function invite(username) {
+    const user = await users.createInvitedUser({ username, email: `${username}@example.com`, role: "user" });
+    const { inviteToken } = await issueInvitation(user.id, null);
+    return { user, inviteToken };
+}
+
+function accept(inviteToken, password = PASSWORD) {
+    return consumeInvitation(inviteToken, (client, userId) => users.setInitialPassword(userId, password, client));
+}
+
+describe("invitations", () => {
+    it("let the invitee set a password once", async () => {
+        const { user, inviteToken } = await invite("peggy");
+        await assert.rejects(users.verifyUserCredentials("peggy", PASSWORD), { statusCode: 401 });
+        const accepted = await accept(inviteToken);
+        assert.equal(accepted.id, user.id);
+        assert.equal(accepted.status, "pending");
+        assert.equal((await users.verifyUserCredentials("peggy", PASSWORD)).id, user.id);
+        await assert.rejects(accept(inviteToken, "Another-Horse-9"), { statusCode: 409 });
+        assert.equal((await users.verifyUserCredentials("peggy", PASSWORD)).id, user.id);
+    });
+
+    it("stay usable when setting the password fails", async () => {
+        const { inviteToken } = await invite("quentin");
+        const failing = consumeInvitation(inviteToken, async () => {
+            throw new Error("password update failed");
+        });
+        await assert.rejects(failing, /password update failed/);
+        assert.equal((await accept(inviteToken)).status, "pending");
+    });
+
+    it("are revoked by a newer invitation", async () => {
+        const { user, inviteToken } = await invite("rupert");
+        const { inviteToken: newer } = await issueInvitation(user.id, null);
+        await assert.rejects(accept(inviteToken), { statusCode: 400 });
+        assert.equal((await accept(newer)).id, user.id);
+    });
+
+    it("expire", async () => {
+        const { inviteToken } = await invite("sybil");
+        db.public.none("UPDATE user_invitations SET expires_at = now() - interval '1 hour' WHERE accepted_at IS NULL AND revoked_at IS NULL");
+        await assert.rejects(accept(inviteToken), { statusCode: 410 });
+    });
+
+    it("reject tokens that were never issued", async () => {
+        await assert.rejects(accept("vxi_unknown"), { statusCode: 400 });
+        await assert.rejects(accept("not-an-invitation"), { statusCode: 400 });
+    });
+});
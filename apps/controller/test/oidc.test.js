@@ -0,0 +1,91 @@
+import assert from "node:assert/strict";
+import { after, describe, it } from "node:test";
+import { startMockOidcProvider } from "./support/mock-oidc-provider.js";
+import { useMemoryDb } from "./support/memory-db.js";
+
+const db = useMemoryDb();
+const provider = await startMockOidcProvider({ clientId: "voxeil-panel" });
+process.env.OIDC_ISSUER_URL = provider.issuer;
+process.env.OIDC_CLIENT_ID = "voxeil-panel";
+process.env.OIDC_REDIRECT_URI = "https://panel.example.com/auth/oidc/callback";
+process.env.OIDC_ADMIN_GROUPS = "panel-admins";
+const { completeAuthorization, createAuthorizationRequest, mapOidcClaims } = await import("../auth/oidc.js");
+const { findOrProvisionFederatedUser } = await import("../users/user.service.js");
+
+after(() => provider.close());
+
+function claimsFor(sub, extra = {}) {
+    return { sub, email: `${sub}@example.com`, email_verified: true, preferred_username: sub, ...extra };
+}
+
+async function signIn(claims, overrides) {
+    const { authorizationUrl } = await createAuthorizationRequest();
+    return provider.authorize(authorizationUrl, claims, overrides);
+}
+
+describe("OIDC authorization code flow", () => {
+    it("sends a PKCE S256 challenge, state and nonce", async () => {
+        const { authorizationUrl, state } = await createAuthorizationRequest();
+        const url = new URL(authorizationUrl);
+        assert.equal(url.origin, provider.issuer);
+        assert.equal(url.searchParams.get("state"), state);
+        assert.equal(url.searchParams.get("code_challenge_method"), "S256");
+        assert.ok(url.searchParams.get("nonce"));
+    });
+
+    it("returns the verified ID token claims", async () => {
+        const claims = await completeAuthorization(await signIn(claimsFor("grace")));
+        assert.equal(claims.sub, "grace");
+        assert.equal(claims.iss, provider.issuer);
+        assert.equal(claims.aud, "voxeil-panel");
+    });
+
+    it("accepts a state only once", async () => {
+        const callback = await signIn(claimsFor("heidi"));
+        await completeAuthorization(callback);
+        await assert.rejects(completeAuthorization(callback), { statusCode: 400 });
+        await assert.rejects(completeAuthorization({ code: "x", state: "never-issued" }), { statusCode: 400 });
+    });
+
+    it("rejects an ID token minted for another nonce", async () => {
+        const callback = await signIn(claimsFor("ivan"), { nonce: "someone-elses-nonce" });
+        await assert.rejects(completeAuthorization(callback), { statusCode: 401, message: "ID token nonce mismatch." });
+    });
+});
+
+describe("mapOidcClaims", () => {
+    it("only derives a role from a configured group mapping", () => {
+        assert.equal(mapOidcClaims(claimsFor("judy", { groups: ["panel-admins"] })).role, "admin");
+        assert.equal(mapOidcClaims(claimsFor("judy", { groups: ["engineering"] })).role, null);
+        assert.equal(mapOidcClaims(claimsFor("judy")).role, null);
+    });
+
+    it("drops an email the IdP has not verified", () => {
+        assert.equal(mapOidcClaims(claimsFor("judy", { email_verified: "true" })).email, "judy@example.com");
+        assert.equal(mapOidcClaims(claimsFor("judy", { email_verified: false })).email, null);
+        assert.equal(mapOidcClaims(claimsFor("judy", { email_verified: undefined })).email, null);
+    });
+});
+
+describe("findOrProvisionFederatedUser", () => {
+    it("keeps an admin-assigned role unless a group mapping matches", async () => {
+        const first = await findOrProvisionFederatedUser("oidc", mapOidcClaims(claimsFor("mallory")));
+        assert.equal(first.created, true);
+        assert.equal(first.user.role, "user");
+        db.public.none(`UPDATE panel_users SET role = 'support' WHERE id = '${first.user.id}'`);
+        const again = await findOrProvisionFederatedUser("oidc", mapOidcClaims(claimsFor("mallory")));
+        assert.equal(again.created, false);
+        assert.equal(again.user.role, "support");
+        const promoted = await findOrProvisionFederatedUser("oidc", mapOidcClaims(claimsFor("mallory", { groups: ["panel-admins"] })));
+        assert.equal(promoted.user.role, "admin");
+    });
+
+    it("only takes over verified email addresses", async () => {
+        const unverified = mapOidcClaims(claimsFor("niaj", { email_verified: false }));
+        await assert.rejects(findOrProvisionFederatedUser("oidc", unverified), { statusCode: 403 });
+        await findOrProvisionFederatedUser("oidc", mapOidcClaims(claimsFor("niaj")));
+        const changed = mapOidcClaims(claimsFor("niaj", { email: "attacker@example.net", email_verified: false }));
+        const { user } = await findOrProvisionFederatedUser("oidc", changed);
+        assert.equal(user.email, "niaj@example.com");
+    });
+});
@@ -0,0 +1,26 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { canImpersonateRole } from "../auth/permissions.js";
+
+describe("impersonation by role", () => {
+    it("let support staff impersonate customers", () => {
+        assert.equal(canImpersonateRole("support", "user"), true);
+    });
+
+    it("keep support away from roles it was not given", () => {
+        for (const role of ["admin", "reseller", "billing", "auditor", "support"]) {
+            assert.equal(canImpersonateRole("support", role), false, role);
+        }
+    });
+
+    it("let admins impersonate every role", () => {
+        for (const role of ["admin", "user", "auditor", "support", "billing", "reseller"]) {
+            assert.equal(canImpersonateRole("admin", role), true, role);
+        }
+    });
+
+    it("refuse roles without the impersonate permission", () => {
+        assert.equal(canImpersonateRole("reseller", "user"), false);
+        assert.equal(canImpersonateRole("auditor", "user"), false);
+    });
+});
@@ -0,0 +1,67 @@
+import assert from "node:assert/strict";
+import { before, describe, it } from "node:test";
+import { useMemoryDb } from "./support/memory-db.js";
+
+const db = useMemoryDb();
+process.env.JWT_SECRET ??= "Test-Secret-0123456789-0123456789-!";
+const users = await import("../users/user.service.js");
+const { issueRefreshToken, listLiveRefreshFamilies, revokeRefreshFamily, rotateRefreshToken } = await import("../auth/refresh-token.service.js");
+
+// Push every past rotation out of the reuse grace window.
+function ageRotations() {
+    db.public.none("UPDATE refresh_tokens SET used_at = now() - interval '1 minute' WHERE used_at IS NOT NULL");
+}
+
+describe("refresh token rotation", () => {
+    let userId;
+
+    before(async () => {
+        ({ id: userId } = await users.createUser({ username: "olivia", password: "Correct-Horse-9", email: "olivia@example.com", role: "user" }));
+    });
+
+    it("swaps a token for a successor in the same family", async () => {
+        const issued = await issueRefreshToken(userId);
+        const rotated = await rotateRefreshToken(issued.refreshToken);
+        assert.equal(rotated.reused, false);
+        assert.equal(rotated.userId, userId);
+        assert.equal(rotated.familyId, issued.familyId);
+        assert.notEqual(rotated.refreshToken, issued.refreshToken);
+        assert.deepEqual(await listLiveRefreshFamilies(userId), [issued.familyId]);
+    });
+
+    it("gives parallel refreshes with the same token the same successor", async () => {
+        const issued = await issueRefreshToken(userId);
+        const first = await rotateRefreshToken(issued.refreshToken);
+        const second = await rotateRefreshToken(issued.refreshToken);
+        assert.equal(second.reused, false);
+        assert.equal(second.refreshToken, first.refreshToken);
+        const next = await rotateRefreshToken(second.refreshToken);
+        assert.equal(next.reused, false);
+    });
+
+    it("revokes the family when a rotated token is replayed after the grace window", async () => {
+        const issued = await issueRefreshToken(userId);
+        const rotated = await rotateRefreshToken(issued.refreshToken);
+        ageRotations();
+        const replay = await rotateRefreshToken(issued.refreshToken);
+        assert.deepEqual(replay, { reused: true, familyId: issued.familyId, userId });
+        await assert.rejects(rotateRefreshToken(rotated.refreshToken), { statusCode: 401, message: "Refresh token revoked." });
+        assert.ok(!(await listLiveRefreshFamilies(userId)).includes(issued.familyId));
+    });
+
+    it("treats a replay as reuse once the successor has been rotated too", async () => {
+        const issued = await issueRefreshToken(userId);
+        const rotated = await rotateRefreshToken(issued.refreshToken);
+        await rotateRefreshToken(rotated.refreshToken);
+        const replay = await rotateRefreshToken(issued.refreshToken);
+        assert.equal(replay.reused, true);
+    });
+
+    it("rejects unknown, malformed and revoked tokens", async () => {
+        await assert.rejects(rotateRefreshToken("vxr_unknown"), { statusCode: 401, message: "Invalid refresh token." });
+        await assert.rejects(rotateRefreshToken("not-a-refresh-token"), { statusCode: 401 });
+        const issued = await issueRefreshToken(userId);
+        await revokeRefreshFamily(issued.familyId);
+        await assert.rejects(rotateRefreshToken(issued.refreshToken), { statusCode: 401, message: "Refresh token revoked." });
+    });
+});
@@ -0,0 +1,43 @@
+import assert from "node:assert/strict";
+import { describe, it, mock } from "node:test";
+import jwt from "jsonwebtoken";
+import pg from "pg";
+import { useMemoryDb } from "./support/memory-db.js";
+
+useMemoryDb();
+process.env.JWT_SECRET ??= "Test-Secret-0123456789-0123456789-!";
+process.env.JWT_SIGNING_ALGORITHM = "ES256";
+const { getActiveSigningKey, getVerificationKey } = await import("../auth/signing-key.service.js");
+const { verifyToken } = await import("../auth/jwt.js");
+
+function connections() {
+    return pg.Pool.prototype.connect.mock.callCount();
+}
+
+describe("verification keys", () => {
+    it("find the active key", async () => {
+        const { kid } = await getActiveSigningKey();
+        assert.equal((await getVerificationKey(kid)).kid, kid);
+    });
+
+    it("reload for unknown kids at most once per interval", async () => {
+        const start = Date.now();
+        mock.method(Date, "now", () => start);
+        const before = connections();
+        assert.equal(await getVerificationKey("made-up-1"), null);
+        assert.equal(connections(), before + 1);
+        for (let i = 2; i <= 20; i += 1) {
+            assert.equal(await getVerificationKey(`made-up-${i}`), null);
+        }
+        assert.equal(connections(), before + 1);
+        Date.now.mock.mockImplementation(() => start + 5000);
+        assert.equal(await getVerificationKey("made-up-21"), null);
+        assert.equal(connections(), before + 2);
+        Date.now.mock.restore();
+    });
+
+    it("reject HS256 tokens signed with the shared secret", async () => {
+        const legacy = jwt.sign({ sub: "someone", role: "admin" }, process.env.JWT_SECRET, { algorithm: "HS256", expiresIn: "15m" });
+        await assert.rejects(verifyToken(legacy), { statusCode: 401, message: "Invalid token." });
+    });
+});
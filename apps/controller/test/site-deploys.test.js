@@ -0,0 +1,95 @@
+import assert from "node:assert/strict";
+import { before, describe, it, mock } from "node:test";
+import { useMemoryDb } from "./support/memory-db.js";
+
+useMemoryDb();
+const users = await import("../users/user.service.js");
+const store = await import("../sites/site.store.js");
+const deploys = await import("../sites/site.deploys.js");
+const sites = await import("../sites/site.service.js");
+const { getClients } = await import("../k8s/client.js");
+
+function record(slug, overrides = {}) {
+    return deploys.recordSiteDeploy({ slug, image: "ghcr.io/acme/app:1", containerPort: 3000, source: "manual", ...overrides });
+}
+
+function deployment({ generation = 2, observed = 2, replicas = 1, ready = replicas, progressing = null } = {}) {
+    return {
+        metadata: { name: "app", generation },
+        spec: { replicas, template: { spec: { containers: [{ image: "ghcr.io/acme/app:1" }] } } },
+        status: {
+            observedGeneration: observed,
+            replicas,
+            updatedReplicas: ready,
+            availableReplicas: ready,
+            readyReplicas: ready,
+            conditions: progressing ? [{ type: "Progressing", ...progressing }] : []
+        }
+    };
+}
+
+describe("site deploys", () => {
+    let userId;
+    let shopDeploys;
+    let blogPending;
+    const rollouts = new Map();
+
+    before(async () => {
+        ({ id: userId } = await users.createUser({ username: "uma", password: "Correct-Horse-9", email: "uma@example.com", role: "user" }));
+        for (const slug of ["shop", "blog", "docs"]) {
+            await store.upsertSite(userId, slug, { domain: `${slug}.example.com` });
+        }
+        const { apps } = getClients();
+        mock.method(apps, "readNamespacedDeployment", async (name) => {
+            const body = rollouts.get(name);
+            if (!body) {
+                throw Object.assign(new Error("not found"), { response: { statusCode: 404 } });
+            }
+            return { body };
+        });
+    });
+
+    it("supersede the pending deploy when a new one starts", async () => {
+        shopDeploys = [await record("shop"), await record("shop", { image: "ghcr.io/acme/app:2" })];
+        const [first, second] = shopDeploys;
+        assert.equal((await deploys.getSiteDeploy("shop", second.id)).status, "pending");
+        const earlier = await deploys.getSiteDeploy("shop", first.id);
+        assert.equal(earlier.status, "superseded");
+        assert.ok(earlier.finishedAt);
+    });
+
+    it("leave the pending deploy alone when an apply is rejected", async () => {
+        blogPending = await record("blog");
+        const failed = await record("blog", { status: "failed", message: "invalid image" });
+        assert.equal(failed.status, "failed");
+        assert.ok(failed.finishedAt);
+        assert.equal((await deploys.getSiteDeploy("blog", blogPending.id)).status, "pending");
+    });
+
+    it("only settle a deploy that is still pending", async () => {
+        const [superseded] = shopDeploys;
+        assert.equal(await deploys.finishSiteDeploy(superseded.id, "success"), null);
+        assert.equal((await deploys.getSiteDeploy("shop", superseded.id)).status, "superseded");
+    });
+
+    it("settle pending deploys from their rollouts", async () => {
+        const docs = await record("docs");
+        rollouts.set("app-shop", deployment());
+        rollouts.set("app-blog", deployment({ progressing: { status: "False", reason: "ProgressDeadlineExceeded", message: "ReplicaSet has timed out progressing." } }));
+        rollouts.set("app-docs", deployment({ observed: 1, ready: 0 }));
+        assert.deepEqual(await sites.settlePendingSiteDeploys(), { settled: 2 });
+        const shop = await deploys.getSiteDeploy("shop", shopDeploys[1].id);
+        assert.equal(shop.status, "success");
+        assert.ok(shop.finishedAt);
+        const blog = await deploys.getSiteDeploy("blog", blogPending.id);
+        assert.equal(blog.status, "failed");
+        assert.equal(blog.message, "ReplicaSet has timed out progressing.");
+        assert.equal((await deploys.getSiteDeploy("docs", docs.id)).status, "pending");
+    });
+
+    it("keep a deploy pending while its Deployment is missing", async () => {
+        rollouts.clear();
+        assert.deepEqual(await sites.settlePendingSiteDeploys(), { settled: 0 });
+        assert.deepEqual((await deploys.listPendingSiteDeploys()).map((deploy) => deploy.siteSlug), ["docs"]);
+    });
+});
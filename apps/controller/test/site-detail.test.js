@@ -0,0 +1,49 @@
+import assert from "node:assert/strict";
+import { before, describe, it, mock } from "node:test";
+import { useMemoryDb } from "./support/memory-db.js";
+
+useMemoryDb();
+const users = await import("../users/user.service.js");
+const store = await import("../sites/site.store.js");
+const { getSiteDetail } = await import("../sites/site.service.js");
+const { getClients } = await import("../k8s/client.js");
+
+function rejectWith(statusCode) {
+    return async () => {
+        throw Object.assign(new Error(`status ${statusCode}`), { response: { statusCode } });
+    };
+}
+
+describe("site detail", () => {
+    before(async () => {
+        const user = await users.createUser({ username: "dora", password: "Correct-Horse-9", email: "dora@example.com", role: "user" });
+        await store.upsertSite(user.id, "shop", { domain: "shop.example.com" });
+        const { core, apps, net } = getClients();
+        mock.method(apps, "readNamespacedDeployment", async () => ({
+            body: { metadata: { name: "app-shop", generation: 1 }, spec: { replicas: 1 }, status: { observedGeneration: 1, replicas: 1, updatedReplicas: 1, availableReplicas: 1 } }
+        }));
+        mock.method(core, "readNamespacedService", async () => ({
+            body: { metadata: { name: "web-shop" }, spec: { clusterIP: "10.0.0.7", ports: [{ name: "http", port: 80, targetPort: 3000 }] } }
+        }));
+        mock.method(net, "readNamespacedIngress", rejectWith(404));
+        mock.method(core, "readNamespacedSecret", rejectWith(404));
+        mock.method(core, "readNamespacedConfigMap", rejectWith(404));
+        mock.method(core, "listNamespacedPod", rejectWith(403));
+        mock.method(core, "readNamespacedEndpoints", rejectWith(403));
+    });
+
+    it("leave out live state the controller may not read", async () => {
+        const detail = await getSiteDetail("shop");
+        assert.equal(detail.slug, "shop");
+        assert.deepEqual(detail.pods, []);
+        assert.deepEqual(detail.service.endpoints, { ready: [], notReady: [] });
+        assert.equal(detail.deployment.rolloutComplete, true);
+        assert.equal(detail.ingress, null);
+    });
+
+    it("still fail on other errors", async () => {
+        const { core } = getClients();
+        core.listNamespacedPod.mock.mockImplementationOnce(rejectWith(500));
+        await assert.rejects(getSiteDetail("shop"), { response: { statusCode: 500 } });
+    });
+});
@@ -0,0 +1,36 @@
+import assert from "node:assert/strict";
+import { before, describe, it } from "node:test";
+import { useMemoryDb } from "./support/memory-db.js";
+
+useMemoryDb();
+const users = await import("../users/user.service.js");
+const store = await import("../sites/site.store.js");
+
+describe("site domains", () => {
+    let userId;
+
+    before(async () => {
+        ({ id: userId } = await users.createUser({ username: "trent", password: "Correct-Horse-9", email: "trent@example.com", role: "user" }));
+    });
+
+    it("claim the primary domain for the site", async () => {
+        await store.upsertSite(userId, "shop", { domain: "shop.example.com" });
+        assert.deepEqual(await store.listSiteDomains("shop"), ["shop.example.com"]);
+    });
+
+    it("refuse a domain held by another site", async () => {
+        await store.upsertSite(userId, "blog", { domain: "blog.example.com" });
+        await assert.rejects(store.addSiteDomainRecord("blog", "shop.example.com"), { statusCode: 409 });
+    });
+
+    it("release the old primary domain when it is replaced", async () => {
+        await store.addSiteDomainRecord("shop", "www.shop.example.com");
+        await store.updateSite("shop", { canonicalDomain: "shop.example.com" });
+        const site = await store.upsertSite(userId, "shop", { domain: "shop.example.net" });
+        assert.equal(site.domain, "shop.example.net");
+        assert.equal(site.canonicalDomain, null);
+        assert.deepEqual(await store.listSiteDomains("shop"), ["shop.example.net", "www.shop.example.com"]);
+        await store.addSiteDomainRecord("blog", "shop.example.com");
+        assert.deepEqual(await store.listSiteDomains("blog"), ["blog.example.com", "shop.example.com"]);
+    });
+});
@@ -0,0 +1,32 @@
+import assert from "node:assert/strict";
+import { before, describe, it } from "node:test";
+import { useMemoryDb } from "./support/memory-db.js";
+
+useMemoryDb();
+const users = await import("../users/user.service.js");
+const store = await import("../sites/site.store.js");
+const members = await import("../sites/site.members.js");
+
+describe("site members", () => {
+    let owner;
+    let helper;
+
+    before(async () => {
+        owner = await users.createUser({ username: "owen", password: "Correct-Horse-9", email: "owen@example.com", role: "user" });
+        helper = await users.createUser({ username: "hal", password: "Correct-Horse-9", email: "hal@example.com", role: "user" });
+        await store.upsertSite(owner.id, "shop", { domain: "shop.example.com" });
+    });
+
+    it("add an account by username", async () => {
+        const member = await members.addSiteMemberByUsername("shop", owner.id, "hal", "deployer", owner.id);
+        assert.equal(member.userId, helper.id);
+        assert.equal(await members.getSiteMemberRole("shop", helper.id), "deployer");
+    });
+
+    it("give the same error for unknown usernames and the owner", async () => {
+        const unknown = await members.addSiteMemberByUsername("shop", owner.id, "nobody", "viewer", owner.id).catch((error) => error);
+        const self = await members.addSiteMemberByUsername("shop", owner.id, "owen", "viewer", owner.id).catch((error) => error);
+        assert.equal(unknown.statusCode, 400);
+        assert.deepEqual([self.statusCode, self.message], [unknown.statusCode, unknown.message]);
+    });
+});
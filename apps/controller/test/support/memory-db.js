@@ -0,0 +1,88 @@
+import { mock } from "node:test";
+import pg from "pg";
+import { DataType, newDb } from "pg-mem";
+
+// pg-mem's pg adapter ignores ROLLBACK; emulate it with a snapshot taken at BEGIN.
+// Good enough for tests that never run two transactions at once.
+function wrapTransactions(db, client) {
+    const query = client.query.bind(client);
+    let snapshot = null;
+    client.query = async (text, ...rest) => {
+        const statement = typeof text === "string" ? text.trim().toUpperCase() : "";
+        if (statement === "BEGIN") {
+            snapshot = db.backup();
+        }
+        else if (statement === "COMMIT") {
+            snapshot = null;
+        }
+        else if (statement === "ROLLBACK") {
+            snapshot?.restore();
+            snapshot = null;
+            return { command: "ROLLBACK", rowCount: 0, rows: [] };
+        }
+        return query(text, ...rest);
+    };
+}
+
+// Point db/pool.js at an in-memory Postgres. Each test file runs in its own process,
+// so every file gets a fresh database and fresh per-module schemaReady flags.
+export function useMemoryDb() {
+    process.env.POSTGRES_HOST ??= "pg-mem";
+    process.env.POSTGRES_ADMIN_USER ??= "postgres";
+    process.env.POSTGRES_ADMIN_PASSWORD ??= "postgres";
+    process.env.POSTGRES_DB ??= "voxeil";
+    const db = newDb();
+    // jsonb operators and functions the services use that pg-mem lacks.
+    db.public.registerOperator({
+        operator: "?",
+        left: DataType.jsonb,
+        right: DataType.text,
+        returns: DataType.bool,
+        implementation: (value, key) => Array.isArray(value) ? value.includes(key) : Object.hasOwn(value ?? {}, key)
+    });
+    db.public.registerOperator({
+        operator: "-",
+        left: DataType.jsonb,
+        right: DataType.text,
+        returns: DataType.jsonb,
+        implementation: (value, key) => Array.isArray(value)
+            ? value.filter((item) => item !== key)
+            : Object.fromEntries(Object.entries(value ?? {}).filter(([name]) => name !== key))
+    });
+    db.public.registerFunction({
+        name: "jsonb_array_length",
+        args: [DataType.jsonb],
+        returns: DataType.integer,
+        implementation: (value) => value.length
+    });
+    for (const type of [DataType.text, DataType.integer, DataType.float]) {
+        db.public.registerFunction({
+            name: "to_timestamp",
+            args: [type],
+            returns: DataType.timestamptz,
+            implementation: (seconds) => new Date(Number(seconds) * 1000)
+        });
+    }
+    // `$n * interval '1 second'`: pg-mem binds the number as text and cannot multiply intervals.
+    for (const left of [DataType.text, DataType.integer, DataType.float]) {
+        db.public.registerOperator({
+            operator: "*",
+            left,
+            right: DataType.interval,
+            returns: DataType.interval,
+            implementation: (factor, interval) => Object.fromEntries(Object.entries(interval).map(([unit, amount]) => [unit, amount * Number(factor)]))
+        });
+    }
+    const { Pool } = db.adapters.createPg();
+    const memoryPool = new Pool();
+    const wrapped = new WeakSet();
+    mock.method(pg.Pool.prototype, "connect", async () => {
+        const client = await memoryPool.connect();
+        if (!wrapped.has(client)) {
+            wrapped.add(client);
+            wrapTransactions(db, client);
+        }
+        return client;
+    });
+    return db;
+}
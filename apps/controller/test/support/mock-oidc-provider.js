@@ -0,0 +1,84 @@
+import crypto from "node:crypto";
+import http from "node:http";
+import jwt from "jsonwebtoken";
+
+// Minimal OpenID provider on 127.0.0.1: discovery, JWKS and an authorization-code token
+// endpoint that enforces PKCE. authorize() stands in for the browser signing in.
+export async function startMockOidcProvider({ clientId }) {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+    const jwk = { ...publicKey.export({ format: "jwk" }), kid: "mock-key", use: "sig", alg: "RS256" };
+    const grants = new Map();
+    let issuer = "";
+
+    function send(res, status, body) {
+        res.writeHead(status, { "Content-Type": "application/json" });
+        res.end(JSON.stringify(body));
+    }
+
+    async function handleToken(req, res) {
+        let raw = "";
+        for await (const chunk of req) {
+            raw += chunk;
+        }
+        const form = new URLSearchParams(raw);
+        const grant = grants.get(form.get("code"));
+        grants.delete(form.get("code"));
+        if (!grant || form.get("client_id") !== clientId || form.get("redirect_uri") !== grant.redirectUri) {
+            return send(res, 400, { error: "invalid_grant" });
+        }
+        const challenge = crypto.createHash("sha256").update(form.get("code_verifier") ?? "").digest("base64url");
+        if (challenge !== grant.codeChallenge) {
+            return send(res, 400, { error: "invalid_grant", error_description: "PKCE verification failed" });
+        }
+        const idToken = jwt.sign({ ...grant.claims, nonce: grant.nonce }, privateKey, {
+            algorithm: "RS256",
+            keyid: jwk.kid,
+            issuer,
+            audience: clientId,
+            expiresIn: 300
+        });
+        return send(res, 200, { token_type: "Bearer", access_token: "mock-access-token", id_token: idToken });
+    }
+
+    const server = http.createServer((req, res) => {
+        if (req.method === "GET" && req.url === "/.well-known/openid-configuration") {
+            return send(res, 200, {
+                issuer,
+                authorization_endpoint: `${issuer}/authorize`,
+                token_endpoint: `${issuer}/token`,
+                jwks_uri: `${issuer}/jwks`,
+                id_token_signing_alg_values_supported: ["RS256"]
+            });
+        }
+        if (req.method === "GET" && req.url === "/jwks") {
+            return send(res, 200, { keys: [jwk] });
+        }
+        if (req.method === "POST" && req.url === "/token") {
+            return void handleToken(req, res);
+        }
+        return send(res, 404, { error: "not_found" });
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    issuer = `http://127.0.0.1:${server.address().port}`;
+
+    return {
+        issuer,
+        /**
+         * Sign `claims` in for the given authorization URL; returns the callback parameters.
+         */
+        authorize(authorizationUrl, claims, overrides = {}) {
+            const url = new URL(authorizationUrl);
+            const code = crypto.randomBytes(16).toString("base64url");
+            grants.set(code, {
+                claims,
+                redirectUri: url.searchParams.get("redirect_uri"),
+                codeChallenge: url.searchParams.get("code_challenge"),
+                nonce: overrides.nonce ?? url.searchParams.get("nonce")
+            });
+            return { code, state: url.searchParams.get("state") };
+        },
+        close() {
+            return new Promise((resolve) => server.close(resolve));
+        }
+    };
+}
@@ -0,0 +1,34 @@
+import assert from "node:assert/strict";
+import { before, describe, it, mock } from "node:test";
+import { useMemoryDb } from "./support/memory-db.js";
+
+useMemoryDb();
+process.env.JWT_SECRET ??= "Test-Secret-0123456789-0123456789-!";
+process.env.JWT_SIGNING_ALGORITHM = "ES256";
+const users = await import("../users/user.service.js");
+const { signToken, verifyToken } = await import("../auth/jwt.js");
+const { isTokenIssuedBeforeCutoff, revokeAllUserTokens } = await import("../auth/token-revocation.service.js");
+
+describe("revoke all tokens of a user", () => {
+    let user;
+
+    before(async () => {
+        user = await users.createUser({ username: "rita", password: "Correct-Horse-9", email: "rita@example.com", role: "user" });
+    });
+
+    it("cut off tokens issued earlier in the same second", async () => {
+        const second = Math.floor(Date.now() / 1000) + 10;
+        mock.method(Date, "now", () => second * 1000 + 100);
+        const before = await signToken({ sub: user.id, role: "user" });
+        Date.now.mock.mockImplementation(() => second * 1000 + 500);
+        await revokeAllUserTokens(user.id);
+        Date.now.mock.mockImplementation(() => second * 1000 + 900);
+        const after = await signToken({ sub: user.id, role: "user" });
+        Date.now.mock.restore();
+
+        await assert.rejects(verifyToken(before), { statusCode: 401, message: "Token revoked." });
+        assert.equal((await verifyToken(after)).sub, user.id);
+        // A whole-second iat from the cutoff's own second is treated as issued before it.
+        assert.equal(await isTokenIssuedBeforeCutoff(user.id, second), true);
+    });
+});
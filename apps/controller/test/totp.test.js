@@ -0,0 +1,96 @@
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import { before, describe, it } from "node:test";
+import { useMemoryDb } from "./support/memory-db.js";
+
+const db = useMemoryDb();
+const { buildOtpAuthUri, generateRecoveryCodes, hashRecoveryCode, verifyTotpCode } = await import("../auth/totp.js");
+const users = await import("../users/user.service.js");
+
+// RFC 6238 appendix B: the SHA-1 seed "12345678901234567890", base32 encoded.
+const RFC_SECRET = "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ";
+const RFC_KEY = Buffer.from("12345678901234567890", "ascii");
+
+function codeForStep(step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+    const digest = crypto.createHmac("sha1", RFC_KEY).update(counter).digest();
+    const offset = digest[digest.length - 1] & 0xf;
+    return String((digest.readUInt32BE(offset) & 0x7fffffff) % 1000000).padStart(6, "0");
+}
+
+function currentStep() {
+    return Math.floor(Date.now() / 1000 / 30);
+}
+
+describe("verifyTotpCode", () => {
+    it("matches the RFC 6238 test vectors", () => {
+        assert.equal(verifyTotpCode(RFC_SECRET, "287082", 59 * 1000), 1);
+        assert.equal(verifyTotpCode(RFC_SECRET, "081804", 1111111109 * 1000), 37037036);
+    });
+
+    it("accepts one step of drift and nothing beyond", () => {
+        const now = 1111111109 * 1000;
+        assert.equal(verifyTotpCode(RFC_SECRET, codeForStep(37037035), now), 37037035);
+        assert.equal(verifyTotpCode(RFC_SECRET, codeForStep(37037037), now), 37037037);
+        assert.equal(verifyTotpCode(RFC_SECRET, codeForStep(37037034), now), null);
+    });
+
+    it("rejects malformed codes", () => {
+        assert.equal(verifyTotpCode(RFC_SECRET, "28708", 59 * 1000), null);
+        assert.equal(verifyTotpCode(RFC_SECRET, "28708a", 59 * 1000), null);
+        assert.equal(verifyTotpCode(RFC_SECRET, undefined, 59 * 1000), null);
+    });
+});
+
+describe("recovery codes", () => {
+    it("hash the same regardless of case and separators", () => {
+        const [code] = generateRecoveryCodes(1);
+        assert.match(code, /^[0-9a-f]{5}-[0-9a-f]{5}$/);
+        assert.equal(hashRecoveryCode(code.toUpperCase().replace("-", " ")), hashRecoveryCode(code));
+    });
+});
+
+describe("buildOtpAuthUri", () => {
+    it("labels the account with the issuer", () => {
+        const uri = new URL(buildOtpAuthUri({ secret: RFC_SECRET, accountName: "alice", issuer: "Voxeil Panel" }));
+        assert.equal(uri.protocol, "otpauth:");
+        assert.equal(uri.host, "totp");
+        assert.equal(decodeURIComponent(uri.pathname), "/Voxeil Panel:alice");
+        assert.equal(uri.searchParams.get("secret"), RFC_SECRET);
+    });
+});
+
+describe("verifyUserSecondFactor", () => {
+    let user;
+    let recoveryCodes;
+
+    before(async () => {
+        user = await users.createUser({ username: "alice", password: "Correct-Horse-9", email: "alice@example.com", role: "admin" });
+        await users.beginTotpEnrollment(user.id);
+        db.public.none(`UPDATE panel_users SET totp_secret = '${RFC_SECRET}' WHERE id = '${user.id}'`);
+        ({ recoveryCodes } = await users.confirmTotpEnrollment(user.id, codeForStep(currentStep() - 1)));
+    });
+
+    it("asks for a code with a machine-readable reason", async () => {
+        const error = await users.verifyUserSecondFactor(user.id, {}).catch((err) => err);
+        assert.equal(error.statusCode, 401);
+        assert.equal(error.toResponse(true).code, "two_factor_required");
+    });
+
+    it("accepts a fresh code once and rejects its replay", async () => {
+        const code = codeForStep(currentStep());
+        assert.deepEqual(await users.verifyUserSecondFactor(user.id, { otp: code }), { method: "totp" });
+        await assert.rejects(users.verifyUserSecondFactor(user.id, { otp: code }), { statusCode: 401 });
+    });
+
+    it("rejects a code older than the last one used", async () => {
+        await assert.rejects(users.verifyUserSecondFactor(user.id, { otp: codeForStep(currentStep() - 1) }), { statusCode: 401 });
+    });
+
+    it("consumes recovery codes once", async () => {
+        const result = await users.verifyUserSecondFactor(user.id, { recoveryCode: recoveryCodes[0] });
+        assert.deepEqual(result, { method: "recovery_code", recoveryCodesRemaining: recoveryCodes.length - 1 });
+        await assert.rejects(users.verifyUserSecondFactor(user.id, { recoveryCode: recoveryCodes[0] }), { statusCode: 401 });
+    });
+});
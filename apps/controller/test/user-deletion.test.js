@@ -0,0 +1,71 @@
+import assert from "node:assert/strict";
+import { setTimeout as delay } from "node:timers/promises";
+import { before, describe, it, mock } from "node:test";
+import { useMemoryDb } from "./support/memory-db.js";
+
+const db = useMemoryDb();
+const users = await import("../users/user.service.js");
+const deletion = await import("../users/user.deletion.js");
+const { getClients } = await import("../k8s/client.js");
+
+function step(kind, target, status = "pending") {
+    return { kind, target, status, attempts: status === "completed" ? 1 : 0, lastError: null, completedAt: null };
+}
+
+function insertJob(id, userId, status, heartbeat, steps) {
+    db.public.none(`INSERT INTO user_deletion_jobs (id, user_id, username, status, steps, heartbeat_at)
+      VALUES ('${id}', '${userId}', 'gone', '${status}', '${JSON.stringify(steps)}', ${heartbeat})`);
+}
+
+async function waitForJob(id, status) {
+    for (let i = 0; i < 100; i += 1) {
+        const job = await deletion.getDeletionJob(id);
+        if (job.status === status) {
+            return job;
+        }
+        await delay(20);
+    }
+    assert.fail(`deletion job ${id} never reached ${status}`);
+}
+
+describe("user deletion jobs", () => {
+    let victim;
+    let busy;
+    const notFound = () => {
+        throw Object.assign(new Error("not found"), { response: { statusCode: 404 } });
+    };
+
+    before(async () => {
+        victim = await users.createUser({ username: "victor", password: "Correct-Horse-9", email: "victor@example.com", role: "user" });
+        busy = await users.createUser({ username: "bianca", password: "Correct-Horse-9", email: "bianca@example.com", role: "user" });
+        // Creates the table before rows are written to it directly.
+        await assert.rejects(deletion.getDeletionJob("none"), { statusCode: 404 });
+        const { core } = getClients();
+        mock.method(core, "deleteNamespace", async () => notFound());
+        mock.method(core, "readNamespace", async () => notFound());
+    });
+
+    it("resume an abandoned job at its first unfinished step", async () => {
+        insertJob("abandoned", victim.id, "running", "now() - interval '10 minutes'", [
+            step("mail_domain", "victor.example.com", "completed"),
+            step("namespace", `user-${victim.id}`),
+            step("user_record", victim.id)
+        ]);
+        insertJob("active", busy.id, "running", "now()", [step("user_record", busy.id)]);
+        assert.equal(await deletion.resumeUserDeletionJobs(), 1);
+        const job = await waitForJob("abandoned", "completed");
+        assert.deepEqual(job.progress, { completed: 3, total: 3 });
+        assert.equal(job.steps[0].attempts, 1);
+        assert.ok(job.completedAt);
+        await assert.rejects(users.getUserById(victim.id), { statusCode: 404 });
+        const { core } = getClients();
+        assert.deepEqual(core.deleteNamespace.mock.calls.map((call) => call.arguments[0]), [`user-${victim.id}`]);
+    });
+
+    it("leave a job another replica is running alone", async () => {
+        const job = await deletion.getDeletionJob("active");
+        assert.equal(job.status, "running");
+        assert.equal(job.steps[0].status, "pending");
+        assert.ok(await users.getUserById(busy.id));
+    });
+});
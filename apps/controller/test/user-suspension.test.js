@@ -0,0 +1,118 @@
+import assert from "node:assert/strict";
+import { before, beforeEach, describe, it, mock } from "node:test";
+import { useMemoryDb } from "./support/memory-db.js";
+
+useMemoryDb();
+const users = await import("../users/user.service.js");
+const { resumeUser, suspendUser } = await import("../users/user.suspension.js");
+const { getClients } = await import("../k8s/client.js");
+const store = await import("../sites/site.store.js");
+const sites = await import("../sites/site.service.js");
+
+function forbidden() {
+    return Object.assign(new Error("forbidden"), { response: { statusCode: 403 } });
+}
+
+function mergeAnnotations(target, annotations = {}) {
+    for (const [key, value] of Object.entries(annotations)) {
+        if (value === null) {
+            delete target[key];
+        }
+        else {
+            target[key] = value;
+        }
+    }
+}
+
+// Just enough of one user namespace for suspend and resume: its annotations, deployments
+// and ingresses. A method named in `failing` rejects with 403 once.
+function fakeCluster() {
+    const cluster = { annotations: {}, deployments: new Map(), ingresses: new Map(), failing: new Set() };
+    const { core, apps, net } = getClients();
+    const guard = (name, fn) => mock.method(name[0], name[1], async (...args) => {
+        if (cluster.failing.delete(name[1])) {
+            throw forbidden();
+        }
+        return fn(...args);
+    });
+    guard([core, "readNamespace"], async () => ({ body: { metadata: { annotations: { ...cluster.annotations } } } }));
+    guard([core, "patchNamespace"], async (name, body) => mergeAnnotations(cluster.annotations, body.metadata.annotations));
+    guard([core, "patchNamespacedService"], async () => ({}));
+    guard([core, "deleteNamespacedService"], async () => ({}));
+    guard([apps, "listNamespacedDeployment"], async () => ({ body: { items: structuredClone([...cluster.deployments.values()]) } }));
+    guard([apps, "patchNamespacedDeployment"], async (name, namespace, body) => {
+        const current = cluster.deployments.get(name) ?? { metadata: { name, annotations: {} }, spec: {} };
+        mergeAnnotations(current.metadata.annotations, body.metadata?.annotations);
+        current.spec.replicas = body.spec?.replicas ?? current.spec.replicas;
+        cluster.deployments.set(name, current);
+    });
+    guard([apps, "deleteNamespacedDeployment"], async (name) => cluster.deployments.delete(name));
+    guard([net, "listNamespacedIngress"], async () => ({ body: { items: structuredClone([...cluster.ingresses.values()]) } }));
+    guard([net, "patchNamespacedIngress"], async (name, namespace, body) => {
+        const current = cluster.ingresses.get(name);
+        mergeAnnotations(current.metadata.annotations, body.metadata?.annotations);
+        current.spec.rules = body.spec.rules;
+    });
+    return cluster;
+}
+
+const rules = [{ host: "shop.example.com", http: { paths: [{ path: "/", backend: { service: { name: "web-shop", port: { number: 80 } } } }] } }];
+
+describe("user suspension", () => {
+    let user;
+    let cluster;
+
+    before(async () => {
+        user = await users.createUser({ username: "sam", password: "Correct-Horse-9", email: "sam@example.com", role: "user" });
+        cluster = fakeCluster();
+    });
+
+    beforeEach(() => {
+        cluster.annotations = {};
+        cluster.deployments = new Map([["app-shop", { metadata: { name: "app-shop", annotations: {} }, spec: { replicas: 2 } }]]);
+        cluster.ingresses = new Map([["shop", { metadata: { name: "shop", annotations: {} }, spec: { rules: structuredClone(rules) } }]]);
+        cluster.failing.clear();
+    });
+
+    it("take the workloads offline and bring them back", async () => {
+        const suspended = await suspendUser(user.id);
+        assert.equal(suspended.user.active, false);
+        assert.deepEqual(suspended.workloads, { deployments: 1, ingresses: 1, mailDomains: 0 });
+        assert.equal(cluster.deployments.get("app-shop").spec.replicas, 0);
+        assert.equal(cluster.ingresses.get("shop").spec.rules[0].http.paths[0].backend.service.name, "voxeil-suspended");
+
+        const resumed = await resumeUser(user.id);
+        assert.equal(resumed.user.active, true);
+        assert.equal(cluster.deployments.get("app-shop").spec.replicas, 2);
+        assert.deepEqual(cluster.ingresses.get("shop").spec.rules, rules);
+        assert.equal(cluster.deployments.has("voxeil-suspended"), false);
+    });
+
+    it("undo a partial suspension and leave the account active", async () => {
+        cluster.failing.add("listNamespacedDeployment");
+        await assert.rejects(suspendUser(user.id), { statusCode: 502, message: /left active/ });
+        assert.equal((await users.getUserById(user.id)).active, true);
+        assert.deepEqual(cluster.ingresses.get("shop").spec.rules, rules);
+        assert.deepEqual(cluster.ingresses.get("shop").metadata.annotations, {});
+        assert.equal(cluster.deployments.get("app-shop").spec.replicas, 2);
+        assert.equal(cluster.deployments.has("voxeil-suspended"), false);
+    });
+
+    it("keep the account suspended when its workloads cannot come back", async () => {
+        await suspendUser(user.id);
+        cluster.failing.add("listNamespacedIngress");
+        await assert.rejects(resumeUser(user.id), { statusCode: 502, message: /stays suspended\.$/ });
+        assert.equal((await users.getUserById(user.id)).active, false);
+        assert.equal(cluster.deployments.get("app-shop").spec.replicas, 0);
+        assert.equal(cluster.ingresses.get("shop").spec.rules[0].http.paths[0].backend.service.name, "voxeil-suspended");
+    });
+
+    it("refuse to turn mail back on for a suspended owner", async () => {
+        await store.upsertSite(user.id, "shop", { domain: "shop.example.com" });
+        await store.updateSite("shop", { mailEnabled: true, mailDomain: "shop.example.com" });
+        assert.equal((await users.getUserById(user.id)).active, false);
+        await assert.rejects(sites.enableSiteMail("shop", { domain: "shop.example.com" }), { statusCode: 409 });
+        await assert.rejects(sites.createSiteMailbox("shop", { localPart: "info", password: "Correct-Horse-9" }), { statusCode: 409 });
+        await assert.rejects(sites.createSiteAlias("shop", { sourceLocalPart: "hello", destination: "info@shop.example.com" }), { statusCode: 409 });
+    });
+});
@@ -0,0 +1,107 @@
+import crypto from "node:crypto";
+import { HttpError } from "../http/errors.js";
+import { withClient as poolWithClient } from "../db/pool.js";
+import { parseEnvNumber } from "../config/env.js";
+
+// Single-use invitation tokens for admin-created accounts. Only the hash is stored.
+const INVITE_TOKEN_PREFIX = "vxi_";
+const INVITATION_TTL_HOURS = parseEnvNumber("INVITATION_TTL_HOURS", 72, { min: 1, max: 720 });
+const PANEL_PUBLIC_URL = process.env.PANEL_PUBLIC_URL?.trim().replace(/\/$/, "") || "";
+
+let schemaReady = false;
+
+async function ensureSchema(client) {
+    await client.query(`
+    CREATE TABLE IF NOT EXISTS user_invitations (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL REFERENCES panel_users(id) ON DELETE CASCADE,
+      token_hash TEXT NOT NULL UNIQUE,
+      created_by TEXT,
+      expires_at TIMESTAMPTZ NOT NULL,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      accepted_at TIMESTAMPTZ,
+      revoked_at TIMESTAMPTZ
+    );
+  `);
+    await client.query(`
+    CREATE INDEX IF NOT EXISTS user_invitations_user_id_idx
+      ON user_invitations (user_id);
+  `);
+}
+
+async function withClient(fn) {
+    return poolWithClient(async (client) => {
+        if (!schemaReady) {
+            await ensureSchema(client);
+            schemaReady = true;
+        }
+        return await fn(client);
+    });
+}
+
+function hashToken(token) {
+    return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+/**
+ * Issue a fresh invitation for a user, revoking any earlier one.
+ * The plaintext token is only ever returned here.
+ */
+export async function issueInvitation(userId, createdBy) {
+    const inviteToken = `${INVITE_TOKEN_PREFIX}${crypto.randomBytes(32).toString("base64url")}`;
+    const expiresAt = new Date(Date.now() + INVITATION_TTL_HOURS * 60 * 60 * 1000);
+    await withClient(async (client) => {
+        await client.query(`UPDATE user_invitations
+       SET revoked_at = now()
+       WHERE user_id = $1 AND accepted_at IS NULL AND revoked_at IS NULL`, [userId]);
+        await client.query(`INSERT INTO user_invitations (id, user_id, token_hash, created_by, expires_at)
+       VALUES ($1, $2, $3, $4, $5)`, [crypto.randomUUID(), userId, hashToken(inviteToken), createdBy ?? null, expiresAt]);
+    });
+    return {
+        inviteToken,
+        expiresAt,
+        ...(PANEL_PUBLIC_URL ? { inviteUrl: `${PANEL_PUBLIC_URL}/invite?token=${encodeURIComponent(inviteToken)}` } : {})
+    };
+}
+
+/**
+ * Mark an invitation accepted and run `onAccepted(client, userId)` in the same transaction,
+ * so the invitation stays usable if that fails. Returns what `onAccepted` returns.
+ */
+export async function consumeInvitation(token, onAccepted) {
+    if (typeof token !== "string" || !token.startsWith(INVITE_TOKEN_PREFIX)) {
+        throw new HttpError(400, "Invalid invitation.");
+    }
+    const tokenHash = hashToken(token);
+    return withClient(async (client) => {
+        await client.query("BEGIN");
+        try {
+            // Single use: only one request can set accepted_at.
+            const result = await client.query(`UPDATE user_invitations
+         SET accepted_at = now()
+         WHERE token_hash = $1 AND accepted_at IS NULL AND revoked_at IS NULL AND expires_at > now()
+         RETURNING user_id`, [tokenHash]);
+            if (result.rowCount > 0) {
+                const accepted = await onAccepted(client, result.rows[0].user_id);
+                await client.query("COMMIT");
+                return accepted;
+            }
+            await client.query("COMMIT");
+        }
+        catch (error) {
+            await client.query("ROLLBACK");
+            throw error;
+        }
+        const existing = await client.query(`SELECT expires_at, accepted_at, revoked_at
+       FROM user_invitations
+       WHERE token_hash = $1`, [tokenHash]);
+        const row = existing.rows[0];
+        if (!row || row.revoked_at) {
+            throw new HttpError(400, "Invalid invitation.");
+        }
+        if (row.accepted_at) {
+            throw new HttpError(409, "Invitation already accepted.");
+        }
+        throw new HttpError(410, "Invitation expired. Ask an administrator to send a new one.");
+    });
+}
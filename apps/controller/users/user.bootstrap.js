@@ -13,15 +13,12 @@ import { HttpError } from "../http/errors.js";
 import { ensureUserHomePvc } from "../k8s/pvc.js";
 import { ensureDatabase, ensureRole, generateDbPassword, normalizeDbName, normalizeDbUser } from "../postgres/admin.js";
 import { upsertSecret } from "../k8s/apply.js";
+import { readSecret, USER_DB_SECRET_NAME } from "../k8s/secrets.js";
+import { getUserPlan } from "../plans/plan.service.js";
 
 const FIELD_MANAGER = "voxeil-controller";
 const APPLY_OPTIONS = { headers: { "Content-Type": "application/apply-patch+json" } };
 
-const DEFAULT_CPU_REQUEST = "500m";
-const DEFAULT_CPU_LIMIT = "1";
-const DEFAULT_MEMORY_REQUEST = "512Mi";
-const DEFAULT_MEMORY_LIMIT = "1Gi";
-const DEFAULT_PVC_COUNT = "5";
 
 async function applyResource(resource) {
     const { core, rbac, net } = getClients();
@@ -90,102 +87,136 @@ async function applyResource(resource) {
     }
 }
 
-export async function bootstrapUserNamespace(userId) {
-    const namespace = `user-${userId}`;
-    let namespaceCreated = false;
-
-    try {
-        const templates = await loadUserTemplates();
-
-        const namespaceResource = renderUserNamespace(
-            templates.namespace,
-            namespace,
-            userId
-        );
-        await applyResource(namespaceResource);
-        namespaceCreated = true;
-
-        const resourceQuota = renderUserResourceQuota(
-            templates.resourceQuota,
-            namespace,
-            DEFAULT_CPU_REQUEST,
-            DEFAULT_CPU_LIMIT,
-            DEFAULT_MEMORY_REQUEST,
-            DEFAULT_MEMORY_LIMIT,
-            DEFAULT_PVC_COUNT
-        );
-        await applyResource(resourceQuota);
-
-        const limitRange = renderUserLimitRange(
-            templates.limitRange,
-            namespace,
-            DEFAULT_CPU_REQUEST,
-            DEFAULT_CPU_LIMIT,
-            DEFAULT_MEMORY_REQUEST,
-            DEFAULT_MEMORY_LIMIT
-        );
-        await applyResource(limitRange);
-
-        const networkPolicy = renderUserNetworkPolicy(templates.networkPolicyBase, namespace);
-        await applyResource(networkPolicy);
+function renderPlanQuota(templates, namespace, plan) {
+    return renderUserResourceQuota(
+        templates.resourceQuota,
+        namespace,
+        plan.cpuRequest,
+        plan.cpuLimit,
+        plan.memoryRequest,
+        plan.memoryLimit,
+        String(plan.pvcCount),
+        plan.storage
+    );
+}
 
-        const networkPolicyAllowIngress = renderUserNetworkPolicy(templates.networkPolicyAllowIngress, namespace);
-        await applyResource(networkPolicyAllowIngress);
+function renderPlanLimitRange(templates, namespace, plan) {
+    return renderUserLimitRange(
+        templates.limitRange,
+        namespace,
+        plan.cpuRequest,
+        plan.cpuLimit,
+        plan.memoryRequest,
+        plan.memoryLimit
+    );
+}
 
-        const networkPolicyAllowEgress = renderUserNetworkPolicy(templates.networkPolicyAllowEgress, namespace);
-        await applyResource(networkPolicyAllowEgress);
+function decodeSecretValue(value) {
+    return value ? Buffer.from(value, "base64").toString("utf8") : undefined;
+}
 
-        const roleBinding = renderUserControllerRoleBinding(templates.controllerRoleBinding, namespace);
-        await applyResource(roleBinding);
+/**
+ * Every resource a user namespace is made of, in dependency order. Each step is
+ * idempotent, so the same list serves the first bootstrap and later repairs.
+ */
+function buildUserSteps(userId, templates, plan) {
+    const namespace = `user-${userId}`;
+    const dbNamePrefix = process.env.DB_NAME_PREFIX?.trim() || "db_";
+    const dbUserPrefix = process.env.DB_USER_PREFIX?.trim() || "u_";
+    const dbName = normalizeDbName(`${dbNamePrefix}${userId}`);
+    const dbUser = normalizeDbUser(`${dbUserPrefix}${userId}`);
+    const dbSecretName = USER_DB_SECRET_NAME;
+    // Shared between the database and secret steps.
+    const db = { password: undefined };
 
+    return [
+        { name: "namespace", run: () => applyResource(renderUserNamespace(templates.namespace, namespace, userId)) },
+        { name: "resourceQuota", run: () => applyResource(renderPlanQuota(templates, namespace, plan)) },
+        { name: "limitRange", run: () => applyResource(renderPlanLimitRange(templates, namespace, plan)) },
+        { name: "networkPolicyBase", run: () => applyResource(renderUserNetworkPolicy(templates.networkPolicyBase, namespace)) },
+        { name: "networkPolicyAllowIngress", run: () => applyResource(renderUserNetworkPolicy(templates.networkPolicyAllowIngress, namespace)) },
+        { name: "networkPolicyAllowEgress", run: () => applyResource(renderUserNetworkPolicy(templates.networkPolicyAllowEgress, namespace)) },
+        { name: "controllerRoleBinding", run: () => applyResource(renderUserControllerRoleBinding(templates.controllerRoleBinding, namespace)) },
         // Create user home PVC
-        await ensureUserHomePvc(namespace);
-
-        // Create user database and role
-        const dbNamePrefix = process.env.DB_NAME_PREFIX?.trim() || "db_";
-        const dbUserPrefix = process.env.DB_USER_PREFIX?.trim() || "u_";
-        const dbName = normalizeDbName(`${dbNamePrefix}${userId}`);
-        const dbUser = normalizeDbUser(`${dbUserPrefix}${userId}`);
-        const dbPassword = generateDbPassword();
-        
-        await ensureRole(dbUser, dbPassword);
-        await ensureDatabase(dbName, dbUser);
-        
-        // Get DB connection config
-        const dbHost = process.env.POSTGRES_HOST?.trim() ?? process.env.DB_HOST?.trim();
-        const dbPort = process.env.POSTGRES_PORT?.trim() ?? process.env.DB_PORT?.trim() ?? "5432";
-        if (!dbHost) {
-            throw new HttpError(500, "POSTGRES_HOST must be configured for DB secret creation.");
-        }
-        
-        // Create DB secret in user namespace
-        const dbSecretName = "db-conn";
-        const encodedUser = encodeURIComponent(dbUser);
-        const encodedPassword = encodeURIComponent(dbPassword);
-        const databaseUrl = `postgres://${encodedUser}:${encodedPassword}@${dbHost}:${dbPort}/${dbName}`;
-        
-        await upsertSecret({
-            apiVersion: "v1",
-            kind: "Secret",
-            metadata: {
-                name: dbSecretName,
-                namespace,
-                labels: {
-                    [LABELS.managedBy]: LABELS.managedBy,
-                    "voxeil.io/secret-type": "db-connection"
+        { name: "homePvc", run: () => ensureUserHomePvc(namespace) },
+        {
+            name: "database",
+            run: async () => {
+                // Keep the password workloads already have; only mint one when there is none.
+                const existing = await readSecret(namespace, dbSecretName);
+                db.password = decodeSecretValue(existing?.data?.password) ?? generateDbPassword();
+                await ensureRole(dbUser, db.password);
+                await ensureDatabase(dbName, dbUser);
+            }
+        },
+        {
+            name: "dbSecret",
+            run: async () => {
+                if (!db.password) {
+                    throw new Error("Database step did not complete.");
                 }
-            },
-            type: "Opaque",
-            stringData: {
-                host: dbHost,
-                port: dbPort,
-                database: dbName,
-                username: dbUser,
-                password: dbPassword,
-                url: databaseUrl
+                // Get DB connection config
+                const dbHost = process.env.POSTGRES_HOST?.trim() ?? process.env.DB_HOST?.trim();
+                const dbPort = process.env.POSTGRES_PORT?.trim() ?? process.env.DB_PORT?.trim() ?? "5432";
+                if (!dbHost) {
+                    throw new HttpError(500, "POSTGRES_HOST must be configured for DB secret creation.");
+                }
+                const encodedUser = encodeURIComponent(dbUser);
+                const encodedPassword = encodeURIComponent(db.password);
+                const databaseUrl = `postgres://${encodedUser}:${encodedPassword}@${dbHost}:${dbPort}/${dbName}`;
+                await upsertSecret({
+                    apiVersion: "v1",
+                    kind: "Secret",
+                    metadata: {
+                        name: dbSecretName,
+                        namespace,
+                        labels: {
+                            [LABELS.managedBy]: LABELS.managedBy,
+                            "voxeil.io/secret-type": "db-connection"
+                        }
+                    },
+                    type: "Opaque",
+                    stringData: {
+                        host: dbHost,
+                        port: dbPort,
+                        database: dbName,
+                        username: dbUser,
+                        password: db.password,
+                        url: databaseUrl
+                    }
+                });
             }
-        });
+        }
+    ];
+}
+
+/**
+ * Re-render the ResourceQuota and LimitRange of an existing user namespace from a plan.
+ * Used when a user's plan changes or the plan itself is edited.
+ */
+export async function applyUserPlanQuota(userId, plan) {
+    const namespace = `user-${userId}`;
+    const templates = await loadUserTemplates();
+    try {
+        await applyResource(renderPlanQuota(templates, namespace, plan));
+        await applyResource(renderPlanLimitRange(templates, namespace, plan));
+    } catch (error) {
+        throw new HttpError(500, `Failed to apply plan "${plan.name}" to ${namespace}: ${error?.message ?? String(error)}`);
+    }
+}
+
+export async function bootstrapUserNamespace(userId) {
+    let namespaceCreated = false;
 
+    try {
+        const templates = await loadUserTemplates();
+        const plan = await getUserPlan(userId);
+        for (const step of buildUserSteps(userId, templates, plan)) {
+            await step.run();
+            if (step.name === "namespace") {
+                namespaceCreated = true;
+            }
+        }
         return { success: true };
     } catch (error) {
         if (namespaceCreated) {
@@ -198,3 +229,30 @@ export async function bootstrapUserNamespace(userId) {
         throw new HttpError(500, `Failed to bootstrap user namespace: ${error?.message ?? String(error)}`);
     }
 }
+
+/**
+ * Re-apply every bootstrap step to a user's namespace without tearing anything down on
+ * failure. Returns { ok, steps: [{ name, status: "ok" | "failed" | "skipped", error? }] };
+ * once the namespace step fails, the steps inside it are skipped.
+ */
+export async function reconcileUserNamespace(userId) {
+    const templates = await loadUserTemplates();
+    const plan = await getUserPlan(userId);
+    const results = [];
+    let namespaceReady = true;
+    for (const step of buildUserSteps(userId, templates, plan)) {
+        if (!namespaceReady) {
+            results.push({ name: step.name, status: "skipped" });
+            continue;
+        }
+        try {
+            await step.run();
+            results.push({ name: step.name, status: "ok" });
+        } catch (error) {
+            logger.warn({ err: error, userId, step: step.name }, "User reconcile step failed");
+            results.push({ name: step.name, status: "failed", error: error?.message ?? String(error) });
+            namespaceReady = step.name !== "namespace";
+        }
+    }
+    return { ok: results.every((result) => result.status === "ok"), steps: results };
+}
@@ -0,0 +1,358 @@
+import crypto from "node:crypto";
+import { HttpError } from "../http/errors.js";
+import { logger } from "../config/logger.js";
+import { parseEnvNumber } from "../config/env.js";
+import { withClient as poolWithClient } from "../db/pool.js";
+import { getClients } from "../k8s/client.js";
+import { deleteUserNamespace } from "../k8s/namespace.js";
+import { purgeMailcowDomain } from "../mailcow/client.js";
+import { removeDnsZone } from "../dns/bind9.js";
+import { dropDatabase, dropRole, normalizeDbName, normalizeDbUser, resolveDbName, resolveDbUser, revokeAndTerminate } from "../postgres/admin.js";
+import { deleteUser, getUserById, listSubUsers, setUserActive, updateUserStatus } from "./user.service.js";
+import { revokeAllUserTokens } from "../auth/token-revocation.service.js";
+import { removeAllSiteMembers } from "../sites/site.members.js";
+import { listSiteRecords } from "../sites/site.store.js";
+
+// User deletion runs as a tracked job: every resource the user owns becomes a step,
+// each step is retried with backoff, and the panel_users row is the very last step.
+// A failed job keeps its progress and picks up at the first unfinished step when resumed.
+const DELETION_STEP_MAX_ATTEMPTS = parseEnvNumber("DELETION_STEP_MAX_ATTEMPTS", 5, { min: 1, max: 50 });
+const DELETION_STEP_RETRY_SECONDS = parseEnvNumber("DELETION_STEP_RETRY_SECONDS", 5, { min: 1, max: 600 });
+const DELETION_STEP_MAX_DELAY_SECONDS = 120;
+// A running job without a heartbeat for this long is considered abandoned (crashed replica).
+const DELETION_JOB_STALE_SECONDS = 300;
+const JOB_COLUMNS = "id, user_id, username, status, steps, requested_by, last_error, created_at, updated_at, completed_at";
+
+let schemaReady = false;
+const runningJobs = new Set();
+
+async function ensureSchema(client) {
+    await client.query(`
+    CREATE TABLE IF NOT EXISTS user_deletion_jobs (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      username TEXT,
+      status TEXT NOT NULL CHECK (status IN ('pending', 'running', 'failed', 'completed')),
+      steps JSONB NOT NULL DEFAULT '[]',
+      requested_by TEXT,
+      last_error TEXT,
+      heartbeat_at TIMESTAMPTZ,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      completed_at TIMESTAMPTZ
+    );
+  `);
+    // One open job per user; completed jobs stay around as a record.
+    await client.query(`
+    CREATE UNIQUE INDEX IF NOT EXISTS user_deletion_jobs_open_idx
+      ON user_deletion_jobs (user_id)
+      WHERE status <> 'completed';
+  `);
+}
+
+async function withClient(fn) {
+    return poolWithClient(async (client) => {
+        if (!schemaReady) {
+            await ensureSchema(client);
+            schemaReady = true;
+        }
+        return await fn(client);
+    });
+}
+
+function mapRow(row) {
+    const steps = row.steps ?? [];
+    return {
+        id: row.id,
+        userId: row.user_id,
+        username: row.username,
+        status: row.status,
+        progress: {
+            completed: steps.filter((step) => step.status === "completed").length,
+            total: steps.length
+        },
+        steps,
+        requestedBy: row.requested_by,
+        lastError: row.last_error,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at,
+        completedAt: row.completed_at
+    };
+}
+
+function step(kind, target, extra = {}) {
+    return { kind, target, ...extra, status: "pending", attempts: 0, lastError: null, completedAt: null };
+}
+
+/**
+ * Everything user-<id> owns outside the namespace itself, read from the user's rows in the
+ * sites table, followed by the user database, namespace and row.
+ */
+async function planSteps(userId) {
+    const namespace = `user-${userId}`;
+    const steps = [];
+    const seen = new Set();
+    const add = (entry) => {
+        const key = `${entry.kind}:${entry.target}`;
+        if (!seen.has(key)) {
+            seen.add(key);
+            steps.push(entry);
+        }
+    };
+    for (const site of await listSiteRecords({ userIds: [userId] })) {
+        const slug = site.slug;
+        const mailDomain = site.mailDomain?.trim() || (site.mailEnabled ? site.domain?.trim() : undefined);
+        if (mailDomain) {
+            add(step("mail_domain", mailDomain.toLowerCase(), { site: slug }));
+        }
+        if (site.dnsDomain?.trim()) {
+            add(step("dns_zone", site.dnsDomain.trim().toLowerCase(), { site: slug }));
+        }
+        if (site.dbName || site.dbUser || site.dbEnabled) {
+            add(step("site_database", site.dbName ? normalizeDbName(site.dbName) : resolveDbName(slug), {
+                site: slug,
+                role: site.dbUser ? normalizeDbUser(site.dbUser) : resolveDbUser(slug)
+            }));
+        }
+        add(step("site_members", slug));
+    }
+    const dbNamePrefix = process.env.DB_NAME_PREFIX?.trim() || "db_";
+    const dbUserPrefix = process.env.DB_USER_PREFIX?.trim() || "u_";
+    add(step("user_database", normalizeDbName(`${dbNamePrefix}${userId}`), {
+        role: normalizeDbUser(`${dbUserPrefix}${userId}`)
+    }));
+    add(step("namespace", namespace));
+    add(step("user_record", userId));
+    return steps;
+}
+
+async function namespaceExists(namespace) {
+    const { core } = getClients();
+    try {
+        await core.readNamespace(namespace);
+        return true;
+    }
+    catch (error) {
+        if (error?.response?.statusCode === 404) {
+            return false;
+        }
+        throw error;
+    }
+}
+
+async function runStep(job, entry) {
+    switch (entry.kind) {
+        case "mail_domain":
+            await purgeMailcowDomain(entry.target);
+            return;
+        case "dns_zone":
+            await removeDnsZone(entry.target);
+            return;
+        case "site_database":
+        case "user_database":
+            await revokeAndTerminate(entry.target);
+            await dropDatabase(entry.target);
+            await dropRole(entry.role);
+            return;
+        case "site_members":
+            await removeAllSiteMembers(entry.target);
+            return;
+        case "namespace":
+            await deleteUserNamespace(job.userId);
+            // deleteUserNamespace gives up waiting quietly; only a namespace that is gone counts.
+            if (await namespaceExists(entry.target)) {
+                throw new HttpError(503, `Namespace ${entry.target} is still terminating.`);
+            }
+            return;
+        case "user_record":
+            try {
+                await deleteUser(job.userId);
+            }
+            catch (error) {
+                if (error?.statusCode !== 404) {
+                    throw error;
+                }
+            }
+            return;
+        default:
+            throw new HttpError(500, `Unknown deletion step: ${entry.kind}`);
+    }
+}
+
+async function saveJob(job, fields = {}) {
+    await withClient(async (client) => {
+        await client.query(`UPDATE user_deletion_jobs
+       SET steps = $2, status = $3, last_error = $4, completed_at = $5, heartbeat_at = now(), updated_at = now()
+       WHERE id = $1`, [
+            job.id,
+            JSON.stringify(job.steps),
+            fields.status ?? job.status,
+            fields.lastError !== undefined ? fields.lastError : job.lastError,
+            fields.completedAt ?? null
+        ]);
+    });
+}
+
+function retryDelayMs(attempt) {
+    return Math.min(DELETION_STEP_RETRY_SECONDS * 2 ** (attempt - 1), DELETION_STEP_MAX_DELAY_SECONDS) * 1000;
+}
+
+async function executeJob(job) {
+    for (const entry of job.steps) {
+        if (entry.status === "completed") {
+            continue;
+        }
+        entry.status = "running";
+        await saveJob(job);
+        while (entry.status !== "completed") {
+            entry.attempts += 1;
+            try {
+                await runStep(job, entry);
+                entry.status = "completed";
+                entry.lastError = null;
+                entry.completedAt = new Date().toISOString();
+                await saveJob(job);
+            }
+            catch (error) {
+                entry.lastError = error?.message ?? String(error);
+                logger.warn({ err: error, jobId: job.id, userId: job.userId, step: entry.kind, target: entry.target, attempt: entry.attempts }, "User deletion step failed");
+                if (entry.attempts >= DELETION_STEP_MAX_ATTEMPTS) {
+                    entry.status = "failed";
+                    await saveJob(job, { status: "failed", lastError: `${entry.kind} ${entry.target}: ${entry.lastError}` });
+                    return;
+                }
+                await saveJob(job);
+                await new Promise((resolve) => setTimeout(resolve, retryDelayMs(entry.attempts)));
+            }
+        }
+    }
+    await saveJob(job, { status: "completed", lastError: null, completedAt: new Date() });
+}
+
+/**
+ * Claim a job for this process. Fails when another replica is actively running it.
+ */
+async function claimJob(jobId) {
+    return withClient(async (client) => {
+        const result = await client.query(`UPDATE user_deletion_jobs
+       SET status = 'running', heartbeat_at = now(), updated_at = now()
+       WHERE id = $1
+         AND (status IN ('pending', 'failed')
+           OR (status = 'running' AND (heartbeat_at IS NULL OR heartbeat_at < now() - ($2 * interval '1 second'))))
+       RETURNING ${JOB_COLUMNS}`, [jobId, DELETION_JOB_STALE_SECONDS]);
+        return result.rows[0] ? mapRow(result.rows[0]) : null;
+    });
+}
+
+function runInBackground(jobId) {
+    if (runningJobs.has(jobId)) {
+        return;
+    }
+    runningJobs.add(jobId);
+    (async () => {
+        const job = await claimJob(jobId);
+        if (job) {
+            // Failed steps get a fresh set of attempts when the job is resumed.
+            for (const entry of job.steps) {
+                if (entry.status !== "completed") {
+                    entry.status = "pending";
+                    entry.attempts = 0;
+                }
+            }
+            await executeJob(job);
+        }
+    })()
+        .catch((error) => {
+        logger.error({ err: error, jobId }, "User deletion job crashed");
+    })
+        .finally(() => {
+        runningJobs.delete(jobId);
+    });
+}
+
+export async function getDeletionJob(jobId) {
+    return withClient(async (client) => {
+        const result = await client.query(`SELECT ${JOB_COLUMNS} FROM user_deletion_jobs WHERE id = $1`, [jobId]);
+        if (result.rowCount === 0) {
+            throw new HttpError(404, "Deletion job not found.");
+        }
+        return mapRow(result.rows[0]);
+    });
+}
+
+/**
+ * Latest deletion job of a user; still available after the user row is gone.
+ */
+export async function getLatestDeletionJobForUser(userId) {
+    return withClient(async (client) => {
+        const result = await client.query(`SELECT ${JOB_COLUMNS}
+       FROM user_deletion_jobs
+       WHERE user_id = $1
+       ORDER BY created_at DESC
+       LIMIT 1`, [userId]);
+        if (result.rowCount === 0) {
+            throw new HttpError(404, "No deletion job for this user.");
+        }
+        return mapRow(result.rows[0]);
+    });
+}
+
+/**
+ * Start deleting a user, or resume the open deletion job if there is one.
+ * The account is locked out immediately; the teardown itself runs in the background.
+ */
+export async function startUserDeletion(userId, requestedBy) {
+    const existing = await withClient(async (client) => {
+        const result = await client.query(`SELECT ${JOB_COLUMNS}
+       FROM user_deletion_jobs
+       WHERE user_id = $1 AND status <> 'completed'`, [userId]);
+        return result.rows[0] ? mapRow(result.rows[0]) : null;
+    });
+    if (existing) {
+        runInBackground(existing.id);
+        return { job: existing, resumed: true };
+    }
+    const user = await getUserById(userId);
+    // parent_id is ON DELETE RESTRICT; the last step would never succeed.
+    const subUsers = await listSubUsers(userId);
+    if (subUsers.length > 0) {
+        throw new HttpError(409, `Account still owns ${subUsers.length} sub-user(s). Delete or reassign them first.`);
+    }
+    await setUserActive(userId, false);
+    await updateUserStatus(userId, "deleting");
+    await revokeAllUserTokens(userId);
+    const steps = await planSteps(userId);
+    const job = await withClient(async (client) => {
+        try {
+            const result = await client.query(`INSERT INTO user_deletion_jobs (id, user_id, username, status, steps, requested_by)
+         VALUES ($1, $2, $3, 'pending', $4, $5)
+         RETURNING ${JOB_COLUMNS}`, [crypto.randomUUID(), userId, user.username, JSON.stringify(steps), requestedBy ?? null]);
+            return mapRow(result.rows[0]);
+        }
+        catch (error) {
+            if (error?.code === "23505") {
+                throw new HttpError(409, "A deletion job for this user is already open.");
+            }
+            throw error;
+        }
+    });
+    runInBackground(job.id);
+    return { job, resumed: false };
+}
+
+/**
+ * Pick up jobs left pending or abandoned mid-run by a restart. Called once at startup.
+ */
+export async function resumeUserDeletionJobs() {
+    const jobIds = await withClient(async (client) => {
+        const result = await client.query(`SELECT id
+       FROM user_deletion_jobs
+       WHERE status = 'pending'
+          OR (status = 'running' AND (heartbeat_at IS NULL OR heartbeat_at < now() - ($1 * interval '1 second')))`, [DELETION_JOB_STALE_SECONDS]);
+        return result.rows.map((row) => row.id);
+    });
+    for (const jobId of jobIds) {
+        runInBackground(jobId);
+    }
+    return jobIds.length;
+}
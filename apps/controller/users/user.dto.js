@@ -1,4 +1,5 @@
 import { z } from "zod";
+import { USER_ROLES } from "../auth/permissions.js";
 
 // Strong password schema with all security requirements
 const passwordSchema = z.string()
@@ -21,7 +22,7 @@ const passwordSchema = z.string()
         "Password must contain at least one special character"
     );
 
-export const UserRoleSchema = z.enum(["admin", "user"]);
+export const UserRoleSchema = z.enum(USER_ROLES);
 export const CreateUserSchema = z.object({
     username: z.string()
         .min(3, "Username must be at least 3 characters")
@@ -32,11 +33,24 @@ export const CreateUserSchema = z.object({
         .email("Invalid email address")
         .toLowerCase()
         .trim(),
-    role: UserRoleSchema
+    role: UserRoleSchema,
+    planId: z.string().trim().min(1).optional(),
+    // Owning reseller; resellers creating accounts always become the owner themselves.
+    parentId: z.string().trim().min(1).optional()
 });
+export const InviteUserSchema = CreateUserSchema.omit({ password: true });
+export const AcceptInvitationSchema = z.object({
+    token: z.string().trim().min(1, "Invitation token is required"),
+    password: passwordSchema
+});
+const totpCodeSchema = z.string()
+    .trim()
+    .regex(/^\d{6}$/, "Two-factor code must be 6 digits");
 export const LoginSchema = z.object({
     username: z.string().min(1, "Username is required").trim(),
-    password: z.string().min(1, "Password is required")
+    password: z.string().min(1, "Password is required"),
+    otp: totpCodeSchema.optional(),
+    recoveryCode: z.string().trim().min(1).optional()
 });
 export const ToggleUserSchema = z.object({
     active: z.boolean()
@@ -44,4 +58,24 @@ export const ToggleUserSchema = z.object({
 export const ChangePasswordSchema = z.object({
     currentPassword: z.string().min(1, "Current password is required"),
     newPassword: passwordSchema
-});
\ No newline at end of file
+});
+export const ResetPasswordSchema = z.object({
+    temporaryPassword: passwordSchema
+});
+export const TotpVerifySchema = z.object({
+    code: totpCodeSchema
+});
+export const TotpDisableSchema = z.object({
+    password: z.string().min(1, "Password is required"),
+    otp: totpCodeSchema.optional(),
+    recoveryCode: z.string().trim().min(1).optional()
+}).refine((value) => Boolean(value.otp || value.recoveryCode), {
+    message: "A two-factor code or recovery code is required"
+});
+// Step-up for impersonation: the actor proves their second factor again.
+export const ImpersonateUserSchema = z.object({
+    otp: totpCodeSchema.optional(),
+    recoveryCode: z.string().trim().min(1).optional()
+}).refine((value) => Boolean(value.otp || value.recoveryCode), {
+    message: "A two-factor code or recovery code is required"
+});
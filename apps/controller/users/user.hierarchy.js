@@ -0,0 +1,130 @@
+import { HttpError } from "../http/errors.js";
+import { hasPermission } from "../auth/permissions.js";
+import { parseCpuToNumber, parseGiToNumber } from "../k8s/quantity.js";
+import { listPlans } from "../plans/plan.service.js";
+import { getUserById, listSubUsers, listUsers } from "./user.service.js";
+
+// Account hierarchy: a reseller owns the "user" accounts created beneath it (panel_users.parent_id).
+// Callers holding users.any act on every account; everyone else only on their own sub-users.
+export const RESELLER_ROLE = "reseller";
+export const SUB_USER_ROLE = "user";
+
+// Plan dimensions that add up across a reseller's sub-users.
+const AGGREGATE_DIMENSIONS = [
+    { key: "cpuLimit", label: "CPU", parse: parseCpuToNumber },
+    { key: "memoryLimit", label: "memory (Gi)", parse: parseGiToNumber },
+    { key: "storage", label: "storage (Gi)", parse: parseGiToNumber },
+    { key: "maxSites", label: "sites", parse: Number },
+    { key: "maxDatabases", label: "databases", parse: Number },
+    { key: "maxMailboxes", label: "mailboxes", parse: Number }
+];
+
+export function actsOnAllUsers(actor) {
+    return hasPermission(actor.role, "users.any");
+}
+
+export function canManageUser(actor, target) {
+    return actsOnAllUsers(actor) || (Boolean(target.parentId) && target.parentId === actor.sub);
+}
+
+/**
+ * Load a user the actor may manage. Accounts outside the actor's reach are reported as
+ * missing rather than forbidden, so resellers cannot probe for other customers.
+ */
+export async function getManagedUser(actor, userId) {
+    const target = await getUserById(userId);
+    if (!canManageUser(actor, target)) {
+        throw new HttpError(404, "User not found.");
+    }
+    return target;
+}
+
+export async function listVisibleUsers(actor) {
+    return actsOnAllUsers(actor) ? listUsers() : listSubUsers(actor.sub);
+}
+
+/**
+ * True when userId is the actor or one of the actor's sub-users.
+ */
+export async function isSelfOrSubUser(actorId, userId) {
+    if (actorId === userId) {
+        return true;
+    }
+    try {
+        return (await getUserById(userId)).parentId === actorId;
+    }
+    catch (error) {
+        if (error?.statusCode === 404) {
+            return false;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Ids whose namespaces the actor's site listing covers: the actor and their sub-users.
+ */
+export async function listSelfAndSubUserIds(actorId) {
+    const subUsers = await listSubUsers(actorId);
+    return [actorId, ...subUsers.map((user) => user.id)];
+}
+
+/**
+ * Resolve who owns a new account and check the actor may create it:
+ * resellers (no users.any) may only create "user" accounts, which they then own.
+ */
+export async function resolveNewUserParent(actor, input) {
+    if (!actsOnAllUsers(actor)) {
+        if (input.role !== SUB_USER_ROLE) {
+            throw new HttpError(403, `You can only create ${SUB_USER_ROLE} accounts.`);
+        }
+        return actor.sub;
+    }
+    if (!input.parentId) {
+        return null;
+    }
+    const parent = await getUserById(input.parentId);
+    if (parent.role !== RESELLER_ROLE) {
+        throw new HttpError(400, "Parent account must be a reseller.");
+    }
+    if (input.role !== SUB_USER_ROLE) {
+        throw new HttpError(400, `Sub-users must have the ${SUB_USER_ROLE} role.`);
+    }
+    return parent.id;
+}
+
+/**
+ * A reseller sells out of its own plan: the plans of all its sub-users together must fit in it.
+ * Throws 403 if giving `userId` (a new sub-user when null) the plan `nextPlanId` would not fit.
+ */
+export async function assertResellerCapacity(resellerId, nextPlanId, userId = null) {
+    const [reseller, subUsers, plans] = await Promise.all([
+        getUserById(resellerId),
+        listSubUsers(resellerId),
+        listPlans()
+    ]);
+    const plansById = new Map(plans.map((plan) => [plan.id, plan]));
+    const defaultPlan = plans.find((plan) => plan.isDefault);
+    const planOf = (planId) => (planId ? plansById.get(planId) : defaultPlan);
+    const resellerPlan = planOf(reseller.planId);
+    const nextPlan = planOf(nextPlanId);
+    if (!resellerPlan || !nextPlan) {
+        throw new HttpError(404, "Plan not found.");
+    }
+    const allocated = subUsers
+        .filter((user) => user.id !== userId)
+        .map((user) => planOf(user.planId))
+        .filter(Boolean);
+    allocated.push(nextPlan);
+    for (const dimension of AGGREGATE_DIMENSIONS) {
+        const total = allocated.reduce((sum, plan) => sum + (dimension.parse(String(plan[dimension.key])) ?? 0), 0);
+        const limit = dimension.parse(String(resellerPlan[dimension.key])) ?? 0;
+        if (total > limit) {
+            throw new HttpError(403, `Reseller quota exceeded: ${dimension.label} would total ${total} of ${limit} allowed by plan "${resellerPlan.name}".`, {
+                dimension: dimension.key,
+                total,
+                limit
+            });
+        }
+    }
+}
@@ -2,8 +2,21 @@ import crypto from "node:crypto";
 import { promisify } from "node:util";
 import { HttpError } from "../http/errors.js";
 import { withClient as poolWithClient } from "../db/pool.js";
+import { buildOtpAuthUri, generateRecoveryCodes, generateTotpSecret, hashRecoveryCode, verifyTotpCode } from "../auth/totp.js";
+import { USER_ROLES } from "../auth/permissions.js";
+import { parseEnvBoolean, parseEnvNumber } from "../config/env.js";
 const scryptAsync = promisify(crypto.scrypt);
 let schemaReady = false;
+const USER_COLUMNS = "id, username, email, role, status, active, totp_enabled, must_change_password, auth_provider, locked_until, plan_id, parent_id, created_at";
+// Federated accounts never match a local password (verifyPassword needs "salt:hash").
+const UNUSABLE_PASSWORD_HASH = "!";
+const TOTP_ISSUER = process.env.TOTP_ISSUER?.trim() || "Voxeil Panel";
+const REQUIRE_ADMIN_2FA = parseEnvBoolean("REQUIRE_ADMIN_2FA", false);
+// Consecutive failed logins before an account locks; each further lock doubles, up to the max.
+const LOGIN_LOCKOUT_THRESHOLD = parseEnvNumber("LOGIN_LOCKOUT_THRESHOLD", 5, { min: 1, max: 100 });
+const LOGIN_LOCKOUT_BASE_SECONDS = parseEnvNumber("LOGIN_LOCKOUT_BASE_SECONDS", 60, { min: 1, max: 86400 });
+const LOGIN_LOCKOUT_MAX_SECONDS = parseEnvNumber("LOGIN_LOCKOUT_MAX_SECONDS", 86400, { min: 1, max: 2592000 });
+const ROLE_CHECK = `role IN (${USER_ROLES.map((role) => `'${role}'`).join(", ")})`;
 
 // Use shared connection pool (production-ready: prevents connection exhaustion)
 async function withClient(fn) {
@@ -22,12 +35,69 @@ async function ensureSchema(client) {
       username TEXT NOT NULL UNIQUE,
       password_hash TEXT NOT NULL,
       email TEXT NOT NULL,
-      role TEXT NOT NULL CHECK (role IN ('admin', 'user')),
-      status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'active', 'error')),
+      role TEXT NOT NULL CONSTRAINT panel_users_role_check CHECK (${ROLE_CHECK}),
+      status TEXT NOT NULL DEFAULT 'pending' CONSTRAINT panel_users_status_check CHECK (status IN ('invited', 'pending', 'active', 'error', 'deleting')),
       active BOOLEAN NOT NULL DEFAULT true,
       created_at TIMESTAMPTZ NOT NULL DEFAULT now()
     );
   `);
+    // Tables created before the finer-grained roles existed only allow admin/user.
+    await client.query(`
+    ALTER TABLE panel_users
+      DROP CONSTRAINT IF EXISTS panel_users_role_check,
+      ADD CONSTRAINT panel_users_role_check CHECK (${ROLE_CHECK});
+  `);
+    // "invited": created by an admin, waiting for the invitee to pick a password.
+    // "deleting": a deletion job is tearing down the account (users/user.deletion.js).
+    await client.query(`
+    ALTER TABLE panel_users
+      DROP CONSTRAINT IF EXISTS panel_users_status_check,
+      ADD CONSTRAINT panel_users_status_check CHECK (status IN ('invited', 'pending', 'active', 'error', 'deleting'));
+  `);
+    // Second factor lives next to the credentials it protects.
+    await client.query(`
+    ALTER TABLE panel_users
+      ADD COLUMN IF NOT EXISTS totp_secret TEXT,
+      ADD COLUMN IF NOT EXISTS totp_enabled BOOLEAN NOT NULL DEFAULT false,
+      ADD COLUMN IF NOT EXISTS totp_last_step BIGINT,
+      ADD COLUMN IF NOT EXISTS totp_recovery_codes JSONB NOT NULL DEFAULT '[]';
+  `);
+    await client.query(`
+    ALTER TABLE panel_users
+      ADD COLUMN IF NOT EXISTS must_change_password BOOLEAN NOT NULL DEFAULT false,
+      ADD COLUMN IF NOT EXISTS password_changed_at TIMESTAMPTZ;
+  `);
+    await client.query(`
+    ALTER TABLE panel_users
+      ADD COLUMN IF NOT EXISTS auth_provider TEXT NOT NULL DEFAULT 'local',
+      ADD COLUMN IF NOT EXISTS external_subject TEXT;
+  `);
+    await client.query(`
+    ALTER TABLE panel_users
+      ADD COLUMN IF NOT EXISTS failed_login_count INTEGER NOT NULL DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS lockout_count INTEGER NOT NULL DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS locked_until TIMESTAMPTZ,
+      ADD COLUMN IF NOT EXISTS last_failed_login_at TIMESTAMPTZ;
+  `);
+    // Hosting plan (plans.id); NULL means the default plan.
+    await client.query(`
+    ALTER TABLE panel_users
+      ADD COLUMN IF NOT EXISTS plan_id TEXT;
+  `);
+    // Owning reseller of a sub-user; a reseller cannot be removed while it still owns accounts.
+    await client.query(`
+    ALTER TABLE panel_users
+      ADD COLUMN IF NOT EXISTS parent_id TEXT REFERENCES panel_users(id) ON DELETE RESTRICT;
+  `);
+    await client.query(`
+    CREATE INDEX IF NOT EXISTS panel_users_parent_id_idx
+      ON panel_users (parent_id);
+  `);
+    await client.query(`
+    CREATE UNIQUE INDEX IF NOT EXISTS panel_users_external_subject_idx
+      ON panel_users (auth_provider, external_subject)
+      WHERE external_subject IS NOT NULL;
+  `);
 }
 async function hashPassword(password) {
     const salt = crypto.randomBytes(16).toString("hex");
@@ -50,6 +120,12 @@ function mapRow(row) {
         role: row.role,
         status: row.status ?? "pending",
         active: row.active,
+        twoFactorEnabled: row.totp_enabled ?? false,
+        mustChangePassword: row.must_change_password ?? false,
+        authProvider: row.auth_provider ?? "local",
+        lockedUntil: row.locked_until ?? null,
+        planId: row.plan_id ?? null,
+        parentId: row.parent_id ?? null,
         createdAt: row.created_at
     };
 }
@@ -81,7 +157,7 @@ export async function ensureAdminUserFromEnv() {
 }
 export async function listUsers() {
     return withClient(async (client) => {
-        const result = await client.query(`SELECT id, username, email, role, status, active, created_at
+        const result = await client.query(`SELECT ${USER_COLUMNS}
        FROM panel_users
        ORDER BY role, username`);
         return result.rows.map(mapRow);
@@ -92,9 +168,9 @@ export async function createUser(input) {
     const id = crypto.randomUUID();
     return withClient(async (client) => {
         try {
-            const result = await client.query(`INSERT INTO panel_users (id, username, password_hash, email, role, status, active)
-         VALUES ($1, $2, $3, $4, $5, 'pending', true)
-         RETURNING id, username, email, role, status, active, created_at`, [id, input.username, passwordHash, input.email, input.role]);
+            const result = await client.query(`INSERT INTO panel_users (id, username, password_hash, email, role, status, active, plan_id, parent_id)
+         VALUES ($1, $2, $3, $4, $5, 'pending', true, $6, $7)
+         RETURNING ${USER_COLUMNS}`, [id, input.username, passwordHash, input.email, input.role, input.planId ?? null, input.parentId ?? null]);
             return mapRow(result.rows[0]);
         }
         catch (error) {
@@ -105,13 +181,51 @@ export async function createUser(input) {
         }
     });
 }
+/**
+ * Create an account that cannot log in until its invitation is accepted.
+ */
+export async function createInvitedUser(input) {
+    const id = crypto.randomUUID();
+    return withClient(async (client) => {
+        try {
+            const result = await client.query(`INSERT INTO panel_users (id, username, password_hash, email, role, status, active, plan_id, parent_id)
+         VALUES ($1, $2, $3, $4, $5, 'invited', true, $6, $7)
+         RETURNING ${USER_COLUMNS}`, [id, input.username, UNUSABLE_PASSWORD_HASH, input.email, input.role, input.planId ?? null, input.parentId ?? null]);
+            return mapRow(result.rows[0]);
+        }
+        catch (error) {
+            if (error?.code === "23505") {
+                throw new HttpError(409, "Username already exists.");
+            }
+            throw error;
+        }
+    });
+}
+/**
+ * Set the invitee's own password; the account moves on to "pending" (awaiting bootstrap).
+ * Pass `client` to run inside the caller's transaction.
+ */
+export async function setInitialPassword(id, password, client = null) {
+    const passwordHash = await hashPassword(password);
+    const update = async (db) => {
+        const result = await db.query(`UPDATE panel_users
+       SET password_hash = $1, password_changed_at = now(), status = 'pending'
+       WHERE id = $2 AND status = 'invited'
+       RETURNING ${USER_COLUMNS}`, [passwordHash, id]);
+        if (result.rowCount === 0) {
+            throw new HttpError(409, "Invitation already accepted.");
+        }
+        return mapRow(result.rows[0]);
+    };
+    return client ? update(client) : withClient(update);
+}
 
 export async function updateUserStatus(id, status) {
     return withClient(async (client) => {
         const result = await client.query(`UPDATE panel_users
        SET status = $1
        WHERE id = $2
-       RETURNING id, username, email, role, status, active, created_at`, [status, id]);
+       RETURNING ${USER_COLUMNS}`, [status, id]);
         if (result.rowCount === 0) {
             throw new HttpError(404, "User not found.");
         }
@@ -121,7 +235,7 @@ export async function updateUserStatus(id, status) {
 
 export async function getUserById(id) {
     return withClient(async (client) => {
-        const result = await client.query(`SELECT id, username, email, role, status, active, created_at
+        const result = await client.query(`SELECT ${USER_COLUMNS}
        FROM panel_users
        WHERE id = $1`, [id]);
         if (result.rowCount === 0) {
@@ -130,18 +244,62 @@ export async function getUserById(id) {
         return mapRow(result.rows[0]);
     });
 }
+export async function getUserByUsername(username) {
+    return withClient(async (client) => {
+        const result = await client.query(`SELECT ${USER_COLUMNS}
+       FROM panel_users
+       WHERE username = $1`, [username]);
+        if (result.rowCount === 0) {
+            throw new HttpError(404, "User not found.");
+        }
+        return mapRow(result.rows[0]);
+    });
+}
 export async function setUserActive(id, active) {
     return withClient(async (client) => {
         const result = await client.query(`UPDATE panel_users
        SET active = $1
        WHERE id = $2
-       RETURNING id, username, email, role, status, active, created_at`, [active, id]);
+       RETURNING ${USER_COLUMNS}`, [active, id]);
+        if (result.rowCount === 0) {
+            throw new HttpError(404, "User not found.");
+        }
+        return mapRow(result.rows[0]);
+    });
+}
+export async function setUserPlan(id, planId) {
+    return withClient(async (client) => {
+        const result = await client.query(`UPDATE panel_users
+       SET plan_id = $1
+       WHERE id = $2
+       RETURNING ${USER_COLUMNS}`, [planId, id]);
         if (result.rowCount === 0) {
             throw new HttpError(404, "User not found.");
         }
         return mapRow(result.rows[0]);
     });
 }
+/**
+ * Ids of users assigned to a plan; includeUnassigned adds users without a plan (default plan).
+ */
+export async function listUserIdsByPlan(planId, options = {}) {
+    return withClient(async (client) => {
+        const result = await client.query(`SELECT id
+       FROM panel_users
+       WHERE plan_id = $1 OR ($2 AND plan_id IS NULL)
+       ORDER BY username`, [planId, Boolean(options.includeUnassigned)]);
+        return result.rows.map((row) => row.id);
+    });
+}
+export async function listSubUsers(parentId) {
+    return withClient(async (client) => {
+        const result = await client.query(`SELECT ${USER_COLUMNS}
+       FROM panel_users
+       WHERE parent_id = $1
+       ORDER BY username`, [parentId]);
+        return result.rows.map(mapRow);
+    });
+}
 export async function deleteUser(id) {
     await withClient(async (client) => {
         const result = await client.query("DELETE FROM panel_users WHERE id = $1", [id]);
@@ -152,7 +310,7 @@ export async function deleteUser(id) {
 }
 export async function verifyUserCredentials(username, password) {
     return withClient(async (client) => {
-        const result = await client.query(`SELECT id, username, email, role, status, active, created_at, password_hash
+        const result = await client.query(`SELECT ${USER_COLUMNS}, password_hash
        FROM panel_users
        WHERE username = $1`, [username]);
         if (result.rowCount === 0) {
@@ -162,6 +320,12 @@ export async function verifyUserCredentials(username, password) {
         if (!row.active) {
             throw new HttpError(403, "User is disabled.");
         }
+        // Checked before the password so a locked account gives no signal about guesses.
+        if (row.locked_until && new Date(row.locked_until).getTime() > Date.now()) {
+            throw new HttpError(423, "Account temporarily locked. Please retry later.", {
+                lockedUntil: row.locked_until
+            });
+        }
         const matches = await verifyPassword(password, row.password_hash);
         if (!matches) {
             throw new HttpError(401, "Invalid credentials.");
@@ -169,3 +333,249 @@ export async function verifyUserCredentials(username, password) {
         return mapRow(row);
     });
 }
+/**
+ * Count a failed login (bad password or second factor) against the account.
+ * Reaching the threshold locks it for base * 2^(previous locks) seconds and starts a new count.
+ * Returns the resulting lock state, or null for unknown or already locked accounts.
+ */
+export async function recordFailedLogin(username) {
+    return withClient(async (client) => {
+        const result = await client.query(`UPDATE panel_users
+       SET failed_login_count = CASE WHEN failed_login_count + 1 >= $2 THEN 0 ELSE failed_login_count + 1 END,
+           lockout_count = CASE WHEN failed_login_count + 1 >= $2 THEN lockout_count + 1 ELSE lockout_count END,
+           locked_until = CASE WHEN failed_login_count + 1 >= $2
+             THEN now() + LEAST($3 * power(2, lockout_count), $4) * interval '1 second'
+             ELSE locked_until END,
+           last_failed_login_at = now()
+       WHERE username = $1 AND (locked_until IS NULL OR locked_until <= now())
+       RETURNING failed_login_count, lockout_count, locked_until`, [
+            username,
+            LOGIN_LOCKOUT_THRESHOLD,
+            LOGIN_LOCKOUT_BASE_SECONDS,
+            LOGIN_LOCKOUT_MAX_SECONDS
+        ]);
+        if (result.rowCount === 0) {
+            return null;
+        }
+        const row = result.rows[0];
+        const locked = Boolean(row.locked_until) && new Date(row.locked_until).getTime() > Date.now();
+        return {
+            locked,
+            failedAttempts: row.failed_login_count,
+            lockoutCount: row.lockout_count,
+            lockedUntil: locked ? row.locked_until : null
+        };
+    });
+}
+export async function clearFailedLogins(id) {
+    return withClient(async (client) => {
+        await client.query(`UPDATE panel_users
+       SET failed_login_count = 0, lockout_count = 0, locked_until = NULL
+       WHERE id = $1 AND (failed_login_count > 0 OR lockout_count > 0 OR locked_until IS NOT NULL)`, [id]);
+    });
+}
+export async function unlockUser(id) {
+    return withClient(async (client) => {
+        const result = await client.query(`UPDATE panel_users
+       SET failed_login_count = 0, lockout_count = 0, locked_until = NULL
+       WHERE id = $1
+       RETURNING ${USER_COLUMNS}`, [id]);
+        if (result.rowCount === 0) {
+            throw new HttpError(404, "User not found.");
+        }
+        return mapRow(result.rows[0]);
+    });
+}
+export function isTwoFactorRequiredForRole(role) {
+    return REQUIRE_ADMIN_2FA && role === "admin";
+}
+export async function verifyUserSecondFactor(id, input) {
+    return withClient(async (client) => {
+        const result = await client.query(`SELECT totp_secret, totp_enabled
+       FROM panel_users
+       WHERE id = $1`, [id]);
+        if (result.rowCount === 0) {
+            throw new HttpError(404, "User not found.");
+        }
+        const row = result.rows[0];
+        if (!row.totp_enabled || !row.totp_secret) {
+            return { method: "none" };
+        }
+        if (input.otp) {
+            const step = verifyTotpCode(row.totp_secret, input.otp);
+            if (step === null) {
+                throw new HttpError(401, "Invalid two-factor code.");
+            }
+            // Reject replays of an already consumed (or older) time step.
+            const consumed = await client.query(`UPDATE panel_users
+         SET totp_last_step = $1
+         WHERE id = $2 AND (totp_last_step IS NULL OR totp_last_step < $1)`, [step, id]);
+            if (consumed.rowCount === 0) {
+                throw new HttpError(401, "Invalid two-factor code.");
+            }
+            return { method: "totp" };
+        }
+        if (input.recoveryCode) {
+            // One-time use: the code is removed in the same statement that matches it.
+            const consumed = await client.query(`UPDATE panel_users
+         SET totp_recovery_codes = totp_recovery_codes - $1::text
+         WHERE id = $2 AND totp_recovery_codes ? $1::text
+         RETURNING jsonb_array_length(totp_recovery_codes) AS remaining`, [hashRecoveryCode(input.recoveryCode), id]);
+            if (consumed.rowCount === 0) {
+                throw new HttpError(401, "Invalid recovery code.");
+            }
+            return { method: "recovery_code", recoveryCodesRemaining: Number(consumed.rows[0].remaining) };
+        }
+        throw new HttpError(401, "Two-factor code required.", null, "two_factor_required");
+    });
+}
+export async function beginTotpEnrollment(id) {
+    return withClient(async (client) => {
+        const result = await client.query("SELECT username, totp_enabled FROM panel_users WHERE id = $1", [id]);
+        if (result.rowCount === 0) {
+            throw new HttpError(404, "User not found.");
+        }
+        if (result.rows[0].totp_enabled) {
+            throw new HttpError(409, "Two-factor authentication is already enabled.");
+        }
+        // Pending secret: only becomes active once a code generated from it is verified.
+        const secret = generateTotpSecret();
+        await client.query("UPDATE panel_users SET totp_secret = $1, totp_last_step = NULL WHERE id = $2", [secret, id]);
+        return {
+            secret,
+            otpauthUri: buildOtpAuthUri({ secret, accountName: result.rows[0].username, issuer: TOTP_ISSUER })
+        };
+    });
+}
+export async function confirmTotpEnrollment(id, code) {
+    return withClient(async (client) => {
+        const result = await client.query("SELECT totp_secret, totp_enabled FROM panel_users WHERE id = $1", [id]);
+        if (result.rowCount === 0) {
+            throw new HttpError(404, "User not found.");
+        }
+        const row = result.rows[0];
+        if (row.totp_enabled) {
+            throw new HttpError(409, "Two-factor authentication is already enabled.");
+        }
+        if (!row.totp_secret) {
+            throw new HttpError(409, "Two-factor enrollment has not been started.");
+        }
+        const step = verifyTotpCode(row.totp_secret, code);
+        if (step === null) {
+            throw new HttpError(401, "Invalid two-factor code.");
+        }
+        const recoveryCodes = generateRecoveryCodes();
+        await client.query(`UPDATE panel_users
+       SET totp_enabled = true, totp_last_step = $1, totp_recovery_codes = $2
+       WHERE id = $3`, [step, JSON.stringify(recoveryCodes.map(hashRecoveryCode)), id]);
+        return { recoveryCodes };
+    });
+}
+export async function disableUserTotp(id) {
+    return withClient(async (client) => {
+        const result = await client.query(`UPDATE panel_users
+       SET totp_enabled = false, totp_secret = NULL, totp_last_step = NULL, totp_recovery_codes = '[]'
+       WHERE id = $1
+       RETURNING ${USER_COLUMNS}`, [id]);
+        if (result.rowCount === 0) {
+            throw new HttpError(404, "User not found.");
+        }
+        return mapRow(result.rows[0]);
+    });
+}
+export async function verifyUserPassword(id, password) {
+    return withClient(async (client) => {
+        const result = await client.query("SELECT password_hash FROM panel_users WHERE id = $1", [id]);
+        if (result.rowCount === 0) {
+            throw new HttpError(404, "User not found.");
+        }
+        return verifyPassword(password, result.rows[0].password_hash);
+    });
+}
+export async function changeUserPassword(id, currentPassword, newPassword) {
+    const passwordOk = await verifyUserPassword(id, currentPassword);
+    if (!passwordOk) {
+        throw new HttpError(401, "Current password is incorrect.");
+    }
+    if (currentPassword === newPassword) {
+        throw new HttpError(400, "New password must differ from the current password.");
+    }
+    const passwordHash = await hashPassword(newPassword);
+    return withClient(async (client) => {
+        const result = await client.query(`UPDATE panel_users
+       SET password_hash = $1, must_change_password = false, password_changed_at = now()
+       WHERE id = $2
+       RETURNING ${USER_COLUMNS}`, [passwordHash, id]);
+        if (result.rowCount === 0) {
+            throw new HttpError(404, "User not found.");
+        }
+        return mapRow(result.rows[0]);
+    });
+}
+export async function setTemporaryPassword(id, temporaryPassword) {
+    const passwordHash = await hashPassword(temporaryPassword);
+    return withClient(async (client) => {
+        const result = await client.query(`UPDATE panel_users
+       SET password_hash = $1, must_change_password = true, password_changed_at = now()
+       WHERE id = $2
+       RETURNING ${USER_COLUMNS}`, [passwordHash, id]);
+        if (result.rowCount === 0) {
+            throw new HttpError(404, "User not found.");
+        }
+        return mapRow(result.rows[0]);
+    });
+}
+function normalizeProvisionedUsername(value) {
+    const base = String(value ?? "")
+        .trim()
+        .toLowerCase()
+        .replace(/[^a-z0-9_-]+/g, "-")
+        .replace(/^-+|-+$/g, "")
+        .slice(0, 27);
+    return base.length >= 3 ? base : `sso-${base}`.replace(/-$/, "");
+}
+/**
+ * Find the panel user linked to an external identity, creating it on first login.
+ * A role or email the IdP vouches for (non-null in `identity`) is re-synced on every
+ * login; otherwise the account keeps what it has. New accounts need a verified email.
+ */
+export async function findOrProvisionFederatedUser(provider, identity) {
+    return withClient(async (client) => {
+        const existing = await client.query(`UPDATE panel_users
+       SET role = COALESCE($3, role), email = COALESCE($4, email)
+       WHERE auth_provider = $1 AND external_subject = $2
+       RETURNING ${USER_COLUMNS}`, [provider, identity.subject, identity.role, identity.email]);
+        if (existing.rowCount > 0) {
+            return { user: mapRow(existing.rows[0]), created: false };
+        }
+        if (!identity.email) {
+            throw new HttpError(403, "Identity provider did not supply a verified email address.");
+        }
+        const base = normalizeProvisionedUsername(identity.username);
+        for (let attempt = 0; attempt < 5; attempt++) {
+            const username = attempt === 0 ? base : `${base}-${crypto.randomBytes(2).toString("hex")}`;
+            try {
+                const result = await client.query(`INSERT INTO panel_users (id, username, password_hash, email, role, status, active, auth_provider, external_subject)
+           VALUES ($1, $2, $3, $4, $5, 'pending', true, $6, $7)
+           RETURNING ${USER_COLUMNS}`, [
+                    crypto.randomUUID(),
+                    username,
+                    UNUSABLE_PASSWORD_HASH,
+                    identity.email,
+                    identity.role ?? "user",
+                    provider,
+                    identity.subject
+                ]);
+                return { user: mapRow(result.rows[0]), created: true };
+            }
+            catch (error) {
+                // Username taken by another account: retry with a suffix.
+                if (error?.code === "23505" && error?.constraint === "panel_users_username_key") {
+                    continue;
+                }
+                throw error;
+            }
+        }
+        throw new HttpError(409, "Could not allocate a unique username for this account.");
+    });
+}
@@ -0,0 +1,284 @@
+import { getClients, LABELS } from "../k8s/client.js";
+import { upsertDeployment, upsertService } from "../k8s/apply.js";
+import { SUSPENDED_REPLICAS_ANNOTATION } from "../k8s/deployment.js";
+import { patchNamespaceAnnotations } from "../k8s/namespace.js";
+import { HttpError } from "../http/errors.js";
+import { logger } from "../config/logger.js";
+import { revokeAllUserTokens } from "../auth/token-revocation.service.js";
+import { getMailcowDomainActive, setMailcowDomainActive } from "../mailcow/client.js";
+import { resolveMaintenanceImage, resolveMaintenancePort } from "../sites/site.service.js";
+import { listSiteRecords } from "../sites/site.store.js";
+import { setUserActive } from "./user.service.js";
+
+// Suspension takes a user's workloads and mail offline without deleting anything.
+// Whatever is changed is recorded in annotations on the changed object itself, so
+// resuming restores exactly the previous state and repeated calls are harmless.
+const MERGE_PATCH = { headers: { "Content-Type": "application/merge-patch+json" } };
+const MAINTENANCE_NAME = "voxeil-suspended";
+const SUSPENDED_RULES_ANNOTATION = "voxeil.io/suspended-rules";
+const SUSPENDED_AT_ANNOTATION = "voxeil.io/suspended-at";
+const SUSPENDED_MAIL_DOMAINS_ANNOTATION = "voxeil.io/suspended-mail-domains";
+
+function buildMaintenanceResources(namespace, userId) {
+    const labels = {
+        [LABELS.managedBy]: LABELS.managedBy,
+        "voxeil.io/user-id": userId,
+        "voxeil.io/suspended": "true"
+    };
+    const selector = { app: MAINTENANCE_NAME };
+    const containerPort = resolveMaintenancePort();
+    const deployment = {
+        apiVersion: "apps/v1",
+        kind: "Deployment",
+        metadata: { name: MAINTENANCE_NAME, namespace, labels },
+        spec: {
+            replicas: 1,
+            selector: { matchLabels: selector },
+            template: {
+                metadata: { labels: { ...selector, [LABELS.managedBy]: LABELS.managedBy } },
+                spec: {
+                    containers: [{
+                        name: "maintenance",
+                        image: resolveMaintenanceImage(),
+                        ports: [{ containerPort }],
+                        resources: {
+                            requests: { cpu: "50m", memory: "64Mi" },
+                            limits: { cpu: "100m", memory: "128Mi" }
+                        }
+                    }]
+                }
+            }
+        }
+    };
+    const service = {
+        apiVersion: "v1",
+        kind: "Service",
+        metadata: { name: MAINTENANCE_NAME, namespace, labels },
+        spec: {
+            type: "ClusterIP",
+            selector,
+            ports: [{ name: "http", port: 80, targetPort: containerPort, protocol: "TCP" }]
+        }
+    };
+    return { deployment, service };
+}
+
+function pointRulesAtMaintenance(rules) {
+    return (rules ?? []).map((rule) => ({
+        ...rule,
+        http: rule.http
+            ? {
+                ...rule.http,
+                paths: (rule.http.paths ?? []).map((path) => ({
+                    ...path,
+                    backend: { service: { name: MAINTENANCE_NAME, port: { number: 80 } } }
+                }))
+            }
+            : rule.http
+    }));
+}
+
+// Mail domains of the user's mail-enabled sites.
+async function listMailDomains(userId) {
+    const sites = await listSiteRecords({ userIds: [userId] });
+    const domains = new Set(sites
+        .filter((site) => site.mailEnabled && site.mailDomain?.trim())
+        .map((site) => site.mailDomain.trim().toLowerCase()));
+    return Array.from(domains);
+}
+
+async function readNamespaceAnnotations(namespace) {
+    const { core } = getClients();
+    try {
+        const response = await core.readNamespace(namespace);
+        return response.body.metadata?.annotations ?? {};
+    }
+    catch (error) {
+        if (error?.response?.statusCode === 404) {
+            return null;
+        }
+        throw error;
+    }
+}
+
+async function deleteIgnoringMissing(remove) {
+    try {
+        await remove();
+    }
+    catch (error) {
+        if (error?.response?.statusCode !== 404) {
+            throw error;
+        }
+    }
+}
+
+/**
+ * Stop serving a user's sites and mail: every Deployment in user-<id> scaled to zero,
+ * every Ingress routed to a maintenance page, every active mailcow domain deactivated.
+ * Returns counts of what was changed by this call.
+ */
+export async function suspendUserWorkloads(userId) {
+    const namespace = `user-${userId}`;
+    const annotations = await readNamespaceAnnotations(namespace);
+    if (!annotations) {
+        // Never bootstrapped: nothing is running.
+        return { deployments: 0, ingresses: 0, mailDomains: 0 };
+    }
+    const { apps, net } = getClients();
+    const result = { deployments: 0, ingresses: 0, mailDomains: 0 };
+
+    const maintenance = buildMaintenanceResources(namespace, userId);
+    await upsertDeployment(maintenance.deployment);
+    await upsertService(maintenance.service);
+
+    const ingresses = await net.listNamespacedIngress(namespace);
+    for (const ingress of ingresses.body.items ?? []) {
+        if (ingress.metadata?.annotations?.[SUSPENDED_RULES_ANNOTATION]) {
+            continue;
+        }
+        // Annotation and new rules go in one patch so the original is never lost.
+        await net.patchNamespacedIngress(ingress.metadata.name, namespace, {
+            metadata: { annotations: { [SUSPENDED_RULES_ANNOTATION]: JSON.stringify(ingress.spec?.rules ?? []) } },
+            spec: { rules: pointRulesAtMaintenance(ingress.spec?.rules) }
+        }, undefined, undefined, undefined, undefined, undefined, MERGE_PATCH);
+        result.ingresses += 1;
+    }
+
+    const deployments = await apps.listNamespacedDeployment(namespace);
+    for (const deployment of deployments.body.items ?? []) {
+        const name = deployment.metadata?.name;
+        if (name === MAINTENANCE_NAME || deployment.metadata?.annotations?.[SUSPENDED_REPLICAS_ANNOTATION] !== undefined) {
+            continue;
+        }
+        await apps.patchNamespacedDeployment(name, namespace, {
+            metadata: { annotations: { [SUSPENDED_REPLICAS_ANNOTATION]: String(deployment.spec?.replicas ?? 1) } },
+            spec: { replicas: 0 }
+        }, undefined, undefined, undefined, undefined, undefined, MERGE_PATCH);
+        result.deployments += 1;
+    }
+
+    if (annotations[SUSPENDED_MAIL_DOMAINS_ANNOTATION] === undefined) {
+        const activeDomains = [];
+        for (const domain of await listMailDomains(userId)) {
+            if (await getMailcowDomainActive(domain)) {
+                activeDomains.push(domain);
+            }
+        }
+        // Record first: a domain deactivated but not recorded would never come back.
+        await patchNamespaceAnnotations(namespace, {
+            [SUSPENDED_AT_ANNOTATION]: new Date().toISOString(),
+            [SUSPENDED_MAIL_DOMAINS_ANNOTATION]: JSON.stringify(activeDomains)
+        });
+        for (const domain of activeDomains) {
+            await setMailcowDomainActive(domain, false);
+        }
+        result.mailDomains = activeDomains.length;
+    }
+    return result;
+}
+
+/**
+ * Undo suspendUserWorkloads: restore recorded replica counts, ingress rules and
+ * mailcow domains, then remove the maintenance page.
+ */
+export async function resumeUserWorkloads(userId) {
+    const namespace = `user-${userId}`;
+    const annotations = await readNamespaceAnnotations(namespace);
+    if (!annotations) {
+        return { deployments: 0, ingresses: 0, mailDomains: 0 };
+    }
+    const { apps, net, core } = getClients();
+    const result = { deployments: 0, ingresses: 0, mailDomains: 0 };
+
+    const deployments = await apps.listNamespacedDeployment(namespace);
+    for (const deployment of deployments.body.items ?? []) {
+        const recorded = deployment.metadata?.annotations?.[SUSPENDED_REPLICAS_ANNOTATION];
+        if (recorded === undefined) {
+            continue;
+        }
+        const replicas = Number(recorded);
+        if (!Number.isInteger(replicas) || replicas < 0) {
+            throw new HttpError(500, `Invalid ${SUSPENDED_REPLICAS_ANNOTATION} on deployment ${deployment.metadata.name}.`);
+        }
+        await apps.patchNamespacedDeployment(deployment.metadata.name, namespace, {
+            metadata: { annotations: { [SUSPENDED_REPLICAS_ANNOTATION]: null } },
+            spec: { replicas }
+        }, undefined, undefined, undefined, undefined, undefined, MERGE_PATCH);
+        result.deployments += 1;
+    }
+
+    const ingresses = await net.listNamespacedIngress(namespace);
+    for (const ingress of ingresses.body.items ?? []) {
+        const recorded = ingress.metadata?.annotations?.[SUSPENDED_RULES_ANNOTATION];
+        if (!recorded) {
+            continue;
+        }
+        await net.patchNamespacedIngress(ingress.metadata.name, namespace, {
+            metadata: { annotations: { [SUSPENDED_RULES_ANNOTATION]: null } },
+            spec: { rules: JSON.parse(recorded) }
+        }, undefined, undefined, undefined, undefined, undefined, MERGE_PATCH);
+        result.ingresses += 1;
+    }
+
+    const recordedDomains = annotations[SUSPENDED_MAIL_DOMAINS_ANNOTATION];
+    if (recordedDomains !== undefined) {
+        const domains = JSON.parse(recordedDomains);
+        for (const domain of domains) {
+            await setMailcowDomainActive(domain, true);
+        }
+        await patchNamespaceAnnotations(namespace, {
+            [SUSPENDED_AT_ANNOTATION]: null,
+            [SUSPENDED_MAIL_DOMAINS_ANNOTATION]: null
+        });
+        result.mailDomains = domains.length;
+    }
+
+    await deleteIgnoringMissing(() => apps.deleteNamespacedDeployment(MAINTENANCE_NAME, namespace));
+    await deleteIgnoringMissing(() => core.deleteNamespacedService(MAINTENANCE_NAME, namespace));
+    return result;
+}
+
+/**
+ * Disable the account and take its workloads offline, all or nothing: if the workloads
+ * cannot all be suspended, whatever was changed is resumed and the account re-enabled.
+ */
+export async function suspendUser(userId) {
+    const user = await setUserActive(userId, false);
+    // A live session could otherwise redeploy and undo the suspension.
+    await revokeAllUserTokens(userId);
+    try {
+        return { user, workloads: await suspendUserWorkloads(userId) };
+    }
+    catch (error) {
+        const reverted = await resumeUserWorkloads(userId)
+            .then(() => setUserActive(userId, true))
+            .then(() => true, (undoError) => {
+            logger.error({ err: undoError, userId }, "Failed to undo a partial user suspension");
+            return false;
+        });
+        throw new HttpError(502, reverted
+            ? "Could not take the user's workloads offline; the account was left active."
+            : "Could not take the user's workloads offline; the account is disabled but some sites may still be serving.", { reason: error?.message ?? String(error) });
+    }
+}
+
+/**
+ * Bring the workloads back, then re-enable the account. If the workloads cannot all be
+ * resumed, the ones already back are suspended again and the account stays disabled.
+ */
+export async function resumeUser(userId) {
+    let workloads;
+    try {
+        workloads = await resumeUserWorkloads(userId);
+    }
+    catch (error) {
+        const reverted = await suspendUserWorkloads(userId).then(() => true, (undoError) => {
+            logger.error({ err: undoError, userId }, "Failed to undo a partial user resume");
+            return false;
+        });
+        throw new HttpError(502, reverted
+            ? "Could not bring the user's workloads back; the account stays suspended."
+            : "Could not bring the user's workloads back; the account stays suspended but some sites may be serving.", { reason: error?.message ?? String(error) });
+    }
+    return { user: await setUserActive(userId, true), workloads };
+}
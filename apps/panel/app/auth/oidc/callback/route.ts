@@ -0,0 +1,37 @@
+import { cookies } from "next/headers";
+import { NextResponse } from "next/server";
+import { clientContextHeaders, establishSession } from "../../../lib/session";
+import { OIDC_STATE_COOKIE } from "../../../lib/session-cookies";
+
+const CONTROLLER_BASE =
+  process.env.CONTROLLER_BASE_URL ?? "http://controller.platform.svc.cluster.local:8080";
+
+export async function GET(request: Request) {
+  const url = new URL(request.url);
+  const code = url.searchParams.get("code");
+  const state = url.searchParams.get("state");
+  // Single use either way: a failed callback needs a fresh login.
+  const expectedState = cookies().get(OIDC_STATE_COOKIE)?.value;
+  cookies().delete(OIDC_STATE_COOKIE);
+  if (!code || !state || !expectedState || state !== expectedState) {
+    return NextResponse.redirect(new URL("/login?error=sso_failed", request.url));
+  }
+
+  const res = await fetch(`${CONTROLLER_BASE}/auth/oidc/callback`, {
+    method: "POST",
+    headers: { "content-type": "application/json", ...clientContextHeaders() },
+    body: JSON.stringify({ code, state }),
+    cache: "no-store"
+  });
+  if (!res.ok) {
+    return NextResponse.redirect(new URL("/login?error=sso_failed", request.url));
+  }
+
+  const payload = (await res.json()) as { token?: string; refreshToken?: string };
+  if (!payload.token) {
+    return NextResponse.redirect(new URL("/login?error=sso_failed", request.url));
+  }
+
+  establishSession(payload.token, payload.refreshToken);
+  return NextResponse.redirect(new URL("/", request.url));
+}
@@ -0,0 +1,21 @@
+import { cookies } from "next/headers";
+import { NextResponse } from "next/server";
+import { OIDC_STATE_COOKIE, OIDC_STATE_TTL_SECONDS, cookieOptions } from "../../../lib/session-cookies";
+
+const CONTROLLER_BASE =
+  process.env.CONTROLLER_BASE_URL ?? "http://controller.platform.svc.cluster.local:8080";
+
+// Ask the controller for an authorization URL (it keeps the PKCE verifier) and send the browser there.
+// The state is pinned to this browser so a callback carrying someone else's login is refused.
+export async function GET(request: Request) {
+  const res = await fetch(`${CONTROLLER_BASE}/auth/oidc/authorize`, { cache: "no-store" });
+  if (!res.ok) {
+    return NextResponse.redirect(new URL("/login?error=sso_unavailable", request.url));
+  }
+  const payload = (await res.json()) as { authorizationUrl?: string; state?: string };
+  if (!payload.authorizationUrl || !payload.state) {
+    return NextResponse.redirect(new URL("/login?error=sso_unavailable", request.url));
+  }
+  cookies().set({ name: OIDC_STATE_COOKIE, value: payload.state, ...cookieOptions(OIDC_STATE_TTL_SECONDS) });
+  return NextResponse.redirect(payload.authorizationUrl);
+}
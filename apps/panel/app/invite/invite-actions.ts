@@ -0,0 +1,31 @@
+"use server";
+
+import { clientContextHeaders } from "../lib/session";
+
+type AcceptState = { success: boolean; error?: string };
+
+export async function acceptInvitationAction(
+  _prevState: AcceptState,
+  formData: FormData
+): Promise<AcceptState> {
+  const token = String(formData.get("token") ?? "");
+  const password = String(formData.get("password") ?? "");
+  const confirm = String(formData.get("confirm") ?? "");
+  if (!token) return { success: false, error: "Invitation link is incomplete." };
+  if (password !== confirm) return { success: false, error: "Passwords do not match." };
+
+  const controllerBase =
+    process.env.CONTROLLER_BASE_URL ?? "http://controller.platform.svc.cluster.local:8080";
+
+  const res = await fetch(`${controllerBase}/auth/invitations/accept`, {
+    method: "POST",
+    headers: { "content-type": "application/json", ...clientContextHeaders() },
+    body: JSON.stringify({ token, password })
+  });
+
+  if (!res.ok) {
+    const text = await res.text().catch(() => "");
+    return { success: false, error: text || "Could not accept invitation." };
+  }
+  return { success: true };
+}
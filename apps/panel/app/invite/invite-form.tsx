@@ -0,0 +1,34 @@
+"use client";
+
+import { useFormState } from "react-dom";
+import { acceptInvitationAction } from "./invite-actions";
+
+const initialState = { success: false, error: "" };
+
+export function InviteForm({ token }: { token: string }) {
+  const [state, formAction] = useFormState(acceptInvitationAction, initialState);
+
+  if (state?.success) {
+    return (
+      <p>
+        Your account is ready. <a href="/login">Sign in</a>
+      </p>
+    );
+  }
+
+  return (
+    <form action={formAction} style={{ display: "grid", gap: "12px", maxWidth: 320 }}>
+      <input type="hidden" name="token" value={token} />
+      <label style={{ display: "grid", gap: 6 }}>
+        <span>Choose a password</span>
+        <input name="password" type="password" required autoComplete="new-password" />
+      </label>
+      <label style={{ display: "grid", gap: 6 }}>
+        <span>Confirm password</span>
+        <input name="confirm" type="password" required autoComplete="new-password" />
+      </label>
+      {state?.error ? <div style={{ color: "crimson" }}>{state.error}</div> : null}
+      <button type="submit" style={{ padding: "10px 16px" }}>Accept invitation</button>
+    </form>
+  );
+}
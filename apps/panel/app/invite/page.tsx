@@ -0,0 +1,11 @@
+import { InviteForm } from "./invite-form";
+
+export default function InvitePage({ searchParams }: { searchParams: { token?: string } }) {
+  return (
+    <main>
+      <h1>Voxeil Panel</h1>
+      <p>You have been invited to the panel. Set a password to activate your account.</p>
+      <InviteForm token={searchParams.token ?? ""} />
+    </main>
+  );
+}
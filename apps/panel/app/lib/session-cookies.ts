@@ -0,0 +1,20 @@
+// Cookie names and lifetimes shared by server components and the edge middleware.
+export const SESSION_COOKIE = "vhp_panel_session";
+export const REFRESH_COOKIE = "vhp_panel_refresh";
+// The access token itself expires after minutes; the cookie lives as long as the refresh token.
+export const SESSION_TTL_SECONDS = 60 * 60 * 12; // 12h
+// SSO "state" of a login started in this browser; the callback only accepts that one.
+export const OIDC_STATE_COOKIE = "vhp_oidc_state";
+export const OIDC_STATE_TTL_SECONDS = 60 * 10; // matches the controller's OIDC_STATE_TTL_SECONDS default
+
+export function cookieOptions(maxAge: number) {
+  const secureCookie =
+    process.env.COOKIE_SECURE === "true" || process.env.NODE_ENV === "production";
+  return {
+    httpOnly: true,
+    sameSite: "lax" as const,
+    secure: secureCookie,
+    path: "/",
+    maxAge
+  };
+}
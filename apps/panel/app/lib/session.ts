@@ -1,8 +1,6 @@
-import { cookies } from "next/headers";
+import { cookies, headers } from "next/headers";
 import { redirect } from "next/navigation";
-
-const SESSION_COOKIE = "vhp_panel_session";
-const SESSION_TTL_SECONDS = 60 * 60 * 12; // 12h
+import { REFRESH_COOKIE, SESSION_COOKIE, SESSION_TTL_SECONDS, cookieOptions } from "./session-cookies";
 
 const CONTROLLER_BASE =
   process.env.CONTROLLER_BASE_URL ?? "http://controller.platform.svc.cluster.local:8080";
@@ -43,20 +41,25 @@ export async function requireSession(): Promise<SessionInfo> {
   return { token, user: payload.user, expiresAt: payload.expiresAt };
 }
 
-export function establishSession(token: string) {
-  const secureCookie =
-    process.env.COOKIE_SECURE === "true" || process.env.NODE_ENV === "production";
-  cookies().set({
-    name: SESSION_COOKIE,
-    value: token,
-    httpOnly: true,
-    sameSite: "lax",
-    secure: secureCookie,
-    path: "/",
-    maxAge: SESSION_TTL_SECONDS
-  });
+export function establishSession(token: string, refreshToken?: string) {
+  cookies().set({ name: SESSION_COOKIE, value: token, ...cookieOptions(SESSION_TTL_SECONDS) });
+  if (refreshToken) {
+    cookies().set({ name: REFRESH_COOKIE, value: refreshToken, ...cookieOptions(SESSION_TTL_SECONDS) });
+  }
+}
+
+// Browser details forwarded on login calls so the controller can label the session.
+export function clientContextHeaders(): Record<string, string> {
+  const incoming = headers();
+  const forwarded: Record<string, string> = {};
+  const userAgent = incoming.get("user-agent");
+  const forwardedFor = incoming.get("x-forwarded-for");
+  if (userAgent) forwarded["user-agent"] = userAgent;
+  if (forwardedFor) forwarded["x-forwarded-for"] = forwardedFor;
+  return forwarded;
 }
 
 export function clearSession() {
   cookies().delete(SESSION_COOKIE);
+  cookies().delete(REFRESH_COOKIE);
 }
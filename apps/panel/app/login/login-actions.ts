@@ -1,6 +1,6 @@
 "use server";
 
-import { establishSession, getSessionToken } from "../lib/session";
+import { clientContextHeaders, establishSession, getSessionToken } from "../lib/session";
 
 type LoginState = { success: boolean; error?: string };
 
@@ -12,13 +12,18 @@ export async function loginAction(
 
   const providedUsername = String(formData.get("username") ?? "");
   const providedPassword = String(formData.get("password") ?? "");
+  const providedOtp = String(formData.get("otp") ?? "").trim();
   const controllerBase =
     process.env.CONTROLLER_BASE_URL ?? "http://controller.platform.svc.cluster.local:8080";
 
   const res = await fetch(`${controllerBase}/auth/login`, {
     method: "POST",
-    headers: { "content-type": "application/json" },
-    body: JSON.stringify({ username: providedUsername, password: providedPassword })
+    headers: { "content-type": "application/json", ...clientContextHeaders() },
+    body: JSON.stringify({
+      username: providedUsername,
+      password: providedPassword,
+      otp: providedOtp || undefined
+    })
   });
 
   if (!res.ok) {
@@ -26,11 +31,11 @@ export async function loginAction(
     return { success: false, error: text || "Invalid credentials." };
   }
 
-  const payload = (await res.json()) as { token?: string };
+  const payload = (await res.json()) as { token?: string; refreshToken?: string };
   if (!payload.token) {
     return { success: false, error: "Login failed." };
   }
 
-  establishSession(payload.token);
+  establishSession(payload.token, payload.refreshToken);
   return { success: true };
 }
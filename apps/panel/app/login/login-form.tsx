@@ -25,6 +25,10 @@ export function LoginForm() {
         <span>Admin password</span>
         <input name="password" type="password" required placeholder="Generated by installer" />
       </label>
+      <label style={{ display: "grid", gap: 6 }}>
+        <span>Two-factor code</span>
+        <input name="otp" inputMode="numeric" autoComplete="one-time-code" placeholder="Only if 2FA is enabled" />
+      </label>
       {state?.error ? <div style={{ color: "crimson" }}>{state.error}</div> : null}
       <button type="submit" style={{ padding: "10px 16px" }}>Login</button>
     </form>
@@ -10,6 +10,11 @@ export default function LoginPage() {
       <h1>Voxeil Panel</h1>
       <p>Enter the admin credentials configured by the installer.</p>
       <LoginForm />
+      {process.env.OIDC_ENABLED === "true" ? (
+        <p>
+          <a href="/auth/oidc/start">Sign in with SSO</a>
+        </p>
+      ) : null}
     </main>
   );
 }
@@ -81,7 +81,9 @@ async function SiteDetailPage({ params }: { params: { siteId: string } }) {
                 className={`px-3 py-1 rounded-full text-xs ${
                   deploy.status === "success"
                     ? "bg-green-100 text-green-800"
-                    : "bg-red-100 text-red-800"
+                    : deploy.status === "failed"
+                      ? "bg-red-100 text-red-800"
+                      : "bg-gray-100 text-gray-800"
                 }`}
               >
                 {deploy.status}
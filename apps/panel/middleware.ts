@@ -0,0 +1,75 @@
+import { NextResponse, type NextRequest } from "next/server";
+import { REFRESH_COOKIE, SESSION_COOKIE, SESSION_TTL_SECONDS, cookieOptions } from "./app/lib/session-cookies";
+
+const CONTROLLER_BASE =
+  process.env.CONTROLLER_BASE_URL ?? "http://controller.platform.svc.cluster.local:8080";
+// Refresh slightly before expiry so a page render never starts with a dying token.
+const REFRESH_SKEW_SECONDS = 60;
+
+function tokenExpiresSoon(token: string | undefined): boolean {
+  if (!token) return true;
+  try {
+    const payload = JSON.parse(
+      atob(token.split(".")[1].replace(/-/g, "+").replace(/_/g, "/"))
+    ) as { exp?: number };
+    if (!payload.exp) return false;
+    return payload.exp - REFRESH_SKEW_SECONDS <= Math.floor(Date.now() / 1000);
+  } catch {
+    return true;
+  }
+}
+
+// Access tokens live for minutes: swap the refresh token for a new pair before rendering.
+export async function middleware(request: NextRequest) {
+  const refreshToken = request.cookies.get(REFRESH_COOKIE)?.value;
+  if (!refreshToken || !tokenExpiresSoon(request.cookies.get(SESSION_COOKIE)?.value)) {
+    return NextResponse.next();
+  }
+
+  const forwarded: Record<string, string> = { "content-type": "application/json" };
+  const userAgent = request.headers.get("user-agent");
+  const forwardedFor = request.headers.get("x-forwarded-for");
+  if (userAgent) forwarded["user-agent"] = userAgent;
+  if (forwardedFor) forwarded["x-forwarded-for"] = forwardedFor;
+
+  let payload: { token?: string; refreshToken?: string } | null = null;
+  try {
+    const res = await fetch(`${CONTROLLER_BASE}/auth/refresh`, {
+      method: "POST",
+      headers: forwarded,
+      body: JSON.stringify({ refreshToken }),
+      cache: "no-store"
+    });
+    if (res.ok) {
+      payload = (await res.json()) as { token?: string; refreshToken?: string };
+    }
+  } catch {
+    payload = null;
+  }
+
+  if (!payload?.token || !payload.refreshToken) {
+    // Rotated away, reused or expired: drop both cookies and let the page send us to /login.
+    request.cookies.delete(SESSION_COOKIE);
+    request.cookies.delete(REFRESH_COOKIE);
+    const response = NextResponse.next({ request: { headers: request.headers } });
+    response.cookies.delete(SESSION_COOKIE);
+    response.cookies.delete(REFRESH_COOKIE);
+    return response;
+  }
+
+  // Make the new token visible to this request's server components as well.
+  request.cookies.set(SESSION_COOKIE, payload.token);
+  request.cookies.set(REFRESH_COOKIE, payload.refreshToken);
+  const response = NextResponse.next({ request: { headers: request.headers } });
+  response.cookies.set({ name: SESSION_COOKIE, value: payload.token, ...cookieOptions(SESSION_TTL_SECONDS) });
+  response.cookies.set({
+    name: REFRESH_COOKIE,
+    value: payload.refreshToken,
+    ...cookieOptions(SESSION_TTL_SECONDS)
+  });
+  return response;
+}
+
+export const config = {
+  matcher: ["/((?!_next/static|_next/image|favicon.ico|login|invite|auth/oidc).*)"]
+};
@@ -56,6 +56,7 @@ export type Site = {
   slug: string;
   primaryDomain: string;
   domains: string[];
+  canonicalDomain?: string;
   tls: {
     enabled: boolean;
     issuer?: string;
@@ -64,16 +65,94 @@ export type Site = {
   status: "created" | "deployed" | "error";
 };
 
+export type SiteContainerStatus = {
+  name: string;
+  image: string;
+  ready: boolean;
+  restartCount: number;
+  state: "running" | "waiting" | "terminated" | "unknown";
+  startedAt?: string;
+  reason?: string;
+  message?: string;
+  exitCode?: number;
+  lastTermination: {
+    reason?: string;
+    exitCode?: number;
+    message?: string;
+    finishedAt?: string;
+  } | null;
+};
+
+export type SitePodStatus = {
+  name: string;
+  phase: string;
+  ready: boolean;
+  restarts: number;
+  nodeName?: string;
+  startedAt?: string;
+  containers: SiteContainerStatus[];
+};
+
 export type SiteDetail = Site & {
+  namespace: string;
   image?: string;
   containerPort?: number;
-  env: Array<{ key: string; value: string; isSecret: boolean }>;
+  limits: { cpu: number | null; ramGi: number | null; diskGi: number | null };
+  tls: { secretName: string; secretPresent: boolean };
+  env: Array<{ key: string; value?: string; isSecret: boolean }>;
   deployHistory: Array<{
     id: string;
     timestamp: string;
     image: string;
-    status: "success" | "failed";
+    containerPort: number;
+    source: "manual" | "github" | "webhook";
+    actorUserId?: string;
+    rollbackOf?: string;
+    status: "pending" | "success" | "failed" | "superseded";
+    message?: string;
+    finishedAt?: string;
   }>;
+  deployment: {
+    name: string;
+    image?: string;
+    replicas: number;
+    readyReplicas: number;
+    updatedReplicas: number;
+    availableReplicas: number;
+    unavailableReplicas: number;
+    rolloutComplete: boolean;
+    rolloutFailed: boolean;
+    conditions: Array<{ type: string; status: string; reason?: string; message?: string; lastUpdateTime?: string }>;
+  } | null;
+  pods: SitePodStatus[];
+  service: {
+    name: string;
+    clusterIP?: string;
+    ports: Array<{ name?: string; port: number; targetPort?: number | string }>;
+    endpoints: {
+      ready: Array<{ ip: string; pod?: string; ports: number[] }>;
+      notReady: Array<{ ip: string; pod?: string; ports: number[] }>;
+    };
+  } | null;
+  ingress: {
+    name: string;
+    className?: string;
+    hosts: string[];
+    tlsHosts: string[];
+    loadBalancer: string[];
+  } | null;
+  db: {
+    enabled: boolean;
+    name?: string;
+    user?: string;
+    host?: string;
+    port?: number;
+    secretName?: string;
+    secretPresent: boolean;
+  };
+  mail: { enabled: boolean; domain?: string; provider?: string; status?: string; lastError?: string };
+  dns: { enabled: boolean; domain?: string; target?: string };
+  github: { enabled: boolean; repo?: string; branch?: string; workflow?: string; image?: string; secretPresent: boolean };
 };
 
 export type MailInfo = {